@@ -3,7 +3,12 @@ const { Pool } = require("pg");
 const fs = require("fs").promises;
 const path = require("path");
 
-const migrationsDir = path.resolve(__dirname, "..", "data", "migrations");
+// Shared schema migrations live alongside the other HissabBook services; migrations
+// owned by this API (payout workflow, sessions, ...) live in ./migrations and run after them.
+const migrationsDirs = [
+  path.resolve(__dirname, "..", "data", "migrations"),
+  path.resolve(__dirname, "migrations"),
+];
 const databaseUrl = process.env.DATABASE_URL;
 
 if (!databaseUrl) {
@@ -11,12 +16,21 @@ if (!databaseUrl) {
   process.exit(1);
 }
 
-async function loadMigrationFiles() {
-  const entries = await fs.readdir(migrationsDir, { withFileTypes: true });
+async function loadMigrationFiles(migrationsDir) {
+  let entries;
+  try {
+    entries = await fs.readdir(migrationsDir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      console.log("Migrations directory " + migrationsDir + " not found, skipping");
+      return [];
+    }
+    throw error;
+  }
   return entries
     .filter((entry) => entry.isFile() && entry.name.endsWith(".sql"))
-    .map((entry) => entry.name)
-    .sort();
+    .map((entry) => ({ name: entry.name, path: path.join(migrationsDir, entry.name) }))
+    .sort((a, b) => a.name.localeCompare(b.name));
 }
 
 async function runMigrations() {
@@ -35,9 +49,12 @@ async function runMigrations() {
       );
     `);
 
-    const files = await loadMigrationFiles();
+    const files = [];
+    for (const migrationsDir of migrationsDirs) {
+      files.push(...(await loadMigrationFiles(migrationsDir)));
+    }
 
-    for (const file of files) {
+    for (const { name: file, path: filePath } of files) {
       const alreadyRun = await client.query("SELECT 1 FROM public.schema_migrations WHERE filename = $1", [file]);
 
       if (alreadyRun.rowCount > 0) {
@@ -45,7 +62,6 @@ async function runMigrations() {
         continue;
       }
 
-      const filePath = path.join(migrationsDir, file);
       const sql = await fs.readFile(filePath, "utf8");
 
       console.log("Applying migration " + file + "...");
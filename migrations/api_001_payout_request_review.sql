@@ -0,0 +1,14 @@
+-- Approve / reject / mark-paid workflow for payout requests
+
+ALTER TABLE public.payout_requests
+  ADD COLUMN IF NOT EXISTS reviewed_by uuid REFERENCES public.users(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS rejection_reason text,
+  ADD COLUMN IF NOT EXISTS paid_at timestamptz,
+  ADD COLUMN IF NOT EXISTS paid_by uuid REFERENCES public.users(id) ON DELETE SET NULL;
+
+ALTER TABLE public.payout_requests DROP CONSTRAINT IF EXISTS payout_requests_status_check;
+ALTER TABLE public.payout_requests
+  ADD CONSTRAINT payout_requests_status_check
+  CHECK (status IN ('pending', 'approved', 'rejected', 'paid'));
+
+CREATE INDEX IF NOT EXISTS payout_requests_status_idx ON public.payout_requests (status);
@@ -0,0 +1,33 @@
+-- Maker-checker approval tiers for payout requests
+
+ALTER TABLE public.payout_requests
+  ADD COLUMN IF NOT EXISTS business_id uuid REFERENCES public.businesses(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS payout_requests_business_id_idx ON public.payout_requests (business_id);
+
+-- A tier applies to every payout whose amount is >= min_amount. Each applicable tier needs one
+-- sign-off from a distinct user holding one of approver_roles. Rows with a NULL business_id are
+-- the default policy used by businesses without tiers of their own.
+CREATE TABLE IF NOT EXISTS public.payout_approval_tiers (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  business_id uuid REFERENCES public.businesses(id) ON DELETE CASCADE,
+  level integer NOT NULL CHECK (level > 0),
+  min_amount numeric(14, 2) NOT NULL DEFAULT 0 CHECK (min_amount >= 0),
+  approver_roles text[] NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS payout_approval_tiers_business_level_idx
+  ON public.payout_approval_tiers (COALESCE(business_id, '00000000-0000-0000-0000-000000000000'::uuid), level);
+
+CREATE TABLE IF NOT EXISTS public.payout_request_approvals (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  payout_request_id uuid NOT NULL REFERENCES public.payout_requests(id) ON DELETE CASCADE,
+  level integer NOT NULL,
+  approver_id uuid NOT NULL REFERENCES public.users(id),
+  approver_role text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (payout_request_id, level),
+  UNIQUE (payout_request_id, approver_id)
+);
@@ -0,0 +1,5 @@
+-- Keyset pagination and filtering indexes for GET /api/payout-requests
+
+CREATE INDEX IF NOT EXISTS payout_requests_created_at_id_idx ON public.payout_requests (created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS payout_requests_amount_id_idx ON public.payout_requests (amount DESC, id DESC);
+CREATE INDEX IF NOT EXISTS payout_requests_user_created_at_idx ON public.payout_requests (user_id, created_at DESC);
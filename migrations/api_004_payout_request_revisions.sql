@@ -0,0 +1,27 @@
+-- Requester-side edit / cancel of pending payout requests with revision history
+
+ALTER TABLE public.payout_requests
+  ADD COLUMN IF NOT EXISTS cancelled_at timestamptz;
+
+ALTER TABLE public.payout_requests DROP CONSTRAINT IF EXISTS payout_requests_status_check;
+ALTER TABLE public.payout_requests
+  ADD CONSTRAINT payout_requests_status_check
+  CHECK (status IN ('pending', 'approved', 'rejected', 'paid', 'cancelled'));
+
+CREATE TABLE IF NOT EXISTS public.payout_request_revisions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  payout_request_id uuid NOT NULL REFERENCES public.payout_requests(id) ON DELETE CASCADE,
+  revised_by uuid REFERENCES public.users(id) ON DELETE SET NULL,
+  action text NOT NULL CHECK (action IN ('edit', 'cancel')),
+  old_amount numeric(14, 2),
+  new_amount numeric(14, 2),
+  old_remarks text,
+  new_remarks text,
+  old_proof_filename text,
+  new_proof_filename text,
+  reason text,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS payout_request_revisions_request_idx
+  ON public.payout_request_revisions (payout_request_id, created_at);
@@ -0,0 +1,38 @@
+-- Normalized UTRs, recorded payment mode and a database-level uniqueness guarantee
+
+ALTER TABLE public.payout_requests
+  ADD COLUMN IF NOT EXISTS payment_mode text CHECK (payment_mode IN ('UPI', 'IMPS', 'NEFT', 'RTGS'));
+
+UPDATE public.payout_requests
+SET utr = upper(regexp_replace(utr, '[[:space:]-]', '', 'g'))
+WHERE utr IS NOT NULL AND utr <> upper(regexp_replace(utr, '[[:space:]-]', '', 'g'));
+
+UPDATE public.payout_requests
+SET payment_mode = CASE
+  WHEN utr ~ '^[A-Z]{4}N[A-Z0-9]{11}$' THEN 'NEFT'
+  WHEN utr ~ '^[A-Z]{4}R[A-Z0-9]{17}$' THEN 'RTGS'
+  WHEN utr ~ '^[0-9]{12}$' THEN 'UPI'
+END
+WHERE payment_mode IS NULL;
+
+DO $$
+DECLARE
+  duplicates text;
+BEGIN
+  SELECT string_agg(utr, ', ') INTO duplicates
+  FROM (
+    SELECT utr FROM public.payout_requests
+    WHERE status <> 'cancelled'
+    GROUP BY utr
+    HAVING COUNT(*) > 1
+  ) d;
+
+  IF duplicates IS NOT NULL THEN
+    RAISE EXCEPTION 'Duplicate UTRs must be resolved before adding the unique index: %', duplicates;
+  END IF;
+END $$;
+
+-- Cancelled requests were withdrawn by the requester, so their UTR may be submitted again
+CREATE UNIQUE INDEX IF NOT EXISTS payout_requests_utr_unique_idx
+  ON public.payout_requests (utr)
+  WHERE status <> 'cancelled';
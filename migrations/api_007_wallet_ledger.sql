@@ -0,0 +1,148 @@
+-- Wallets and the append-only double-entry ledger behind their balances
+
+-- A `user` wallet belongs to one user within one business (business_id is NULL for payouts
+-- made outside a business). Each business has one `business` account that funds its payouts,
+-- so every ledger transaction balances: credits to user wallets are debits to the business.
+CREATE TABLE IF NOT EXISTS public.wallets (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  kind text NOT NULL DEFAULT 'user' CHECK (kind IN ('user', 'business')),
+  user_id uuid REFERENCES public.users(id) ON DELETE RESTRICT,
+  business_id uuid REFERENCES public.businesses(id) ON DELETE RESTRICT,
+  currency text NOT NULL DEFAULT 'INR',
+  -- Cached sum of the wallet's entries, updated in the same transaction that posts them
+  balance numeric(14, 2) NOT NULL DEFAULT 0,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  CHECK ((kind = 'user') = (user_id IS NOT NULL))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS wallets_owner_idx
+  ON public.wallets (
+    kind,
+    COALESCE(user_id, '00000000-0000-0000-0000-000000000000'::uuid),
+    COALESCE(business_id, '00000000-0000-0000-0000-000000000000'::uuid)
+  );
+
+CREATE TABLE IF NOT EXISTS public.ledger_transactions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  kind text NOT NULL CHECK (kind IN ('payout')),
+  payout_request_id uuid REFERENCES public.payout_requests(id) ON DELETE RESTRICT,
+  description text,
+  created_by uuid REFERENCES public.users(id),
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+-- A payout is posted exactly once
+CREATE UNIQUE INDEX IF NOT EXISTS ledger_transactions_payout_idx
+  ON public.ledger_transactions (payout_request_id)
+  WHERE kind = 'payout';
+
+CREATE TABLE IF NOT EXISTS public.ledger_entries (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  -- Monotonic posting order, used to page through statements
+  seq bigserial NOT NULL UNIQUE,
+  transaction_id uuid NOT NULL REFERENCES public.ledger_transactions(id) ON DELETE RESTRICT,
+  wallet_id uuid NOT NULL REFERENCES public.wallets(id) ON DELETE RESTRICT,
+  direction text NOT NULL CHECK (direction IN ('debit', 'credit')),
+  amount numeric(14, 2) NOT NULL CHECK (amount > 0),
+  balance_after numeric(14, 2) NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS ledger_entries_wallet_seq_idx ON public.ledger_entries (wallet_id, seq DESC);
+CREATE INDEX IF NOT EXISTS ledger_entries_transaction_idx ON public.ledger_entries (transaction_id);
+
+-- Entries are never changed; mistakes are corrected by posting a reversing transaction
+CREATE OR REPLACE FUNCTION public.ledger_reject_changes() RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION '% is append-only', TG_TABLE_NAME;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS ledger_transactions_append_only ON public.ledger_transactions;
+CREATE TRIGGER ledger_transactions_append_only
+  BEFORE UPDATE OR DELETE ON public.ledger_transactions
+  FOR EACH ROW EXECUTE FUNCTION public.ledger_reject_changes();
+
+DROP TRIGGER IF EXISTS ledger_entries_append_only ON public.ledger_entries;
+CREATE TRIGGER ledger_entries_append_only
+  BEFORE UPDATE OR DELETE ON public.ledger_entries
+  FOR EACH ROW EXECUTE FUNCTION public.ledger_reject_changes();
+
+-- Post payouts approved before the ledger existed, oldest first, so balances match history
+INSERT INTO public.wallets (kind, user_id, business_id)
+SELECT DISTINCT 'user', pr.user_id, pr.business_id
+FROM public.payout_requests pr
+WHERE pr.status IN ('approved', 'paid') AND pr.user_id IS NOT NULL
+ON CONFLICT DO NOTHING;
+
+INSERT INTO public.wallets (kind, user_id, business_id)
+SELECT DISTINCT 'business', NULL::uuid, pr.business_id
+FROM public.payout_requests pr
+WHERE pr.status IN ('approved', 'paid') AND pr.user_id IS NOT NULL
+ON CONFLICT DO NOTHING;
+
+CREATE TEMP TABLE ledger_backfill ON COMMIT DROP AS
+SELECT
+  gen_random_uuid() as transaction_id,
+  pr.id as payout_request_id,
+  pr.amount,
+  pr.reviewed_by,
+  COALESCE(pr.processed_at, pr.created_at) as posted_at,
+  user_wallet.id as user_wallet_id,
+  business_wallet.id as business_wallet_id
+FROM public.payout_requests pr
+JOIN public.wallets user_wallet
+  ON user_wallet.kind = 'user'
+ AND user_wallet.user_id = pr.user_id
+ AND user_wallet.business_id IS NOT DISTINCT FROM pr.business_id
+JOIN public.wallets business_wallet
+  ON business_wallet.kind = 'business'
+ AND business_wallet.business_id IS NOT DISTINCT FROM pr.business_id
+WHERE pr.status IN ('approved', 'paid')
+  AND NOT EXISTS (
+    SELECT 1 FROM public.ledger_transactions lt
+    WHERE lt.kind = 'payout' AND lt.payout_request_id = pr.id
+  );
+
+INSERT INTO public.ledger_transactions (id, kind, payout_request_id, description, created_by, created_at)
+SELECT transaction_id, 'payout', payout_request_id, 'Payout approved', reviewed_by, posted_at
+FROM ledger_backfill;
+
+INSERT INTO public.ledger_entries (transaction_id, wallet_id, direction, amount, balance_after, created_at)
+SELECT transaction_id, wallet_id, direction, amount, balance_after, posted_at
+FROM (
+  SELECT
+    transaction_id,
+    user_wallet_id as wallet_id,
+    'credit' as direction,
+    amount,
+    SUM(amount) OVER (PARTITION BY user_wallet_id ORDER BY posted_at, payout_request_id) as balance_after,
+    posted_at,
+    payout_request_id,
+    1 as leg
+  FROM ledger_backfill
+  UNION ALL
+  SELECT
+    transaction_id,
+    business_wallet_id,
+    'debit',
+    amount,
+    -SUM(amount) OVER (PARTITION BY business_wallet_id ORDER BY posted_at, payout_request_id),
+    posted_at,
+    payout_request_id,
+    2
+  FROM ledger_backfill
+) entries
+ORDER BY posted_at, payout_request_id, leg;
+
+UPDATE public.wallets w
+SET balance = totals.balance, updated_at = now()
+FROM (
+  SELECT
+    wallet_id,
+    SUM(CASE WHEN direction = 'credit' THEN amount ELSE -amount END) as balance
+  FROM public.ledger_entries
+  GROUP BY wallet_id
+) totals
+WHERE totals.wallet_id = w.id;
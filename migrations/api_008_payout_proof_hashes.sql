@@ -0,0 +1,15 @@
+-- Content and perceptual hashes of payout proofs, used to catch recycled screenshots
+
+ALTER TABLE public.payout_requests
+  ADD COLUMN IF NOT EXISTS proof_sha256 text,
+  -- 64-bit dHash of image proofs (NULL for PDFs and proofs stored before hashing)
+  ADD COLUMN IF NOT EXISTS proof_phash bigint,
+  -- Earlier request whose proof looks near-identical, flagged for reviewers
+  ADD COLUMN IF NOT EXISTS proof_duplicate_of uuid REFERENCES public.payout_requests(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS proof_match_distance smallint;
+
+-- The same proof file cannot back two requests that may still be paid; it can be reused once a
+-- request is cancelled or rejected
+CREATE UNIQUE INDEX IF NOT EXISTS payout_requests_proof_sha256_active_idx
+  ON public.payout_requests (proof_sha256)
+  WHERE proof_sha256 IS NOT NULL AND status IN ('pending', 'approved', 'paid');
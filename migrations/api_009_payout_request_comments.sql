@@ -0,0 +1,25 @@
+-- Comment threads between requesters and reviewers on payout requests
+
+CREATE TABLE IF NOT EXISTS public.payout_request_comments (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  payout_request_id uuid NOT NULL REFERENCES public.payout_requests(id) ON DELETE CASCADE,
+  author_id uuid NOT NULL REFERENCES public.users(id),
+  body text NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS payout_request_comments_request_idx
+  ON public.payout_request_comments (payout_request_id, created_at);
+
+CREATE TABLE IF NOT EXISTS public.payout_request_comment_attachments (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  comment_id uuid NOT NULL REFERENCES public.payout_request_comments(id) ON DELETE CASCADE,
+  -- R2 URL or uploads/ filename, like payout_requests.proof_filename
+  file_name text NOT NULL,
+  original_name text,
+  content_type text NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS payout_request_comment_attachments_comment_idx
+  ON public.payout_request_comment_attachments (comment_id);
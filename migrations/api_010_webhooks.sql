@@ -0,0 +1,53 @@
+-- Outbound webhooks for payout lifecycle events
+
+CREATE TABLE IF NOT EXISTS public.webhook_subscriptions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  business_id uuid NOT NULL REFERENCES public.businesses(id) ON DELETE CASCADE,
+  url text NOT NULL,
+  -- HMAC-SHA256 key for the signature header; kept in plain text because it is needed to sign
+  secret text NOT NULL,
+  events text[] NOT NULL,
+  active boolean NOT NULL DEFAULT true,
+  created_by uuid REFERENCES public.users(id),
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS webhook_subscriptions_business_idx ON public.webhook_subscriptions (business_id);
+
+-- One row per event per subscription; retried until it succeeds or runs out of attempts
+CREATE TABLE IF NOT EXISTS public.webhook_deliveries (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  subscription_id uuid NOT NULL REFERENCES public.webhook_subscriptions(id) ON DELETE CASCADE,
+  event_id uuid NOT NULL,
+  event text NOT NULL,
+  payload jsonb NOT NULL,
+  status text NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'succeeded', 'failed')),
+  attempts integer NOT NULL DEFAULT 0,
+  next_attempt_at timestamptz NOT NULL DEFAULT now(),
+  last_status_code integer,
+  last_error text,
+  delivered_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS webhook_deliveries_due_idx
+  ON public.webhook_deliveries (next_attempt_at)
+  WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS webhook_deliveries_subscription_idx
+  ON public.webhook_deliveries (subscription_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS public.webhook_delivery_attempts (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  delivery_id uuid NOT NULL REFERENCES public.webhook_deliveries(id) ON DELETE CASCADE,
+  attempt integer NOT NULL,
+  manual boolean NOT NULL DEFAULT false,
+  status_code integer,
+  error text,
+  response_body text,
+  duration_ms integer NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS webhook_delivery_attempts_delivery_idx
+  ON public.webhook_delivery_attempts (delivery_id, created_at);
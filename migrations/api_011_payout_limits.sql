@@ -0,0 +1,19 @@
+-- Caps on how much a user may request: per request and cumulatively per day / month.
+-- Rows are either for a role (applies to everyone holding it) or for one user (replaces their
+-- role limits). A NULL cap means no limit of that kind.
+
+CREATE TABLE IF NOT EXISTS public.payout_limits (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  role text,
+  user_id uuid REFERENCES public.users(id) ON DELETE CASCADE,
+  per_request_max numeric(14, 2) CHECK (per_request_max > 0),
+  daily_max numeric(14, 2) CHECK (daily_max > 0),
+  monthly_max numeric(14, 2) CHECK (monthly_max > 0),
+  updated_by uuid REFERENCES public.users(id),
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  CHECK ((role IS NULL) <> (user_id IS NULL))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS payout_limits_role_idx ON public.payout_limits (role) WHERE role IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS payout_limits_user_idx ON public.payout_limits (user_id) WHERE user_id IS NOT NULL;
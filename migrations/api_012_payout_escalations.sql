@@ -0,0 +1,22 @@
+-- Escalations of payout requests left pending past the review SLA.
+-- Level 1 goes to whoever can sign the next approval tier; level 2, another SLA period later,
+-- to the business owner (or admins when the request has no business).
+
+CREATE TABLE IF NOT EXISTS public.payout_request_escalations (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  payout_request_id uuid NOT NULL REFERENCES public.payout_requests(id) ON DELETE CASCADE,
+  level integer NOT NULL CHECK (level > 0),
+  target text NOT NULL CHECK (target IN ('approvers', 'owner', 'admins')),
+  -- Approval tier that was waiting when the escalation was raised
+  approval_level integer,
+  recipients text[] NOT NULL,
+  notified_at timestamptz,
+  notify_error text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (payout_request_id, level)
+);
+
+-- The escalation job scans pending requests oldest first
+CREATE INDEX IF NOT EXISTS payout_requests_pending_created_idx
+  ON public.payout_requests (created_at)
+  WHERE status = 'pending';
@@ -0,0 +1,38 @@
+-- TDS (tax deducted at source) on payout requests that are contractor / professional payments
+
+CREATE TABLE IF NOT EXISTS public.tds_sections (
+  section text PRIMARY KEY,
+  description text NOT NULL,
+  -- Percentage deducted from payees that are not individuals / HUFs
+  rate numeric(5, 2) NOT NULL CHECK (rate >= 0 AND rate <= 100),
+  -- Percentage for individuals and HUFs (4th PAN character P or H); NULL means `rate`
+  individual_rate numeric(5, 2) CHECK (individual_rate >= 0 AND individual_rate <= 100),
+  -- Percentage when the payee has no PAN (section 206AA); the higher of this and the normal rate applies
+  no_pan_rate numeric(5, 2) NOT NULL DEFAULT 20 CHECK (no_pan_rate >= 0 AND no_pan_rate <= 100),
+  -- No TDS while a single payment and the payee's financial-year total stay within these; NULL means no threshold
+  single_threshold numeric(14, 2) CHECK (single_threshold >= 0),
+  annual_threshold numeric(14, 2) CHECK (annual_threshold >= 0),
+  active boolean NOT NULL DEFAULT true,
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+INSERT INTO public.tds_sections (section, description, rate, individual_rate, single_threshold, annual_threshold)
+VALUES
+  ('194C', 'Payments to contractors', 2, 1, 30000, 100000),
+  ('194H', 'Commission or brokerage', 2, NULL, NULL, 20000),
+  ('194I', 'Rent of land, building or furniture', 10, NULL, NULL, 240000),
+  ('194J', 'Fees for professional or technical services', 10, NULL, NULL, 30000)
+ON CONFLICT (section) DO NOTHING;
+
+-- amount stays the gross amount; the TDS columns are only set when a section applies
+ALTER TABLE public.payout_requests
+  ADD COLUMN IF NOT EXISTS tds_section text REFERENCES public.tds_sections(section),
+  ADD COLUMN IF NOT EXISTS payee_pan text,
+  ADD COLUMN IF NOT EXISTS tds_rate numeric(5, 2),
+  ADD COLUMN IF NOT EXISTS tds_amount numeric(14, 2),
+  ADD COLUMN IF NOT EXISTS net_amount numeric(14, 2);
+
+-- Threshold checks total a payee's payouts per section over the financial year
+CREATE INDEX IF NOT EXISTS payout_requests_tds_payee_idx
+  ON public.payout_requests (tds_section, payee_pan, created_at)
+  WHERE tds_section IS NOT NULL;
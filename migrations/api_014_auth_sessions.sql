@@ -0,0 +1,31 @@
+-- Server-side sessions behind the short-lived access tokens. A session is one sign-in; every access
+-- token carries its id (`sid`) and stops working once the session is revoked. Refresh tokens rotate
+-- on every use and are stored as SHA-256 hashes; all tokens of a session form one family, so a
+-- rotated token presented again revokes the whole session.
+
+CREATE TABLE IF NOT EXISTS public.auth_sessions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  user_agent text,
+  ip_address text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  last_used_at timestamptz NOT NULL DEFAULT now(),
+  expires_at timestamptz NOT NULL,
+  revoked_at timestamptz,
+  revoke_reason text
+);
+
+CREATE INDEX IF NOT EXISTS auth_sessions_user_idx
+  ON public.auth_sessions (user_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS public.refresh_tokens (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  session_id uuid NOT NULL REFERENCES public.auth_sessions(id) ON DELETE CASCADE,
+  token_hash text NOT NULL UNIQUE,
+  -- Set when the token is exchanged; a used token must never be accepted again
+  used_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS refresh_tokens_session_idx
+  ON public.refresh_tokens (session_id);
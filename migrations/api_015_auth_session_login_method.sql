@@ -0,0 +1,5 @@
+-- How each session was signed in, shown in the session list so users can recognise their devices
+
+ALTER TABLE public.auth_sessions
+  ADD COLUMN IF NOT EXISTS login_method text NOT NULL DEFAULT 'password'
+    CHECK (login_method IN ('password', 'email_otp', 'phone_otp'));
@@ -0,0 +1,16 @@
+-- Single-use password reset links. Only the SHA-256 hash of the emailed token is stored.
+
+CREATE TABLE IF NOT EXISTS public.password_reset_tokens (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  token_hash text NOT NULL UNIQUE,
+  expires_at timestamptz NOT NULL,
+  -- Set when the link is used, or when a newer link replaces it
+  used_at timestamptz,
+  requested_ip text,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS password_reset_tokens_user_idx
+  ON public.password_reset_tokens (user_id)
+  WHERE used_at IS NULL;
@@ -0,0 +1,44 @@
+-- TOTP two-factor authentication. A user_totp row without enabled_at is an enrollment that has not
+-- been confirmed with a code yet. Recovery codes are stored as SHA-256 hashes.
+
+CREATE TABLE IF NOT EXISTS public.user_totp (
+  user_id uuid PRIMARY KEY REFERENCES public.users(id) ON DELETE CASCADE,
+  secret text NOT NULL,
+  enabled_at timestamptz,
+  -- Last accepted time step; codes from it or earlier steps are refused so a code works once
+  last_used_step bigint,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS public.user_recovery_codes (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  code_hash text NOT NULL,
+  used_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS user_recovery_codes_user_idx
+  ON public.user_recovery_codes (user_id)
+  WHERE used_at IS NULL;
+
+-- Users holding any of these roles must use two-factor authentication to sign in
+CREATE TABLE IF NOT EXISTS public.two_factor_required_roles (
+  role text PRIMARY KEY,
+  created_by uuid REFERENCES public.users(id) ON DELETE SET NULL,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+-- Second step of a sign-in: issued instead of tokens once the first factor checks out
+CREATE TABLE IF NOT EXISTS public.login_challenges (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  token_hash text NOT NULL UNIQUE,
+  login_method text NOT NULL,
+  -- The user must enroll before finishing this sign-in
+  setup_required boolean NOT NULL DEFAULT false,
+  attempts integer NOT NULL DEFAULT 0,
+  expires_at timestamptz NOT NULL,
+  consumed_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
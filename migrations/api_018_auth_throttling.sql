@@ -0,0 +1,32 @@
+-- Brute-force protection for sign-in and OTP verification. Failed guesses are counted per account
+-- (login email, OTP phone or email) and per client IP; too many lock the key out for a while, and
+-- every lockout is recorded for admins.
+
+CREATE TABLE IF NOT EXISTS public.auth_throttles (
+  scope text NOT NULL CHECK (scope IN ('login', 'otp', 'ip')),
+  key text NOT NULL,
+  failed_count integer NOT NULL DEFAULT 0,
+  last_failed_at timestamptz NOT NULL DEFAULT now(),
+  -- Lockouts in a row; each one lasts twice as long as the previous
+  lockouts integer NOT NULL DEFAULT 0,
+  locked_until timestamptz,
+  PRIMARY KEY (scope, key)
+);
+
+CREATE TABLE IF NOT EXISTS public.auth_lockout_events (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  scope text NOT NULL,
+  key text NOT NULL,
+  user_id uuid REFERENCES public.users(id) ON DELETE SET NULL,
+  ip_address text,
+  failed_count integer NOT NULL,
+  locked_until timestamptz NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS auth_lockout_events_created_idx
+  ON public.auth_lockout_events (created_at DESC);
+
+-- Wrong guesses against one OTP; it is invalidated after too many
+ALTER TABLE public.otp_codes
+  ADD COLUMN IF NOT EXISTS failed_attempts integer NOT NULL DEFAULT 0;
@@ -0,0 +1,5 @@
+-- Idempotency-Key replays are limited to routes that opt in, so sign-in responses are no longer
+-- stored. Stored responses only live for a day, so drop them all rather than keep the tokens of
+-- earlier auth responses around.
+
+DELETE FROM public.idempotency_keys;
@@ -0,0 +1,3 @@
+-- Receiver response bodies are no longer kept with delivery attempts, since they could expose the
+-- contents of whatever a webhook URL pointed at
+UPDATE public.webhook_delivery_attempts SET response_body = NULL WHERE response_body IS NOT NULL;
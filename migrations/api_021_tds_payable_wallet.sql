@@ -0,0 +1,7 @@
+-- TDS deducted from a payout is owed to the government, not the requester: it is credited to a
+-- per-business `tds_payable` account while the requester's wallet gets the net amount.
+-- Payouts posted before this keep their gross postings; correct them with reversing transactions.
+
+ALTER TABLE public.wallets DROP CONSTRAINT IF EXISTS wallets_kind_check;
+ALTER TABLE public.wallets
+  ADD CONSTRAINT wallets_kind_check CHECK (kind IN ('user', 'business', 'tds_payable'));
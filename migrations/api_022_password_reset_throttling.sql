@@ -0,0 +1,5 @@
+-- Password reset requests are throttled per email like sign-in attempts
+
+ALTER TABLE public.auth_throttles DROP CONSTRAINT IF EXISTS auth_throttles_scope_check;
+ALTER TABLE public.auth_throttles
+  ADD CONSTRAINT auth_throttles_scope_check CHECK (scope IN ('login', 'otp', 'reset', 'ip'));
@@ -0,0 +1,13 @@
+-- Proof that an OTP was verified, exchanged once for a session by /create-user or /create-user-phone.
+-- Only the SHA-256 hash of the token handed to the client is stored.
+
+CREATE TABLE IF NOT EXISTS public.otp_verifications (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  token_hash text NOT NULL UNIQUE,
+  email text,
+  phone text,
+  expires_at timestamptz NOT NULL,
+  used_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  CHECK (email IS NOT NULL OR phone IS NOT NULL)
+);
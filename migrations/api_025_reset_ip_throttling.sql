@@ -0,0 +1,7 @@
+-- Password reset requests are counted per IP separately from sign-in attempts, so resets from a
+-- shared address cannot lock everyone behind it out of signing in
+
+ALTER TABLE public.auth_throttles DROP CONSTRAINT IF EXISTS auth_throttles_scope_check;
+ALTER TABLE public.auth_throttles
+  ADD CONSTRAINT auth_throttles_scope_check CHECK (scope IN ('login', 'otp', '2fa', 'reset', 'ip', 'reset-ip'));
+
@@ -1,17 +1,34 @@
 const fastify = require("fastify");
 const cors = require("@fastify/cors");
 const jwt = require("@fastify/jwt");
+const multipart = require("@fastify/multipart");
 const path = require("path");
 const fs = require("fs/promises");
 const registerDatabase = require("./plugins/db");
+const { findUserByEmail, getUserRoles } = require("./services/userService");
+const { isReviewer } = require("./services/payoutService");
+const { ACCESS_TOKEN_TTL, isSessionActive } = require("./services/sessionService");
+const idempotency = require("./plugins/idempotency");
+const webhooks = require("./plugins/webhooks");
+const payoutEscalations = require("./plugins/payoutEscalations");
+const { PROOF_MAX_BYTES } = require("./utils/proofStorage");
 const payoutRequestRoutes = require("./routes/payoutRequests");
 const otpRoutes = require("./routes/otp");
 const authRoutes = require("./routes/auth");
 const invitesRoutes = require("./routes/invites");
+const approvalPolicyRoutes = require("./routes/approvalPolicies");
+const reconciliationRoutes = require("./routes/reconciliation");
+const walletRoutes = require("./routes/wallets");
+const webhookRoutes = require("./routes/webhooks");
+const payoutLimitRoutes = require("./routes/payoutLimits");
+const tdsSectionRoutes = require("./routes/tdsSections");
+const twoFactorRoutes = require("./routes/twoFactor");
 
 async function buildApp() {
   const app = fastify({
     logger: true,
+    // Behind a load balancer, take the client IP (used for login throttling) from X-Forwarded-For
+    trustProxy: process.env.TRUST_PROXY === "true",
   });
 
   await app.register(cors, {
@@ -25,24 +42,84 @@ async function buildApp() {
   await app.register(jwt, {
     secret: process.env.JWT_SECRET,
     sign: {
-      expiresIn: process.env.JWT_EXPIRES_IN || "1h",
+      expiresIn: ACCESS_TOKEN_TTL,
+    },
+  });
+
+  // Multipart bodies are streamed by the routes that accept them (payout proofs)
+  await app.register(multipart, {
+    limits: {
+      fileSize: PROOF_MAX_BYTES,
+      files: 1,
+      fields: 10,
+      fieldSize: 64 * 1024,
     },
   });
 
   await app.register(registerDatabase);
+  await app.register(idempotency);
+  await app.register(webhooks);
+  await app.register(payoutEscalations);
 
+  // Access tokens are only honoured while the session they were issued for is active
   app.decorate("authenticate", async function authenticate(request, reply) {
     try {
       await request.jwtVerify();
     } catch (error) {
-      reply.code(401).send({ message: "Unauthorized", error: error.message });
+      return reply.code(401).send({ message: "Unauthorized", error: error.message });
+    }
+
+    const { sid, sub } = request.user;
+    if (!sid || !(await isSessionActive(app.pg, sid, sub))) {
+      return reply.code(401).send({ message: "Unauthorized", error: "Session has ended" });
     }
   });
 
+  // Only managers, admins and auditors may review payout requests; use after app.authenticate
+  app.decorate("requireReviewer", async function requireReviewer(request, reply) {
+    if (reply.sent) {
+      return reply;
+    }
+
+    const user = await findUserByEmail(app.pg, request.user.email);
+    if (!user) {
+      return reply.code(404).send({ message: "User not found" });
+    }
+
+    const roles = await getUserRoles(app.pg, user.id);
+    if (!isReviewer(roles)) {
+      return reply.code(403).send({ message: "Only managers, admins and auditors can review payout requests" });
+    }
+
+    request.reviewer = user;
+    request.reviewerRoles = roles;
+  });
+
+  // Organisation-wide settings (payout limits, TDS sections) are admin-only; use after app.authenticate
+  app.decorate("requireAdmin", async function requireAdmin(request, reply) {
+    if (reply.sent) {
+      return reply;
+    }
+
+    const user = await findUserByEmail(app.pg, request.user.email);
+    if (!user) {
+      return reply.code(404).send({ message: "User not found" });
+    }
+
+    const roles = await getUserRoles(app.pg, user.id);
+    if (!roles.includes("admin")) {
+      return reply.code(403).send({ message: "Only admins can change these settings" });
+    }
+
+    request.admin = user;
+  });
+
   app.get("/health", async () => ({ status: "ok" }));
 
-  // Serve uploaded files
-  app.get("/uploads/:filename", async (request, reply) => {
+  // Serve uploaded files (UPI QR codes) to signed-in users. Payout proofs and comment attachments hold
+  // bank details and are only served through the payout request endpoints, which check the caller may
+  // see the request.
+  app.get("/uploads/:filename", { preValidation: [app.authenticate] }, async (request, reply) => {
     const { filename } = request.params;
     
     // Security: prevent directory traversal
@@ -50,6 +127,10 @@ async function buildApp() {
       return reply.code(400).send({ message: "Invalid filename" });
     }
 
+    if (filename.startsWith("payout-") || filename.startsWith("comment-")) {
+      return reply.code(404).send({ message: "File not found" });
+    }
+
     try {
       const filePath = path.join(process.cwd(), "uploads", filename);
       const fileBuffer = await fs.readFile(filePath);
@@ -77,9 +158,16 @@ async function buildApp() {
   });
 
   await app.register(authRoutes, { prefix: "/api/auth" });
+  await app.register(twoFactorRoutes, { prefix: "/api/auth/2fa" });
   await app.register(payoutRequestRoutes, { prefix: "/api/payout-requests" });
   await app.register(otpRoutes, { prefix: "/api/otp" });
   await app.register(invitesRoutes, { prefix: "/api" });
+  await app.register(approvalPolicyRoutes, { prefix: "/api/payout-approval-policies" });
+  await app.register(reconciliationRoutes, { prefix: "/api/reconciliation" });
+  await app.register(walletRoutes, { prefix: "/api/wallets" });
+  await app.register(webhookRoutes, { prefix: "/api/webhooks" });
+  await app.register(payoutLimitRoutes, { prefix: "/api/payout-limits" });
+  await app.register(tdsSectionRoutes, { prefix: "/api/tds-sections" });
 
   return app;
 }
@@ -0,0 +1,181 @@
+const fp = require("fastify-plugin");
+const crypto = require("crypto");
+
+const IDEMPOTENCY_HEADER = "idempotency-key";
+const IDEMPOTENCY_TTL_HOURS = Number(process.env.IDEMPOTENCY_TTL_HOURS || 24);
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+const IDEMPOTENT_METHODS = ["POST", "PATCH"];
+// A claim still in progress after this long is assumed to belong to a crashed request
+const STALE_CLAIM_MINUTES = 5;
+
+// Identifies the request a key was first used for, so a key cannot be replayed for a different payload
+function fingerprint(request, body) {
+  return crypto
+    .createHash("sha256")
+    .update(`${request.method} ${request.routeOptions.url} ${JSON.stringify(request.params || {})} ${JSON.stringify(body ?? null)}`)
+    .digest("hex");
+}
+
+// Replays the stored response of a mutating request retried with the same Idempotency-Key header.
+// Only routes with `config: { idempotent: true }` take part; they must be authenticated, since keys
+// are scoped per user, and must not return credentials, since responses are stored as sent and kept
+// for IDEMPOTENCY_TTL_HOURS. Requests without the header are untouched.
+//
+// Routes used before signing in, or that answer with credentials, pass an object instead:
+//   `scope(request)` names who the key belongs to, `fingerprintBody(request)` picks the part of the
+//   body that identifies the payload (leaving out secrets), and the handler sets
+//   `request.idempotentResponse` to the part of its response that may be stored. A retry of a
+//   successful request then reaches the handler with `request.idempotentReplay` set to the stored
+//   `{ statusCode, body }`, so it can answer with fresh credentials.
+//
+// Multipart bodies are only read by the handler, so for those the key is left on
+// `request.idempotencyKey` and the handler calls `app.claimIdempotencyKey` once it knows the form
+// fields and file hashes.
+async function idempotencyPlugin(fastifyInstance) {
+  /**
+   * Claim the request's Idempotency-Key, or answer with the stored response of the request that
+   * already used it
+   * @param {import("fastify").FastifyRequest} request
+   * @param {import("fastify").FastifyReply} reply
+   * @param {*} body - What identifies the payload, e.g. the parsed body
+   * @returns {Promise<boolean>} - false when a response was sent and the handler must stop
+   */
+  async function claimIdempotencyKey(request, reply, body) {
+    const options = request.routeOptions.config?.idempotent;
+    const scope = typeof options?.scope === "function" ? options.scope(request) : request.user.sub;
+    const key = request.headers[IDEMPOTENCY_HEADER];
+    const requestFingerprint = fingerprint(request, body);
+
+    // Claim the key, taking it over if a previous claim has expired or was abandoned mid-request
+    const claimed = await fastifyInstance.pg.query(
+      `INSERT INTO public.idempotency_keys (scope, idempotency_key, request_fingerprint, expires_at)
+       VALUES ($1, $2, $3, now() + make_interval(hours => $4))
+       ON CONFLICT (scope, idempotency_key) DO UPDATE
+       SET request_fingerprint = EXCLUDED.request_fingerprint,
+           status = 'in_progress',
+           response_status = NULL,
+           response_content_type = NULL,
+           response_body = NULL,
+           created_at = now(),
+           expires_at = EXCLUDED.expires_at
+       WHERE idempotency_keys.expires_at < now()
+          OR (idempotency_keys.status = 'in_progress' AND idempotency_keys.created_at < now() - make_interval(mins => $5))
+       RETURNING id`,
+      [scope, key, requestFingerprint, IDEMPOTENCY_TTL_HOURS, STALE_CLAIM_MINUTES],
+    );
+
+    if (claimed.rows.length > 0) {
+      request.idempotencyRecordId = claimed.rows[0].id;
+      return true;
+    }
+
+    const existing = await fastifyInstance.pg.query(
+      `SELECT request_fingerprint, status, response_status, response_content_type, response_body
+       FROM public.idempotency_keys
+       WHERE scope = $1 AND idempotency_key = $2`,
+      [scope, key],
+    );
+    const record = existing.rows[0];
+
+    if (!record) {
+      // Released between our insert attempt and this read (the first attempt failed); let the client retry
+      reply.code(409).send({ message: "Idempotency-Key is being released, please retry" });
+      return false;
+    }
+
+    if (record.request_fingerprint !== requestFingerprint) {
+      reply.code(422).send({ message: "Idempotency-Key was already used for a different request" });
+      return false;
+    }
+
+    if (record.status !== "completed") {
+      reply.code(409).send({ message: "A request with this Idempotency-Key is still being processed" });
+      return false;
+    }
+
+    reply.header("Idempotent-Replayed", "true");
+    if (typeof options === "object" && record.response_status < 300) {
+      request.idempotentReplay = {
+        statusCode: record.response_status,
+        body: record.response_body ? JSON.parse(record.response_body) : null,
+      };
+      return true;
+    }
+    reply.code(record.response_status);
+    if (record.response_content_type) {
+      reply.type(record.response_content_type);
+    }
+    reply.send(record.response_body);
+    return false;
+  }
+
+  fastifyInstance.decorate("claimIdempotencyKey", claimIdempotencyKey);
+  fastifyInstance.decorateRequest("idempotencyKey", null);
+  fastifyInstance.decorateRequest("idempotentResponse", null);
+  fastifyInstance.decorateRequest("idempotentReplay", null);
+
+  fastifyInstance.addHook("preHandler", async (request, reply) => {
+    const key = request.headers[IDEMPOTENCY_HEADER];
+    if (!key || !request.routeOptions.config?.idempotent || !IDEMPOTENT_METHODS.includes(request.method) || reply.sent) {
+      return;
+    }
+
+    if (typeof key !== "string" || key.length > 255) {
+      return reply.code(400).send({ message: "Idempotency-Key must be at most 255 characters" });
+    }
+
+    if (request.isMultipart()) {
+      request.idempotencyKey = key;
+      return;
+    }
+
+    const options = request.routeOptions.config.idempotent;
+    const body = typeof options.fingerprintBody === "function" ? options.fingerprintBody(request) : request.body;
+    if (!(await claimIdempotencyKey(request, reply, body))) {
+      return reply;
+    }
+  });
+
+  fastifyInstance.addHook("onSend", async (request, reply, payload) => {
+    if (!request.idempotencyRecordId) {
+      return payload;
+    }
+
+    const recordId = request.idempotencyRecordId;
+    request.idempotencyRecordId = null;
+
+    try {
+      // Server errors are not final: free the key so the client's retry runs again
+      if (reply.statusCode >= 500 || typeof payload !== "string") {
+        await fastifyInstance.pg.query("DELETE FROM public.idempotency_keys WHERE id = $1", [recordId]);
+        return payload;
+      }
+
+      // Routes that answer with credentials only hand over what may be kept
+      const storedBody = request.idempotentResponse ? JSON.stringify(request.idempotentResponse) : payload;
+      await fastifyInstance.pg.query(
+        `UPDATE public.idempotency_keys
+         SET status = 'completed', response_status = $2, response_content_type = $3, response_body = $4
+         WHERE id = $1`,
+        [recordId, reply.statusCode, reply.getHeader("content-type") || null, storedBody],
+      );
+    } catch (error) {
+      request.log.error({ err: error }, "Failed to store idempotent response");
+    }
+
+    return payload;
+  });
+
+  const cleanupTimer = setInterval(() => {
+    fastifyInstance.pg
+      .query("DELETE FROM public.idempotency_keys WHERE expires_at < now()")
+      .catch((error) => fastifyInstance.log.error({ err: error }, "Failed to clean up expired idempotency keys"));
+  }, CLEANUP_INTERVAL_MS);
+  cleanupTimer.unref();
+
+  fastifyInstance.addHook("onClose", async () => {
+    clearInterval(cleanupTimer);
+  });
+}
+
+module.exports = fp(idempotencyPlugin);
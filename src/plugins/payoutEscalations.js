@@ -0,0 +1,43 @@
+const fp = require("fastify-plugin");
+const { runPayoutEscalations } = require("../services/payoutEscalationService");
+
+const ESCALATION_INTERVAL_MS = Number(process.env.PAYOUT_ESCALATION_INTERVAL_MS || 15 * 60 * 1000);
+
+// Periodically escalates payout requests left pending past PAYOUT_SLA_HOURS. Setting
+// PAYOUT_ESCALATION_INTERVAL_MS to 0 turns the job off, e.g. on all but one instance.
+async function payoutEscalationsPlugin(fastifyInstance) {
+  if (ESCALATION_INTERVAL_MS <= 0) {
+    return;
+  }
+
+  let running = false;
+
+  async function run() {
+    if (running) {
+      return;
+    }
+    running = true;
+    try {
+      const { escalations, errors } = await runPayoutEscalations(fastifyInstance.pg);
+      for (const escalation of escalations) {
+        fastifyInstance.log.info({ escalation }, "Escalated overdue payout request");
+      }
+      for (const { payoutRequestId, error } of errors) {
+        fastifyInstance.log.error({ err: error, payoutRequestId }, "Failed to escalate payout request");
+      }
+    } catch (error) {
+      fastifyInstance.log.error({ err: error }, "Failed to run payout escalations");
+    } finally {
+      running = false;
+    }
+  }
+
+  const escalationTimer = setInterval(run, ESCALATION_INTERVAL_MS);
+  escalationTimer.unref();
+
+  fastifyInstance.addHook("onClose", async () => {
+    clearInterval(escalationTimer);
+  });
+}
+
+module.exports = fp(payoutEscalationsPlugin);
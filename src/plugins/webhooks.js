@@ -0,0 +1,51 @@
+const fp = require("fastify-plugin");
+const { enqueueWebhookEvent, processDueDeliveries } = require("../services/webhookService");
+
+const POLL_INTERVAL_MS = Number(process.env.WEBHOOK_POLL_INTERVAL_MS || 15 * 1000);
+
+// Delivers queued webhook events in the background. Routes call app.emitWebhookEvent after their
+// change is committed; delivery problems are logged and never fail the request that raised the event.
+async function webhooksPlugin(fastifyInstance) {
+  let running = false;
+  let rerun = false;
+
+  async function drain() {
+    if (running) {
+      rerun = true;
+      return;
+    }
+    running = true;
+    try {
+      do {
+        rerun = false;
+        while ((await processDueDeliveries(fastifyInstance.pg)) > 0) {
+          // Keep going while full batches are due
+        }
+      } while (rerun);
+    } catch (error) {
+      fastifyInstance.log.error({ err: error }, "Failed to process webhook deliveries");
+    } finally {
+      running = false;
+    }
+  }
+
+  fastifyInstance.decorate("emitWebhookEvent", async function emitWebhookEvent(event, payoutRequestId) {
+    try {
+      const queued = await enqueueWebhookEvent(fastifyInstance.pg, { event, payoutRequestId });
+      if (queued > 0) {
+        drain();
+      }
+    } catch (error) {
+      fastifyInstance.log.error({ err: error, event, payoutRequestId }, "Failed to queue webhook event");
+    }
+  });
+
+  const pollTimer = setInterval(drain, POLL_INTERVAL_MS);
+  pollTimer.unref();
+
+  fastifyInstance.addHook("onClose", async () => {
+    clearInterval(pollTimer);
+  });
+}
+
+module.exports = fp(webhooksPlugin);
@@ -0,0 +1,118 @@
+const { findUserByEmail } = require("../services/userService");
+const { canManageBusiness, getBusinessMembership } = require("../services/businessService");
+const { REVIEWER_ROLES } = require("../services/payoutService");
+const { getApprovalTiers, replaceApprovalTiers } = require("../services/approvalPolicyService");
+const { withTransaction } = require("../utils/db");
+
+async function approvalPolicyRoutes(app) {
+  // Get the approval tiers that apply to a business (or the default policy)
+  app.get(
+    "/",
+    {
+      preValidation: [app.authenticate],
+      schema: {
+        querystring: {
+          type: "object",
+          properties: {
+            businessId: { type: "string", format: "uuid" },
+          },
+        },
+      },
+    },
+    async (request, reply) => {
+      const { businessId } = request.query;
+
+      try {
+        // The default policy is visible to everyone; a business's own tiers only to its members and admins
+        if (businessId) {
+          const user = await findUserByEmail(app.pg, request.user.email);
+          if (!user) {
+            return reply.code(404).send({ message: "User not found" });
+          }
+          const { exists, member } = await getBusinessMembership(app.pg, user.id, businessId);
+          if (!exists) {
+            return reply.code(404).send({ message: "Business not found" });
+          }
+          if (!member) {
+            return reply.code(403).send({ message: "You are not a member of this business" });
+          }
+        }
+
+        const tiers = await getApprovalTiers(app.pg, businessId);
+
+        return reply.send({
+          businessId: businessId || null,
+          // True when the business has no tiers of its own and falls back to the default policy
+          inherited: Boolean(businessId) && tiers.every((tier) => tier.businessId !== businessId),
+          tiers,
+        });
+      } catch (error) {
+        request.log.error({ err: error }, "Failed to fetch approval policy");
+        return reply.code(500).send({ message: "Failed to fetch approval policy" });
+      }
+    },
+  );
+
+  // Replace the approval tiers of a business (or the default policy when businessId is omitted)
+  app.put(
+    "/",
+    {
+      preValidation: [app.authenticate],
+      schema: {
+        body: {
+          type: "object",
+          required: ["tiers"],
+          properties: {
+            businessId: { type: "string", format: "uuid" },
+            tiers: {
+              type: "array",
+              maxItems: 5,
+              items: {
+                type: "object",
+                required: ["minAmount", "approverRoles"],
+                properties: {
+                  minAmount: { type: "number", minimum: 0 },
+                  approverRoles: {
+                    type: "array",
+                    minItems: 1,
+                    items: { type: "string", enum: REVIEWER_ROLES },
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+    async (request, reply) => {
+      const { businessId, tiers } = request.body;
+
+      try {
+        const user = await findUserByEmail(app.pg, request.user.email);
+        if (!user) {
+          return reply.code(404).send({ message: "User not found" });
+        }
+
+        if (!(await canManageBusiness(app.pg, user.id, businessId))) {
+          return reply.code(403).send({ message: "You are not allowed to change this approval policy" });
+        }
+
+        await withTransaction(app.pg, (client) => replaceApprovalTiers(client, businessId, tiers));
+
+        // An empty tier list drops the business back onto the default policy
+        const effectiveTiers = await getApprovalTiers(app.pg, businessId);
+
+        return reply.send({
+          businessId: businessId || null,
+          inherited: Boolean(businessId) && effectiveTiers.every((tier) => tier.businessId !== businessId),
+          tiers: effectiveTiers,
+        });
+      } catch (error) {
+        request.log.error({ err: error }, "Failed to update approval policy");
+        return reply.code(500).send({ message: "Failed to update approval policy" });
+      }
+    },
+  );
+}
+
+module.exports = approvalPolicyRoutes;
@@ -1,6 +1,7 @@
 const { verifyPassword } = require("../utils/password");
 const {
   findUserByEmail,
+  findUserById,
   findUserByPhone,
   createUser,
   getUserRoles,
@@ -8,12 +9,75 @@ const {
   getUserDetails,
   updateUserDetails,
 } = require("../services/userService");
+const {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  listActiveSessions,
+  revokeUserSession,
+  revokeOtherSessions,
+} = require("../services/sessionService");
+const { requestPasswordReset, resetPassword } = require("../services/passwordResetService");
+const {
+  getThrottle,
+  recordFailedAttempt,
+  clearFailedAttempts,
+  listLockoutEvents,
+} = require("../services/authThrottleService");
+const {
+  createLoginChallenge,
+  getLoginChallengeUserId,
+  startChallengeEnrollment,
+  completeLoginChallenge,
+} = require("../services/twoFactorService");
+const { consumeOtpVerification } = require("../services/otpVerificationService");
+const { sendPasswordChangedEmail } = require("../utils/email");
 const { saveImageToDisk, deleteImageFromDisk } = require("../utils/fileUpload");
 
 async function authRoutes(app) {
+  function signAccessToken(user, roles, sessionId) {
+    return app.jwt.sign({
+      sub: user.id,
+      email: user.email,
+      status: user.status,
+      roles: roles,
+      role: roles[0] || "managers", // Primary role for quick access
+      sid: sessionId,
+    });
+  }
+
+  // Start a session for a user who just signed in: a short-lived access token plus a refresh token
+  async function issueTokens(request, user, roles, loginMethod) {
+    const { sessionId, refreshToken } = await createSession(app.pg, {
+      userId: user.id,
+      loginMethod,
+      userAgent: request.headers["user-agent"],
+      ipAddress: request.ip,
+    });
+    return { token: signAccessToken(user, roles, sessionId), refreshToken };
+  }
+
+  // Tokens for a user who passed the first factor, or a login challenge when a second factor is due
+  async function signIn(request, user, roles, loginMethod) {
+    const challenge = await createLoginChallenge(app.pg, { userId: user.id, roles, loginMethod });
+    if (challenge) {
+      return { twoFactorRequired: true, ...challenge };
+    }
+    return issueTokens(request, user, roles, loginMethod);
+  }
+
   app.post(
     "/register",
     {
+      // A retried registration signs the new user in again instead of answering "already registered".
+      // Keys belong to the email address; the password is left out of the stored fingerprint and
+      // checked against the account on replay, and only the user part of the response is stored.
+      config: {
+        idempotent: {
+          scope: (request) => `register:${request.body.email.toLowerCase()}`,
+          fingerprintBody: (request) => ({ ...request.body, email: request.body.email.toLowerCase(), password: undefined }),
+        },
+      },
       schema: {
         body: {
           type: "object",
@@ -31,6 +95,19 @@ async function authRoutes(app) {
     },
     async (request, reply) => {
       const { email, password, firstName, lastName, phone, role } = request.body;
+
+      if (request.idempotentReplay) {
+        const user = await findUserByEmail(app.pg, email);
+        if (!user || !(await verifyPassword(password, user.password_hash))) {
+          return reply.code(422).send({ message: "Idempotency-Key was already used for a different request" });
+        }
+        const roles = await getUserRoles(app.pg, user.id);
+        const signedIn = await signIn(request, user, roles, "password");
+        return reply.code(request.idempotentReplay.statusCode).send(
+          signedIn.twoFactorRequired ? signedIn : { ...signedIn, user: request.idempotentReplay.body?.user },
+        );
+      }
+
       const existing = await findUserByEmail(app.pg, email);
 
       if (existing) {
@@ -63,24 +140,27 @@ async function authRoutes(app) {
       const roles = await getUserRoles(app.pg, user.id);
       const primaryRole = roles[0] || "managers";
 
-      const token = app.jwt.sign({
-        sub: user.id,
+      const userDetails = {
+        id: user.id,
         email: user.email,
         status: user.status,
         roles: roles,
-        role: primaryRole, // Primary role for quick access
-      });
+        role: primaryRole,
+        createdAt: user.created_at,
+      };
+      // Stored for Idempotency-Key replays in place of the response, which holds the tokens
+      request.idempotentResponse = { user: userDetails };
+
+      const signedIn = await signIn(request, user, roles, "password");
+      if (signedIn.twoFactorRequired) {
+        return reply.code(201).send(signedIn);
+      }
+      const { token, refreshToken } = signedIn;
 
       return reply.code(201).send({
         token,
-        user: {
-          id: user.id,
-          email: user.email,
-          status: user.status,
-          roles: roles,
-          role: primaryRole,
-          createdAt: user.created_at,
-        },
+        refreshToken,
+        user: userDetails,
       });
     },
   );
@@ -102,18 +182,30 @@ async function authRoutes(app) {
     async (request, reply) => {
       const { email, password } = request.body;
 
+      // Guesses are counted per email, whether or not it has an account, and per client IP
+      const accountKey = { scope: "login", key: email.toLowerCase() };
+      const throttleKeys = [accountKey, { scope: "ip", key: request.ip }];
+      const throttled = await getThrottle(app.pg, throttleKeys);
+      if (throttled) {
+        return reply.code(429).header("Retry-After", throttled.retryAfter).send(throttled);
+      }
+
       const user = await findUserByEmail(app.pg, email);
 
       if (!user) {
+        await recordFailedAttempt(app.pg, throttleKeys, { ipAddress: request.ip });
         return reply.code(401).send({ message: "Invalid email or password" });
       }
 
       const isValid = await verifyPassword(password, user.password_hash);
 
       if (!isValid) {
+        await recordFailedAttempt(app.pg, throttleKeys, { userId: user.id, ipAddress: request.ip });
         return reply.code(401).send({ message: "Invalid email or password" });
       }
 
+      await clearFailedAttempts(app.pg, accountKey);
+
       await app.pg.query(
         "UPDATE public.users SET last_login_at = now(), updated_at = now() WHERE id = $1",
         [user.id],
@@ -123,16 +215,15 @@ async function authRoutes(app) {
       const roles = await getUserRoles(app.pg, user.id);
       const primaryRole = roles[0] || "managers";
 
-      const token = app.jwt.sign({
-        sub: user.id,
-        email: user.email,
-        status: user.status,
-        roles: roles,
-        role: primaryRole,
-      });
+      const signedIn = await signIn(request, user, roles, "password");
+      if (signedIn.twoFactorRequired) {
+        return reply.send(signedIn);
+      }
+      const { token, refreshToken } = signedIn;
 
       return reply.send({
         token,
+        refreshToken,
         user: {
           id: user.id,
           email: user.email,
@@ -144,15 +235,227 @@ async function authRoutes(app) {
     },
   );
 
+  // Second step of a sign-in that answered with `twoFactorRequired`: a TOTP `code` or a `recoveryCode`.
+  // When the challenge says `setupRequired`, the code confirms the enrollment from /login/2fa/setup.
+  app.post(
+    "/login/2fa",
+    {
+      schema: {
+        body: {
+          type: "object",
+          required: ["challengeToken"],
+          properties: {
+            challengeToken: { type: "string", minLength: 1 },
+            code: { type: "string", pattern: "^\\d{6}$" },
+            recoveryCode: { type: "string", minLength: 1, maxLength: 32 },
+          },
+          oneOf: [{ required: ["code"] }, { required: ["recoveryCode"] }],
+        },
+      },
+    },
+    async (request, reply) => {
+      // Wrong codes count against the account and the client IP like wrong passwords do, so signing in
+      // again for a fresh challenge does not buy more guesses
+      const challengeUserId = await getLoginChallengeUserId(app.pg, request.body.challengeToken);
+      const accountKey = challengeUserId ? { scope: "2fa", key: challengeUserId } : null;
+      const throttleKeys = [...(accountKey ? [accountKey] : []), { scope: "ip", key: request.ip }];
+      const throttled = await getThrottle(app.pg, throttleKeys);
+      if (throttled) {
+        return reply.code(429).header("Retry-After", throttled.retryAfter).send(throttled);
+      }
+
+      try {
+        const { userId, loginMethod, recoveryCodes } = await completeLoginChallenge(app.pg, request.body);
+        await clearFailedAttempts(app.pg, { scope: "2fa", key: userId });
+
+        const user = await findUserById(app.pg, userId);
+        const roles = await getUserRoles(app.pg, userId);
+        const { token, refreshToken } = await issueTokens(request, user, roles, loginMethod);
+
+        return reply.send({
+          token,
+          refreshToken,
+          ...(recoveryCodes ? { recoveryCodes } : {}),
+          user: {
+            id: user.id,
+            email: user.email,
+            status: user.status,
+            roles: roles,
+            role: roles[0] || "managers",
+          },
+        });
+      } catch (error) {
+        if (error.statusCode === 401) {
+          await recordFailedAttempt(app.pg, throttleKeys, { userId: challengeUserId, ipAddress: request.ip });
+        }
+        if (error.statusCode) {
+          return reply.code(error.statusCode).send({ message: error.message });
+        }
+        request.log.error({ err: error }, "Failed to verify two-factor code");
+        return reply.code(500).send({ message: "Failed to verify two-factor code" });
+      }
+    },
+  );
+
+  // Secret and otpauth URI for a user whose role requires two-factor authentication but who has not set it up
+  app.post(
+    "/login/2fa/setup",
+    {
+      schema: {
+        body: {
+          type: "object",
+          required: ["challengeToken"],
+          properties: {
+            challengeToken: { type: "string", minLength: 1 },
+          },
+        },
+      },
+    },
+    async (request, reply) => {
+      try {
+        return reply.send(await startChallengeEnrollment(app.pg, request.body.challengeToken));
+      } catch (error) {
+        if (error.statusCode) {
+          return reply.code(error.statusCode).send({ message: error.message });
+        }
+        request.log.error({ err: error }, "Failed to start two-factor setup");
+        return reply.code(500).send({ message: "Failed to start two-factor setup" });
+      }
+    },
+  );
+
+  // Lockouts caused by repeated failed sign-in or OTP guesses (admin)
+  app.get(
+    "/lockouts",
+    {
+      preValidation: [app.authenticate, app.requireAdmin],
+      schema: {
+        querystring: {
+          type: "object",
+          properties: {
+            active: { type: "boolean", default: false },
+            limit: { type: "integer", minimum: 1, maximum: 500, default: 100 },
+          },
+        },
+      },
+    },
+    async (request, reply) => {
+      try {
+        const lockouts = await listLockoutEvents(app.pg, {
+          limit: request.query.limit,
+          activeOnly: request.query.active,
+        });
+        return reply.send({ lockouts });
+      } catch (error) {
+        request.log.error({ err: error }, "Failed to fetch lockouts");
+        return reply.code(500).send({ message: "Failed to fetch lockouts" });
+      }
+    },
+  );
+
+  // Trade a refresh token for a new access token and refresh token; the old refresh token stops working
+  app.post(
+    "/refresh",
+    {
+      schema: {
+        body: {
+          type: "object",
+          required: ["refreshToken"],
+          properties: {
+            refreshToken: { type: "string", minLength: 1 },
+          },
+        },
+      },
+    },
+    async (request, reply) => {
+      try {
+        const { sessionId, userId, refreshToken } = await rotateRefreshToken(app.pg, request.body.refreshToken, {
+          userAgent: request.headers["user-agent"],
+          ipAddress: request.ip,
+        });
+
+        const user = await findUserById(app.pg, userId);
+        const roles = await getUserRoles(app.pg, userId);
+
+        return reply.send({ token: signAccessToken(user, roles, sessionId), refreshToken });
+      } catch (error) {
+        if (error.statusCode) {
+          return reply.code(error.statusCode).send({ message: error.message, ...error.extra });
+        }
+        request.log.error({ err: error }, "Failed to refresh token");
+        return reply.code(500).send({ message: "Failed to refresh token" });
+      }
+    },
+  );
+
+  // Ends the caller's session: its access tokens and refresh token are refused from now on
   app.post(
     "/logout",
     { preValidation: [app.authenticate] },
     async (request, reply) => {
-      // For stateless JWT auth we simply rely on client to discard token.
+      await revokeSession(app.pg, request.user.sid, "logout");
       return reply.send({ success: true });
     },
   );
 
+  // Where the caller is signed in; `current` marks the session making this request
+  app.get(
+    "/sessions",
+    { preValidation: [app.authenticate] },
+    async (request, reply) => {
+      try {
+        const sessions = await listActiveSessions(app.pg, request.user.sub, request.user.sid);
+        return reply.send({ sessions });
+      } catch (error) {
+        request.log.error({ err: error }, "Failed to fetch sessions");
+        return reply.code(500).send({ message: "Failed to fetch sessions" });
+      }
+    },
+  );
+
+  // Sign out every other device, keeping the current session
+  app.delete(
+    "/sessions",
+    { preValidation: [app.authenticate] },
+    async (request, reply) => {
+      try {
+        const revoked = await revokeOtherSessions(app.pg, request.user.sub, request.user.sid, "revoked_by_user");
+        return reply.send({ success: true, revoked });
+      } catch (error) {
+        request.log.error({ err: error }, "Failed to revoke sessions");
+        return reply.code(500).send({ message: "Failed to revoke sessions" });
+      }
+    },
+  );
+
+  // Sign out one device, e.g. a lost phone; revoking the current session is the same as logging out
+  app.delete(
+    "/sessions/:id",
+    {
+      preValidation: [app.authenticate],
+      schema: {
+        params: {
+          type: "object",
+          required: ["id"],
+          properties: {
+            id: { type: "string", format: "uuid" },
+          },
+        },
+      },
+    },
+    async (request, reply) => {
+      try {
+        if (!(await revokeUserSession(app.pg, request.user.sub, request.params.id, "revoked_by_user"))) {
+          return reply.code(404).send({ message: "Session not found" });
+        }
+        return reply.send({ success: true });
+      } catch (error) {
+        request.log.error({ err: error }, "Failed to revoke session");
+        return reply.code(500).send({ message: "Failed to revoke session" });
+      }
+    },
+  );
+
   app.get(
     "/me",
     { preValidation: [app.authenticate] },
@@ -428,6 +731,89 @@ async function authRoutes(app) {
     }
   );
 
+  // Email a password reset link. The answer is the same whether or not the account exists, and it is
+  // sent before the account is looked up so the response time does not tell either.
+  app.post(
+    "/forgot-password",
+    {
+      schema: {
+        body: {
+          type: "object",
+          required: ["email"],
+          properties: {
+            email: { type: "string", format: "email" },
+          },
+        },
+      },
+    },
+    async (request, reply) => {
+      const { email } = request.body;
+
+      // Each request counts against the email and the client IP, whether or not the account exists
+      const throttleKeys = [
+        { scope: "reset", key: email.toLowerCase() },
+        { scope: "reset-ip", key: request.ip },
+      ];
+      const throttled = await getThrottle(app.pg, throttleKeys);
+      if (throttled) {
+        return reply.code(429).header("Retry-After", throttled.retryAfter).send(throttled);
+      }
+      await recordFailedAttempt(app.pg, throttleKeys, { ipAddress: request.ip });
+
+      reply.send({
+        success: true,
+        message: "If an account exists for this email, a password reset link has been sent",
+      });
+
+      try {
+        await requestPasswordReset(app.pg, { email, ipAddress: request.ip });
+      } catch (error) {
+        request.log.error({ err: error }, "Failed to send password reset link");
+      }
+      return reply;
+    },
+  );
+
+  // Set a new password from a reset link; every session of the account is signed out
+  app.post(
+    "/reset-password",
+    {
+      schema: {
+        body: {
+          type: "object",
+          required: ["token", "newPassword"],
+          properties: {
+            token: { type: "string", minLength: 1 },
+            newPassword: { type: "string", minLength: 8 },
+          },
+        },
+      },
+    },
+    async (request, reply) => {
+      let result;
+      try {
+        result = await resetPassword(app.pg, request.body);
+      } catch (error) {
+        if (error.statusCode) {
+          return reply.code(error.statusCode).send({ message: error.message });
+        }
+        request.log.error({ err: error }, "Failed to reset password");
+        return reply.code(500).send({ message: "Failed to reset password" });
+      }
+
+      try {
+        await sendPasswordChangedEmail({ to: result.email });
+      } catch (error) {
+        request.log.error({ err: error, userId: result.userId }, "Failed to send password change confirmation");
+      }
+
+      return reply.send({
+        success: true,
+        message: "Password has been reset. Please sign in with your new password",
+      });
+    },
+  );
+
   // Create user after email OTP verification (no password required)
   app.post(
     "/create-user",
@@ -435,16 +821,26 @@ async function authRoutes(app) {
       schema: {
         body: {
           type: "object",
-          required: ["email"],
+          required: ["email", "verificationToken"],
           properties: {
             email: { type: "string", format: "email" },
+            verificationToken: { type: "string", minLength: 1 }, // Returned by /api/otp/verify
             role: { type: "string" }, // Optional role for invite-based registration
           },
         },
       },
     },
     async (request, reply) => {
-      const { email, role } = request.body;
+      const { email, verificationToken, role } = request.body;
+
+      const verified = await consumeOtpVerification(app.pg, {
+        token: verificationToken,
+        column: "email",
+        value: email.toLowerCase(),
+      });
+      if (!verified) {
+        return reply.code(401).send({ message: "OTP verification is invalid or has expired" });
+      }
       
       // Check if user already exists
       const existing = await findUserByEmail(app.pg, email);
@@ -460,16 +856,15 @@ async function authRoutes(app) {
         const roles = await getUserRoles(app.pg, existing.id);
         const primaryRole = roles[0] || "managers";
 
-        const token = app.jwt.sign({
-          sub: existing.id,
-          email: existing.email,
-          status: existing.status,
-          roles: roles,
-          role: primaryRole,
-        });
+        const signedIn = await signIn(request, existing, roles, "email_otp");
+        if (signedIn.twoFactorRequired) {
+          return reply.send(signedIn);
+        }
+        const { token, refreshToken } = signedIn;
 
         return reply.send({
           token,
+          refreshToken,
           user: {
             id: existing.id,
             email: existing.email,
@@ -503,16 +898,15 @@ async function authRoutes(app) {
       const roles = await getUserRoles(app.pg, user.id);
       const primaryRole = roles[0] || "managers";
 
-      const token = app.jwt.sign({
-        sub: user.id,
-        email: user.email,
-        status: user.status,
-        roles: roles,
-        role: primaryRole,
-      });
+      const signedIn = await signIn(request, user, roles, "email_otp");
+      if (signedIn.twoFactorRequired) {
+        return reply.code(201).send(signedIn);
+      }
+      const { token, refreshToken } = signedIn;
 
       return reply.code(201).send({
         token,
+        refreshToken,
         user: {
           id: user.id,
           email: user.email,
@@ -532,16 +926,27 @@ async function authRoutes(app) {
       schema: {
         body: {
           type: "object",
-          required: ["phone"],
+          required: ["phone", "verificationToken"],
           properties: {
             phone: { type: "string", minLength: 8 },
+            verificationToken: { type: "string", minLength: 1 }, // Returned by /api/otp/verify
             role: { type: "string" }, // Optional role for invite-based registration
           },
         },
       },
     },
     async (request, reply) => {
-      const { phone, role } = request.body;
+      const { phone, verificationToken, role } = request.body;
+
+      // The token is bound to the number exactly as it was sent to /api/otp/verify
+      const verified = await consumeOtpVerification(app.pg, {
+        token: verificationToken,
+        column: "phone",
+        value: phone,
+      });
+      if (!verified) {
+        return reply.code(401).send({ message: "OTP verification is invalid or has expired" });
+      }
 
       // Format phone number (same logic as in OTP routes)
       let formattedPhone = phone.replace(/\D/g, "");
@@ -565,16 +970,15 @@ async function authRoutes(app) {
         const roles = await getUserRoles(app.pg, existing.id);
         const primaryRole = roles[0] || "managers";
 
-        const token = app.jwt.sign({
-          sub: existing.id,
-          email: existing.email,
-          status: existing.status,
-          roles: roles,
-          role: primaryRole,
-        });
+        const signedIn = await signIn(request, existing, roles, "phone_otp");
+        if (signedIn.twoFactorRequired) {
+          return reply.send(signedIn);
+        }
+        const { token, refreshToken } = signedIn;
 
         return reply.send({
           token,
+          refreshToken,
           user: {
             id: existing.id,
             email: existing.email,
@@ -611,16 +1015,15 @@ async function authRoutes(app) {
       const roles = await getUserRoles(app.pg, user.id);
       const primaryRole = roles[0] || "managers";
 
-      const token = app.jwt.sign({
-        sub: user.id,
-        email: user.email,
-        status: user.status,
-        roles: roles,
-        role: primaryRole,
-      });
+      const signedIn = await signIn(request, user, roles, "phone_otp");
+      if (signedIn.twoFactorRequired) {
+        return reply.code(201).send(signedIn);
+      }
+      const { token, refreshToken } = signedIn;
 
       return reply.code(201).send({
         token,
+        refreshToken,
         user: {
           id: user.id,
           email: user.email,
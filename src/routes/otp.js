@@ -1,9 +1,24 @@
+const crypto = require("crypto");
 const axios = require("axios");
 const qs = require("qs");
 const { sendOtpEmail } = require("../utils/email");
+const {
+  OTP_MAX_ATTEMPTS,
+  getThrottle,
+  recordFailedAttempt,
+  clearFailedAttempts,
+  claimOtpAttempt,
+} = require("../services/authThrottleService");
+const { issueOtpVerification } = require("../services/otpVerificationService");
 
 const OTP_TTL_MINUTES = Number(process.env.OTP_TTL_MINUTES || 5);
 
+// Compare fixed-length digests so the comparison takes the same time however much of the code matches
+function otpCodesMatch(expected, actual) {
+  const digest = (value) => crypto.createHash("sha256").update(String(value)).digest();
+  return crypto.timingSafeEqual(digest(expected), digest(actual));
+}
+
 function generateOtpCode() {
   return (Math.floor(100000 + Math.random() * 900000)).toString();
 }
@@ -181,6 +196,79 @@ async function sendOtpSms({ code, phone }) {
 
 
 async function otpRoutes(app) {
+  // Check a code against the latest OTP sent to a phone number or email address. Wrong guesses count
+  // against the OTP (invalidated after too many), the recipient and the client IP.
+  async function verifyLatestOtp(request, reply, { column, value, code }) {
+    const accountKey = { scope: "otp", key: `${column}:${value}` };
+    const throttleKeys = [accountKey, { scope: "ip", key: request.ip }];
+    const throttled = await getThrottle(app.pg, throttleKeys);
+    if (throttled) {
+      return reply.code(429).header("Retry-After", throttled.retryAfter).send(throttled);
+    }
+
+    const { rows } = await app.pg.query(
+      `SELECT id, used, failed_attempts, expires_at
+       FROM public.otp_codes
+       WHERE ${column} = $1
+       ORDER BY created_at DESC
+       LIMIT 1`,
+      [value],
+    );
+
+    if (!rows.length) {
+      await recordFailedAttempt(app.pg, throttleKeys, { ipAddress: request.ip });
+      return reply.code(400).send({ message: "OTP not found" });
+    }
+
+    const otp = rows[0];
+    const now = new Date();
+
+    if (otp.used) {
+      const message = otp.failed_attempts >= OTP_MAX_ATTEMPTS
+        ? "Too many invalid attempts. Please request a new OTP"
+        : "OTP already used";
+      return reply.code(400).send({ message });
+    }
+
+    if (now > otp.expires_at) {
+      return reply.code(400).send({ message: "OTP expired" });
+    }
+
+    // The attempt is counted before the code is compared, so parallel guesses cannot exceed the limit
+    const attempt = await claimOtpAttempt(app.pg, otp.id);
+    if (!attempt) {
+      return reply.code(400).send({ message: "OTP is no longer valid. Please request a new OTP" });
+    }
+
+    if (!otpCodesMatch(attempt.code, code)) {
+      if (attempt.attemptsLeft === 0) {
+        await app.pg.query("UPDATE public.otp_codes SET used = true WHERE id = $1", [otp.id]);
+      }
+      await recordFailedAttempt(app.pg, throttleKeys, { ipAddress: request.ip });
+      return reply.code(400).send({
+        message: attempt.attemptsLeft > 0 ? "Invalid OTP" : "Too many invalid attempts. Please request a new OTP",
+        attemptsLeft: attempt.attemptsLeft,
+      });
+    }
+
+    // Only one of several parallel correct guesses consumes the OTP
+    const consumed = await app.pg.query(
+      `UPDATE public.otp_codes
+       SET used = true, failed_attempts = failed_attempts - 1
+       WHERE id = $1 AND NOT used AND expires_at > now()
+       RETURNING id`,
+      [otp.id],
+    );
+    if (consumed.rows.length === 0) {
+      return reply.code(400).send({ message: "OTP already used" });
+    }
+    await clearFailedAttempts(app.pg, accountKey);
+
+    // Exchanged once for a session by /api/auth/create-user or /api/auth/create-user-phone
+    const { verificationToken, expiresAt } = await issueOtpVerification(app.pg, { column, value });
+    return reply.send({ success: true, verificationToken, expiresAt });
+  }
+
   app.post("/request", {
     schema: {
       body: {
@@ -243,50 +331,10 @@ async function otpRoutes(app) {
     }
 
     try {
-      let query, params;
       if (phone) {
-        query = `SELECT id, code, used, expires_at
-                 FROM public.otp_codes
-                 WHERE phone = $1
-                 ORDER BY created_at DESC
-                 LIMIT 1`;
-        params = [phone];
-      } else {
-        query = `SELECT id, code, used, expires_at
-                 FROM public.otp_codes
-                 WHERE email = $1
-                 ORDER BY created_at DESC
-                 LIMIT 1`;
-        params = [email.toLowerCase()];
-      }
-
-      const { rows } = await app.pg.query(query, params);
-
-      if (!rows.length) {
-        return reply.code(400).send({ message: "OTP not found" });
-      }
-
-      const otp = rows[0];
-      const now = new Date();
-
-      if (otp.used) {
-        return reply.code(400).send({ message: "OTP already used" });
-      }
-
-      if (now > otp.expires_at) {
-        return reply.code(400).send({ message: "OTP expired" });
-      }
-
-      if (otp.code !== code) {
-        return reply.code(400).send({ message: "Invalid OTP" });
+        return await verifyLatestOtp(request, reply, { column: "phone", value: phone, code });
       }
-
-      await app.pg.query(
-        `UPDATE public.otp_codes SET used = true WHERE id = $1`,
-        [otp.id],
-      );
-
-      reply.send({ success: true });
+      return await verifyLatestOtp(request, reply, { column: "email", value: email.toLowerCase(), code });
     } catch (error) {
       request.log.error({ err: error }, "Failed to verify OTP");
       reply.code(500).send({ message: "Failed to verify OTP" });
@@ -347,40 +395,7 @@ async function otpRoutes(app) {
     const { email, code } = request.body;
 
     try {
-      const { rows } = await app.pg.query(
-        `SELECT id, code, used, expires_at
-         FROM public.otp_codes
-         WHERE email = $1
-         ORDER BY created_at DESC
-         LIMIT 1`,
-        [email.toLowerCase()],
-      );
-
-      if (!rows.length) {
-        return reply.code(400).send({ message: "OTP not found" });
-      }
-
-      const otp = rows[0];
-      const now = new Date();
-
-      if (otp.used) {
-        return reply.code(400).send({ message: "OTP already used" });
-      }
-
-      if (now > otp.expires_at) {
-        return reply.code(400).send({ message: "OTP expired" });
-      }
-
-      if (otp.code !== code) {
-        return reply.code(400).send({ message: "Invalid OTP" });
-      }
-
-      await app.pg.query(
-        `UPDATE public.otp_codes SET used = true WHERE id = $1`,
-        [otp.id],
-      );
-
-      reply.send({ success: true });
+      return await verifyLatestOtp(request, reply, { column: "email", value: email.toLowerCase(), code });
     } catch (error) {
       request.log.error({ err: error }, "Failed to verify email OTP");
       reply.code(500).send({ message: "Failed to verify OTP" });
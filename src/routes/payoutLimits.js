@@ -0,0 +1,164 @@
+const { findUserByEmail } = require("../services/userService");
+const {
+  listPayoutLimits,
+  setPayoutLimit,
+  deletePayoutLimit,
+  getPayoutAllowance,
+} = require("../services/payoutLimitService");
+
+const capSchema = { type: ["number", "null"], exclusiveMinimum: 0 };
+
+const limitsBodySchema = {
+  type: "object",
+  required: ["perRequestMax", "dailyMax", "monthlyMax"],
+  properties: {
+    perRequestMax: capSchema,
+    dailyMax: capSchema,
+    monthlyMax: capSchema,
+  },
+};
+
+const roleParamsSchema = {
+  type: "object",
+  required: ["role"],
+  properties: {
+    role: { type: "string", minLength: 1 },
+  },
+};
+
+const userParamsSchema = {
+  type: "object",
+  required: ["userId"],
+  properties: {
+    userId: { type: "string", format: "uuid" },
+  },
+};
+
+// Only admins configure limits; everyone can see their own allowance
+async function payoutLimitRoutes(app) {
+  // Your limits, how much you have requested today / this month and what is left
+  app.get("/me", { preValidation: [app.authenticate] }, async (request, reply) => {
+    try {
+      const user = await findUserByEmail(app.pg, request.user.email);
+      if (!user) {
+        return reply.code(404).send({ message: "User not found" });
+      }
+
+      return reply.send(await getPayoutAllowance(app.pg, user.id));
+    } catch (error) {
+      request.log.error({ err: error }, "Failed to fetch payout allowance");
+      return reply.code(500).send({ message: "Failed to fetch payout allowance" });
+    }
+  });
+
+  // Every configured role and user limit
+  app.get("/", { preValidation: [app.authenticate, app.requireAdmin] }, async (request, reply) => {
+    try {
+      return reply.send(await listPayoutLimits(app.pg));
+    } catch (error) {
+      request.log.error({ err: error }, "Failed to fetch payout limits");
+      return reply.code(500).send({ message: "Failed to fetch payout limits" });
+    }
+  });
+
+  // Set the limits of everyone holding a role
+  app.put(
+    "/roles/:role",
+    {
+      preValidation: [app.authenticate, app.requireAdmin],
+      schema: {
+        params: roleParamsSchema,
+        body: limitsBodySchema,
+      },
+    },
+    async (request, reply) => {
+      const { role } = request.params;
+
+      try {
+        const known = await app.pg.query("SELECT 1 FROM public.roles WHERE name = $1", [role]);
+        if (known.rows.length === 0) {
+          return reply.code(404).send({ message: `Role '${role}' not found` });
+        }
+
+        const limit = await setPayoutLimit(app.pg, { role }, request.body, request.admin.id);
+        return reply.send({ limit });
+      } catch (error) {
+        request.log.error({ err: error }, "Failed to update payout limit");
+        return reply.code(500).send({ message: "Failed to update payout limit" });
+      }
+    },
+  );
+
+  app.delete(
+    "/roles/:role",
+    {
+      preValidation: [app.authenticate, app.requireAdmin],
+      schema: {
+        params: roleParamsSchema,
+      },
+    },
+    async (request, reply) => {
+      try {
+        if (!(await deletePayoutLimit(app.pg, { role: request.params.role }))) {
+          return reply.code(404).send({ message: "Payout limit not found" });
+        }
+        return reply.code(204).send();
+      } catch (error) {
+        request.log.error({ err: error }, "Failed to delete payout limit");
+        return reply.code(500).send({ message: "Failed to delete payout limit" });
+      }
+    },
+  );
+
+  // Give one user their own limits in place of their roles' limits
+  app.put(
+    "/users/:userId",
+    {
+      preValidation: [app.authenticate, app.requireAdmin],
+      schema: {
+        params: userParamsSchema,
+        body: limitsBodySchema,
+      },
+    },
+    async (request, reply) => {
+      const { userId } = request.params;
+
+      try {
+        const known = await app.pg.query("SELECT 1 FROM public.users WHERE id = $1", [userId]);
+        if (known.rows.length === 0) {
+          return reply.code(404).send({ message: "User not found" });
+        }
+
+        const limit = await setPayoutLimit(app.pg, { userId }, request.body, request.admin.id);
+        return reply.send({ limit });
+      } catch (error) {
+        request.log.error({ err: error }, "Failed to update payout limit");
+        return reply.code(500).send({ message: "Failed to update payout limit" });
+      }
+    },
+  );
+
+  // Drop a user's own limits so their roles' limits apply again
+  app.delete(
+    "/users/:userId",
+    {
+      preValidation: [app.authenticate, app.requireAdmin],
+      schema: {
+        params: userParamsSchema,
+      },
+    },
+    async (request, reply) => {
+      try {
+        if (!(await deletePayoutLimit(app.pg, { userId: request.params.userId }))) {
+          return reply.code(404).send({ message: "Payout limit not found" });
+        }
+        return reply.code(204).send();
+      } catch (error) {
+        request.log.error({ err: error }, "Failed to delete payout limit");
+        return reply.code(500).send({ message: "Failed to delete payout limit" });
+      }
+    },
+  );
+}
+
+module.exports = payoutLimitRoutes;
@@ -50,9 +50,9 @@ async function saveProof(base64String) {
   try {
     console.log('✅ Attempting to upload proof to R2...');
     const result = await uploadProofToR2(base64String);
-    console.log('✅ Successfully uploaded to R2:', result.url);
-    // Store the R2 URL in proof_filename column
-    return result.url;
+    console.log('✅ Successfully uploaded to R2:', result.fileName);
+    // Store the R2 object key in proof_filename column; proofs are only handed out through /:id/proof
+    return result.fileName;
   } catch (error) {
     // Log detailed error but fallback to disk storage
     console.error('❌ Failed to upload to R2, falling back to disk storage');
@@ -62,35 +62,111 @@ async function saveProof(base64String) {
   }
 }
 
-const { findUserByEmail } = require("../services/userService");
+const { findUserByEmail, getUserRoles } = require("../services/userService");
+const {
+  isReviewer,
+  approvePayoutRequest,
+  rejectPayoutRequest,
+  markPayoutRequestPaid,
+  BULK_REVIEW_MAX_ITEMS,
+  bulkReviewPayoutRequests,
+  editPayoutRequest,
+  cancelPayoutRequest,
+  getPayoutRevisions,
+} = require("../services/payoutService");
+const { getPayoutApprovals } = require("../services/approvalPolicyService");
+const {
+  payoutFilterProperties,
+  payoutListQuerySchema,
+  listPayoutRequests,
+  summarizePayoutRequests,
+  findPendingPayoutIds,
+  getPayoutRequestDetails,
+  canViewPayoutRequest,
+} = require("../services/payoutQueryService");
+const { EXPORT_FORMATS, streamPayoutExport } = require("../services/payoutExportService");
+const { renderPayoutVoucher } = require("../services/payoutVoucherService");
+const {
+  PROOF_MAX_BYTES,
+  saveProofStream,
+  saveCommentAttachment,
+  readProof,
+  getProofDownload,
+  deleteProof,
+} = require("../utils/proofStorage");
+const { listComments, addComment, getCommentAttachment } = require("../services/commentService");
+const { assertWithinPayoutLimits } = require("../services/payoutLimitService");
+const { PAN_PATTERN, calculatePayoutTds } = require("../services/tdsService");
+const { payoutAnalyticsQuerySchema, getPayoutAnalytics } = require("../services/payoutAnalyticsService");
+const { getPendingAge, listEscalations } = require("../services/payoutEscalationService");
+const { checkProofReuse, isDuplicateProofError } = require("../services/proofMatchService");
+const { hashProofDataUrl } = require("../utils/proofHash");
+const { assertBusinessMember } = require("../services/businessService");
+const { withTransaction } = require("../utils/db");
+const { httpError } = require("../utils/httpError");
+const { PAYMENT_MODES, normalizeUtr, parseUtr } = require("../utils/utr");
+const { formatAmount, formatDate, formatWalletName, generateReference } = require("../utils/format");
 
-// Format amount to Indian Rupees
-function formatAmount(amount) {
-  return new Intl.NumberFormat("en-IN", {
-    style: "currency",
-    currency: "INR",
-    minimumFractionDigits: 0,
-    maximumFractionDigits: 0,
-  }).format(amount);
-}
+// Format a payout request row for API responses
+function formatPayoutRequestRow(row) {
+  const walletName = formatWalletName(row);
 
-// Format date to "DD MMM YYYY"
-function formatDate(dateString) {
-  if (!dateString) return "--";
-  const date = new Date(dateString);
-  const day = date.getDate();
-  const month = date.toLocaleString("en-US", { month: "short" });
-  const year = date.getFullYear();
-  return `${day} ${month} ${year}`;
-}
+  // Format status
+  let statusDisplay = "Pending Approval";
+  if (row.status === "approved") {
+    statusDisplay = "Approved";
+  } else if (row.status === "rejected") {
+    statusDisplay = "Rejected";
+  } else if (row.status === "paid") {
+    statusDisplay = "Paid";
+  } else if (row.status === "cancelled") {
+    statusDisplay = "Cancelled";
+  }
 
-// Generate reference ID
-function generateReference(id, createdAt) {
-  const year = new Date(createdAt).getFullYear();
-  const shortId = id.substring(0, 8).toUpperCase();
-  return `PYT-${year}-${shortId}`;
+  return {
+    id: row.id,
+    reference: generateReference(row.id, row.created_at),
+    wallet: walletName,
+    amount: formatAmount(parseFloat(row.amount || 0)),
+    amountValue: parseFloat(row.amount || 0),
+    status: statusDisplay,
+    statusValue: row.status,
+    clearedOn: row.processed_at ? formatDate(row.processed_at) : "--",
+    clearedOnValue: row.processed_at,
+    createdAt: row.created_at,
+    utr: row.utr,
+    paymentMode: row.payment_mode,
+    remarks: row.remarks,
+    rejectionReason: row.rejection_reason,
+    paidOn: row.paid_at ? formatDate(row.paid_at) : "--",
+    paidOnValue: row.paid_at,
+    // Deduction when the payout falls under a TDS section; `amount` is the gross amount
+    tds: row.tds_section
+      ? {
+          section: row.tds_section,
+          payeePan: row.payee_pan,
+          rate: parseFloat(row.tds_rate),
+          grossAmount: parseFloat(row.amount),
+          tdsAmount: parseFloat(row.tds_amount),
+          netAmount: parseFloat(row.net_amount),
+        }
+      : null,
+    // Hours spent waiting for review, and whether that is past PAYOUT_SLA_HOURS
+    ...getPendingAge(row),
+    // Earlier request with a near-identical proof screenshot
+    proofMatch: row.proof_duplicate_of
+      ? {
+          payoutRequestId: row.proof_duplicate_of,
+          reference: generateReference(row.proof_duplicate_of, row.proof_duplicate_created_at),
+          distance: row.proof_match_distance,
+        }
+      : null,
+  };
 }
 
+// Comments carry up to five base64 attachments, more than the default 1 MB body limit
+const COMMENT_BODY_LIMIT = 10 * 1024 * 1024;
+
 async function payoutRequestRoutes(app) {
   // Check if UTR exists
   app.get(
@@ -99,11 +175,11 @@ async function payoutRequestRoutes(app) {
       preValidation: [app.authenticate],
     },
     async (request, reply) => {
-      const { utr } = request.params;
+      const utr = normalizeUtr(request.params.utr);
 
       try {
         const result = await app.pg.query(
-          `SELECT id FROM public.payout_requests WHERE utr = $1 LIMIT 1`,
+          `SELECT id FROM public.payout_requests WHERE utr = $1 AND status <> 'cancelled' LIMIT 1`,
           [utr],
         );
 
@@ -119,26 +195,138 @@ async function payoutRequestRoutes(app) {
     },
   );
 
-  // Create payout request
+  const payoutFieldsSchema = {
+    type: "object",
+    required: ["amount", "utr", "remarks"],
+    properties: {
+      amount: { type: "number", minimum: 0.01 },
+      utr: { type: "string", minLength: 4 },
+      paymentMode: { type: "string", enum: PAYMENT_MODES },
+      remarks: { type: "string", minLength: 1 },
+      businessId: { type: "string", format: "uuid" },
+      tdsSection: { type: "string", minLength: 1, maxLength: 10 },
+      payeePan: { type: "string", pattern: PAN_PATTERN },
+    },
+    // A PAN only matters for working out TDS
+    dependencies: { payeePan: ["tdsSection"] },
+  };
+
+  // Normalize the UTR and reject duplicates before the proof is stored
+  async function checkPayoutUtr(fields) {
+    const { utr, paymentMode, error: utrError } = parseUtr(fields.utr, fields.paymentMode);
+    if (utrError) {
+      throw httpError(400, utrError);
+    }
+
+    // The unique index catches concurrent submissions
+    const utrCheck = await app.pg.query(
+      `SELECT id FROM public.payout_requests WHERE utr = $1 AND status <> 'cancelled' LIMIT 1`,
+      [utr],
+    );
+
+    if (utrCheck.rows.length > 0) {
+      throw httpError(400, "UTR already existed in our record");
+    }
+
+    return { utr, paymentMode };
+  }
+
+  // An exact proof match names the request it conflicts with, which only reviewers may see
+  async function sendProofConflict(request, reply, error) {
+    const roles = await getUserRoles(app.pg, request.user.sub);
+    return reply.code(error.statusCode).send({
+      message: error.message,
+      ...(isReviewer(roles) ? error.extra : {}),
+    });
+  }
+
+  // Read a multipart/form-data payout request. The form fields must come before the `proof`
+  // file so they can be validated before the file is streamed to storage.
+  async function readMultipartPayout(request) {
+    const fields = {};
+    let checked = null;
+    let proofUrlOrFilename = null;
+    let hashes = null;
+    let proofMatch = null;
+
+    try {
+      for await (const part of request.parts()) {
+        if (part.type === "field") {
+          if (proofUrlOrFilename) {
+            throw httpError(400, "Send the form fields before the proof file");
+          }
+          fields[part.fieldname] = part.value;
+          continue;
+        }
+
+        if (part.fieldname !== "proof") {
+          part.file.resume();
+          throw httpError(400, `Unexpected file field "${part.fieldname}"`);
+        }
+
+        const validate = request.compileValidationSchema(payoutFieldsSchema, "body");
+        if (!validate(fields)) {
+          const [error] = validate.errors;
+          throw httpError(400, `body${error.instancePath} ${error.message}`);
+        }
+
+        // With an Idempotency-Key the duplicate checks wait until the key is claimed (see the create
+        // handler), so a retry is replayed instead of being refused as a duplicate of its first attempt
+        if (!request.idempotencyKey) {
+          checked = await checkPayoutUtr(fields);
+        }
+
+        // Abort the upload as soon as the file passes the limit instead of storing a truncated proof
+        part.file.on("limit", () => {
+          part.file.destroy(httpError(413, `Proof must be at most ${PROOF_MAX_BYTES / (1024 * 1024)} MB`));
+        });
+        const saved = await saveProofStream(part.file, part.mimetype);
+        proofUrlOrFilename = saved.proofFilename;
+        hashes = { sha256: saved.sha256, phash: saved.phash };
+
+        // The hashes are only known once the file is stored, so a reused proof is deleted again below
+        if (!request.idempotencyKey) {
+          proofMatch = await checkProofReuse(app.pg, hashes);
+        }
+      }
+    } catch (error) {
+      await deleteProof(proofUrlOrFilename).catch(() => false);
+      throw error;
+    }
+
+    if (!proofUrlOrFilename) {
+      throw httpError(400, "body must have required property 'proof'");
+    }
+
+    return { fields, ...checked, proofUrlOrFilename, hashes, proofMatch };
+  }
+
+  // Create payout request, either as JSON with a base64 `proof` data URL or as
+  // multipart/form-data with the proof streamed straight to storage
   app.post(
     "/",
     {
+      config: { idempotent: true },
       preValidation: [app.authenticate],
       schema: {
         body: {
-          type: "object",
-          required: ["amount", "utr", "remarks", "proof"],
-          properties: {
-            amount: { type: "number", minimum: 0.01 },
-            utr: { type: "string", minLength: 4 },
-            remarks: { type: "string", minLength: 1 },
-            proof: { type: "string", minLength: 1 },
+          content: {
+            "application/json": {
+              schema: {
+                ...payoutFieldsSchema,
+                required: [...payoutFieldsSchema.required, "proof"],
+                properties: {
+                  ...payoutFieldsSchema.properties,
+                  proof: { type: "string", minLength: 1 },
+                },
+              },
+            },
           },
         },
       },
     },
     async (request, reply) => {
-      const { amount, utr, remarks, proof } = request.body;
+      let proofUrlOrFilename = null;
 
       try {
         // Get user from JWT
@@ -147,48 +335,158 @@ async function payoutRequestRoutes(app) {
           return reply.code(404).send({ message: "User not found" });
         }
 
-        // Check if UTR already exists
-        const utrCheck = await app.pg.query(
-          `SELECT id FROM public.payout_requests WHERE utr = $1 LIMIT 1`,
-          [utr],
-        );
+        let payout;
+        if (request.isMultipart()) {
+          payout = await readMultipartPayout(request);
 
-        if (utrCheck.rows.length > 0) {
-          return reply.code(400).send({ message: "UTR already existed in our record" });
+          if (request.idempotencyKey) {
+            proofUrlOrFilename = payout.proofUrlOrFilename;
+            const fingerprintBody = { ...payout.fields, proofSha256: payout.hashes.sha256 };
+            if (!(await app.claimIdempotencyKey(request, reply, fingerprintBody))) {
+              await deleteProof(proofUrlOrFilename).catch(() => false);
+              return reply;
+            }
+            Object.assign(payout, await checkPayoutUtr(payout.fields));
+            payout.proofMatch = await checkProofReuse(app.pg, payout.hashes);
+          }
+        } else {
+          const checked = await checkPayoutUtr(request.body);
+          const hashes = await hashProofDataUrl(request.body.proof);
+          const proofMatch = await checkProofReuse(app.pg, hashes);
+          // Upload proof to R2 (or fallback to disk if R2 not configured)
+          payout = {
+            fields: request.body,
+            ...checked,
+            proofUrlOrFilename: await saveProof(request.body.proof),
+            hashes,
+            proofMatch,
+          };
         }
+        proofUrlOrFilename = payout.proofUrlOrFilename;
+        const { amount, remarks, businessId, tdsSection, payeePan } = payout.fields;
 
-        // Upload proof to R2 (or fallback to disk if R2 not configured)
-        const proofUrlOrFilename = await saveProof(proof);
-        
         // Log upload details
-        const isR2Url = proofUrlOrFilename && proofUrlOrFilename.startsWith('http');
+        // R2 keys carry a folder prefix; files on disk are bare filenames
+        const isR2Key = proofUrlOrFilename && proofUrlOrFilename.includes('/');
         request.log.info({
           proofUrlOrFilename,
-          storageType: isR2Url ? 'R2' : 'disk',
+          storageType: isR2Key ? 'R2' : 'disk',
           uploaded: true,
           r2Configured: !!(process.env.R2_ENDPOINT && process.env.R2_ACCESS_KEY_ID && process.env.R2_SECRET_ACCESS_KEY)
         }, 'Payout proof file uploaded');
 
-        const result = await app.pg.query(
-          `INSERT INTO public.payout_requests (user_id, amount, utr, remarks, proof_filename, status)
-           VALUES ($1, $2, $3, $4, $5, 'pending')
-           RETURNING id, status, created_at, proof_filename, amount`,
-          [user.id, amount, utr, remarks, proofUrlOrFilename],
-        );
+        if (payout.proofMatch) {
+          request.log.warn({ proofMatch: payout.proofMatch }, "Payout proof resembles an earlier request's proof");
+        }
+
+        // A request filed under a business follows that business's approval policy, so only its members may do so
+        if (businessId) {
+          await assertBusinessMember(app.pg, user.id, businessId);
+        }
+
+        // The limit check, the TDS thresholds and the insert share a transaction so parallel requests
+        // cannot both fit under a cap
+        const result = await withTransaction(app.pg, async (client) => {
+          await assertWithinPayoutLimits(client, { userId: user.id, amount });
+          // Sections are stored upper-cased, as the TDS section admin route saves them
+          const tds = tdsSection
+            ? await calculatePayoutTds(client, { section: tdsSection.toUpperCase(), pan: payeePan, amount, userId: user.id })
+            : {};
+          return client.query(
+            `INSERT INTO public.payout_requests
+               (user_id, amount, utr, payment_mode, remarks, proof_filename, status, business_id,
+                proof_sha256, proof_phash, proof_duplicate_of, proof_match_distance,
+                tds_section, payee_pan, tds_rate, tds_amount, net_amount)
+             VALUES ($1, $2, $3, $4, $5, $6, 'pending', $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+             RETURNING id, status, created_at, amount, utr, payment_mode, business_id,
+                       tds_section, payee_pan, tds_rate, tds_amount, net_amount`,
+            [
+              user.id,
+              amount,
+              payout.utr,
+              payout.paymentMode,
+              remarks,
+              proofUrlOrFilename,
+              businessId || null,
+              payout.hashes.sha256,
+              payout.hashes.phash,
+              payout.proofMatch?.payoutRequestId || null,
+              payout.proofMatch?.distance ?? null,
+              tds.tdsSection || null,
+              tds.payeePan || null,
+              tds.tdsRate ?? null,
+              tds.tdsAmount ?? null,
+              tds.netAmount ?? null,
+            ],
+          );
+        });
+
+        await app.emitWebhookEvent("payout_request.created", result.rows[0].id);
 
         reply.code(201).send({ request: result.rows[0] });
       } catch (error) {
+        if (error.code === "23505" && error.constraint === "payout_requests_utr_unique_idx") {
+          await deleteProof(proofUrlOrFilename).catch(() => false);
+          return reply.code(400).send({ message: "UTR already existed in our record" });
+        }
+        if (isDuplicateProofError(error)) {
+          await deleteProof(proofUrlOrFilename).catch(() => false);
+          return reply.code(409).send({ message: "This proof was already submitted with another payout request" });
+        }
+        if (error.extra?.conflictingRequest) {
+          await deleteProof(proofUrlOrFilename).catch(() => false);
+          return sendProofConflict(request, reply, error);
+        }
+        if (error.statusCode) {
+          // Membership and payout limit rejections come after the proof was stored; earlier errors have nothing to delete
+          await deleteProof(proofUrlOrFilename).catch(() => false);
+          return reply.code(error.statusCode).send({ message: error.message, ...error.extra });
+        }
         request.log.error({ err: error }, "Failed to create payout request");
         reply.code(500).send({ message: "Failed to create payout request" });
       }
     },
   );
 
-  // Get all payout requests with summaries
+  // Payout counts and amounts over a date range, as a time series and broken down by status,
+  // requester and role. Non-reviewers only get figures for their own requests.
+  app.get(
+    "/analytics",
+    {
+      preValidation: [app.authenticate],
+      schema: {
+        querystring: payoutAnalyticsQuerySchema,
+      },
+    },
+    async (request, reply) => {
+      try {
+        const user = await findUserByEmail(app.pg, request.user.email);
+        if (!user) {
+          return reply.code(404).send({ message: "User not found" });
+        }
+
+        const roles = await getUserRoles(app.pg, user.id);
+        const scope = { userId: user.id, canViewAll: isReviewer(roles) };
+
+        return reply.send(await getPayoutAnalytics(app.pg, request.query, scope));
+      } catch (error) {
+        if (error.statusCode) {
+          return reply.code(error.statusCode).send({ message: error.message });
+        }
+        request.log.error({ err: error }, "Failed to fetch payout analytics");
+        return reply.code(500).send({ message: "Failed to fetch payout analytics" });
+      }
+    },
+  );
+
+  // Get payout requests (filtered, sorted, cursor-paginated) with summaries over the same filter
   app.get(
     "/",
     {
       preValidation: [app.authenticate],
+      schema: {
+        querystring: payoutListQuerySchema,
+      },
     },
     async (request, reply) => {
       try {
@@ -198,225 +496,54 @@ async function payoutRequestRoutes(app) {
           return reply.code(404).send({ message: "User not found" });
         }
 
-        // Get user's role to determine if they can see all requests
-        const roles = await app.pg.query(
-          `SELECT r.name as role_name
-           FROM public.user_roles ur
-           JOIN public.roles r ON ur.role_id = r.id
-           WHERE ur.user_id = $1
-           LIMIT 1`,
-          [user.id],
-        );
+        // Admins, managers and auditors see every request; everyone else only their own
+        const roles = await getUserRoles(app.pg, user.id);
+        const scope = { userId: user.id, canViewAll: isReviewer(roles) };
 
-        const userRole = roles.rows[0]?.role_name || "staff";
+        const [page, totals] = await Promise.all([
+          listPayoutRequests(app.pg, request.query, scope),
+          summarizePayoutRequests(app.pg, request.query, scope),
+        ]);
 
-        // Check if user_id column exists in payout_requests table
-        let hasUserIdColumn = false;
-        let tableExists = false;
-        try {
-          // First check if table exists
-          const tableCheck = await app.pg.query(`
-            SELECT table_name 
-            FROM information_schema.tables 
-            WHERE table_schema = 'public' 
-            AND table_name = 'payout_requests'
-          `);
-          tableExists = tableCheck.rows.length > 0;
-
-          if (tableExists) {
-            // Then check if user_id column exists
-            const columnCheck = await app.pg.query(`
-              SELECT column_name 
-              FROM information_schema.columns 
-              WHERE table_schema = 'public' 
-              AND table_name = 'payout_requests' 
-              AND column_name = 'user_id'
-            `);
-            hasUserIdColumn = columnCheck.rows.length > 0;
+        const payoutRequests = page.rows.map(formatPayoutRequestRow);
+        // Proof matches point at other users' requests, so only reviewers see them
+        if (!scope.canViewAll) {
+          for (const payoutRequest of payoutRequests) {
+            delete payoutRequest.proofMatch;
           }
-        } catch (error) {
-          request.log.warn({ err: error }, "Failed to check for user_id column or table");
-          // If check fails, assume column doesn't exist
-          hasUserIdColumn = false;
-          tableExists = false;
-        }
-
-        // Query to get payout requests
-        // If user is admin, manager, or auditor, show all requests
-        // Otherwise, show only their own requests
-        let query;
-        let queryParams;
-
-        if (hasUserIdColumn) {
-          // Migration has been run - use user_id column
-          if (userRole === "admin" || userRole === "managers" || userRole === "auditor") {
-            // Show all payout requests (including those without user_id for backward compatibility)
-            query = `
-              SELECT 
-                pr.id,
-                pr.amount,
-                pr.status,
-                pr.created_at,
-                pr.processed_at,
-                pr.utr,
-                pr.remarks,
-                u.email as user_email,
-                ud.first_name,
-                ud.last_name,
-                CASE 
-                  WHEN u.id IS NOT NULL THEN (
-                    SELECT r.name
-                    FROM public.user_roles ur_sub
-                    JOIN public.roles r ON ur_sub.role_id = r.id
-                    WHERE ur_sub.user_id = u.id
-                    LIMIT 1
-                  )
-                  ELSE NULL
-                END as user_role
-              FROM public.payout_requests pr
-              LEFT JOIN public.users u ON pr.user_id = u.id
-              LEFT JOIN public.user_details ud ON u.id = ud.user_id
-              ORDER BY pr.created_at DESC
-            `;
-            queryParams = [];
-          } else {
-            // Show only user's own payout requests
-            query = `
-              SELECT 
-                pr.id,
-                pr.amount,
-                pr.status,
-                pr.created_at,
-                pr.processed_at,
-                pr.utr,
-                pr.remarks,
-                u.email as user_email,
-                ud.first_name,
-                ud.last_name,
-                CASE 
-                  WHEN u.id IS NOT NULL THEN (
-                    SELECT r.name
-                    FROM public.user_roles ur_sub
-                    JOIN public.roles r ON ur_sub.role_id = r.id
-                    WHERE ur_sub.user_id = u.id
-                    LIMIT 1
-                  )
-                  ELSE NULL
-                END as user_role
-              FROM public.payout_requests pr
-              LEFT JOIN public.users u ON pr.user_id = u.id
-              LEFT JOIN public.user_details ud ON u.id = ud.user_id
-              WHERE pr.user_id = $1
-              ORDER BY pr.created_at DESC
-            `;
-            queryParams = [user.id];
-          }
-        } else {
-          // Migration hasn't been run - return empty results
-          if (tableExists) {
-            request.log.warn("user_id column doesn't exist in payout_requests table. Please run migration 008_add_user_id_to_payout_requests.sql");
-          }
-          // Return empty result set
-          query = `
-            SELECT 
-              pr.id,
-              pr.amount,
-              pr.status,
-              pr.created_at,
-              NULL::timestamptz as processed_at,
-              pr.utr,
-              pr.remarks,
-              NULL::text as user_email,
-              NULL::text as first_name,
-              NULL::text as last_name,
-              NULL::text as user_role
-            FROM public.payout_requests pr
-            WHERE 1 = 0
-          `;
-          queryParams = [];
-        }
-
-        let result;
-        try {
-          result = await app.pg.query(query, queryParams);
-        } catch (queryError) {
-          request.log.error({ 
-            err: queryError, 
-            message: queryError.message,
-            code: queryError.code,
-            detail: queryError.detail,
-            query: query.substring(0, 200), // Log first 200 chars of query
-            queryParams 
-          }, "Query execution failed");
-          // Re-throw the error so it's caught by the outer try-catch and returned to client
-          throw queryError;
-        }
-
-        // Calculate summaries
-        const totalAmount = result.rows.reduce((sum, row) => sum + parseFloat(row.amount || 0), 0);
-        const approvedAmount = result.rows
-          .filter((row) => row.status === "approved")
-          .reduce((sum, row) => sum + parseFloat(row.amount || 0), 0);
-        const rejectedAmount = result.rows
-          .filter((row) => row.status === "rejected")
-          .reduce((sum, row) => sum + parseFloat(row.amount || 0), 0);
-        const pendingAmount = result.rows
-          .filter((row) => row.status === "pending")
-          .reduce((sum, row) => sum + parseFloat(row.amount || 0), 0);
-
-        // Format payout requests
-        const payoutRequests = result.rows.map((row) => {
-          // Format wallet name from user role
-          let walletName = "Wallet";
-          if (row.user_role) {
-            const roleName = row.user_role.charAt(0).toUpperCase() + row.user_role.slice(1).replace(/_/g, " ");
-            walletName = `${roleName} Wallet`;
-          } else {
-            // Fallback to user name or email
-            const userName = row.first_name
-              ? `${row.first_name}${row.last_name ? ` ${row.last_name}` : ""}`
-              : row.user_email?.split("@")[0] || "User";
-            walletName = `${userName} Wallet`;
-          }
-
-          // Format status
-          let statusDisplay = "Pending Approval";
-          if (row.status === "approved") {
-            statusDisplay = "Approved";
-          } else if (row.status === "rejected") {
-            statusDisplay = "Rejected";
-          }
-
-          return {
-            id: row.id,
-            reference: generateReference(row.id, row.created_at),
-            wallet: walletName,
-            amount: formatAmount(parseFloat(row.amount || 0)),
-            amountValue: parseFloat(row.amount || 0),
-            status: statusDisplay,
-            statusValue: row.status,
-            clearedOn: row.processed_at ? formatDate(row.processed_at) : "--",
-            clearedOnValue: row.processed_at,
-            createdAt: row.created_at,
-            utr: row.utr,
-            remarks: row.remarks,
-          };
-        });
+        }
 
         reply.send({
           summaries: {
-            totalAmount: formatAmount(totalAmount),
-            totalAmountValue: totalAmount,
-            approvedAmount: formatAmount(approvedAmount),
-            approvedAmountValue: approvedAmount,
-            rejectedAmount: formatAmount(rejectedAmount),
-            rejectedAmountValue: rejectedAmount,
-            pendingAmount: formatAmount(pendingAmount),
-            pendingAmountValue: pendingAmount,
+            count: totals.count,
+            totalAmount: formatAmount(totals.total),
+            totalAmountValue: totals.total,
+            approvedAmount: formatAmount(totals.approved),
+            approvedAmountValue: totals.approved,
+            rejectedAmount: formatAmount(totals.rejected),
+            rejectedAmountValue: totals.rejected,
+            pendingAmount: formatAmount(totals.pending),
+            pendingAmountValue: totals.pending,
+            paidAmount: formatAmount(totals.paid),
+            paidAmountValue: totals.paid,
+            cancelledAmount: formatAmount(totals.cancelled),
+            cancelledAmountValue: totals.cancelled,
+            tdsAmount: formatAmount(totals.tds),
+            tdsAmountValue: totals.tds,
+            netAmount: formatAmount(totals.net),
+            netAmountValue: totals.net,
           },
           payoutRequests,
+          pageInfo: {
+            limit: request.query.limit,
+            nextCursor: page.nextCursor,
+            hasMore: page.nextCursor !== null,
+          },
         });
       } catch (error) {
+        if (error.statusCode) {
+          return reply.code(error.statusCode).send({ message: error.message });
+        }
         request.log.error({ err: error, message: error.message, stack: error.stack }, "Failed to fetch payout requests");
         reply.code(500).send({ 
           message: "Failed to fetch payout requests",
@@ -426,6 +553,686 @@ async function payoutRequestRoutes(app) {
       }
     },
   );
+
+  // Export payout requests matching the list filters as CSV or Excel
+  app.get(
+    "/export",
+    {
+      preValidation: [app.authenticate],
+      schema: {
+        querystring: {
+          type: "object",
+          properties: {
+            ...payoutFilterProperties,
+            format: { type: "string", enum: Object.keys(EXPORT_FORMATS), default: "csv" },
+          },
+        },
+      },
+    },
+    async (request, reply) => {
+      try {
+        const user = await findUserByEmail(app.pg, request.user.email);
+        if (!user) {
+          return reply.code(404).send({ message: "User not found" });
+        }
+
+        const roles = await getUserRoles(app.pg, user.id);
+        const scope = { userId: user.id, canViewAll: isReviewer(roles) };
+        const { format } = request.query;
+
+        const stream = await streamPayoutExport(app.pg, {
+          format,
+          filters: request.query,
+          scope,
+          proofBaseUrl: `${request.protocol}://${request.host}`,
+          log: request.log,
+        });
+
+        const fileName = `payout-requests-${new Date().toISOString().slice(0, 10)}.${EXPORT_FORMATS[format].extension}`;
+        reply.header("Content-Disposition", `attachment; filename="${fileName}"`);
+        reply.type(EXPORT_FORMATS[format].contentType);
+        return reply.send(stream);
+      } catch (error) {
+        request.log.error({ err: error }, "Failed to export payout requests");
+        return reply.code(500).send({ message: "Failed to export payout requests" });
+      }
+    },
+  );
+
+  // Map errors thrown by the payout services (with a statusCode) to responses
+  function sendServiceError(request, reply, error, logMessage) {
+    if (error.statusCode) {
+      return reply.code(error.statusCode).send({ message: error.message, ...error.extra });
+    }
+    request.log.error({ err: error }, logMessage);
+    return reply.code(500).send({ message: logMessage });
+  }
+
+  const payoutIdParamsSchema = {
+    type: "object",
+    required: ["id"],
+    properties: {
+      id: { type: "string", format: "uuid" },
+    },
+  };
+
+  // Edit amount, remarks or proof of your own pending payout request
+  app.patch(
+    "/:id",
+    {
+      config: { idempotent: true },
+      preValidation: [app.authenticate],
+      schema: {
+        params: payoutIdParamsSchema,
+        body: {
+          type: "object",
+          minProperties: 1,
+          additionalProperties: false,
+          properties: {
+            amount: { type: "number", minimum: 0.01 },
+            remarks: { type: "string", minLength: 1 },
+            proof: { type: "string", minLength: 1 },
+          },
+        },
+      },
+    },
+    async (request, reply) => {
+      const { amount, remarks, proof } = request.body;
+      let newProofFilename = null;
+
+      try {
+        const user = await findUserByEmail(app.pg, request.user.email);
+        if (!user) {
+          return reply.code(404).send({ message: "User not found" });
+        }
+
+        let proofHashes;
+        if (proof) {
+          const hashes = await hashProofDataUrl(proof);
+          const match = await checkProofReuse(app.pg, hashes, request.params.id);
+          proofHashes = { ...hashes, match };
+          newProofFilename = await saveProof(proof);
+        }
+
+        const { payoutRequest, replacedProofFilename } = await editPayoutRequest(app.pg, {
+          id: request.params.id,
+          userId: user.id,
+          changes: { amount, remarks, proofFilename: newProofFilename || undefined, proofHashes },
+        });
+
+        if (replacedProofFilename) {
+          try {
+            await deleteProof(replacedProofFilename);
+          } catch (error) {
+            request.log.warn({ err: error, proof: replacedProofFilename }, "Failed to delete replaced payout proof");
+          }
+        }
+
+        return reply.send({ request: payoutRequest });
+      } catch (error) {
+        // The edit did not go through, so the freshly uploaded proof is orphaned
+        if (newProofFilename) {
+          await deleteProof(newProofFilename).catch(() => false);
+        }
+        if (isDuplicateProofError(error)) {
+          return reply.code(409).send({ message: "This proof was already submitted with another payout request" });
+        }
+        if (error.extra?.conflictingRequest) {
+          return sendProofConflict(request, reply, error);
+        }
+        return sendServiceError(request, reply, error, "Failed to edit payout request");
+      }
+    },
+  );
+
+  // Cancel your own pending payout request
+  app.post(
+    "/:id/cancel",
+    {
+      config: { idempotent: true },
+      preValidation: [app.authenticate],
+      schema: {
+        params: payoutIdParamsSchema,
+        body: {
+          type: ["object", "null"],
+          properties: {
+            reason: { type: "string" },
+          },
+        },
+      },
+    },
+    async (request, reply) => {
+      try {
+        const user = await findUserByEmail(app.pg, request.user.email);
+        if (!user) {
+          return reply.code(404).send({ message: "User not found" });
+        }
+
+        const payoutRequest = await cancelPayoutRequest(app.pg, {
+          id: request.params.id,
+          userId: user.id,
+          reason: request.body?.reason?.trim(),
+        });
+
+        return reply.send({ request: payoutRequest });
+      } catch (error) {
+        return sendServiceError(request, reply, error, "Failed to cancel payout request");
+      }
+    },
+  );
+
+  // Revision history of a payout request (requester or reviewers)
+  app.get(
+    "/:id/revisions",
+    {
+      preValidation: [app.authenticate],
+      schema: {
+        params: payoutIdParamsSchema,
+      },
+    },
+    async (request, reply) => {
+      try {
+        const user = await findUserByEmail(app.pg, request.user.email);
+        if (!user) {
+          return reply.code(404).send({ message: "User not found" });
+        }
+
+        const roles = await getUserRoles(app.pg, user.id);
+        const scope = { userId: user.id, canViewAll: isReviewer(roles) };
+
+        const payoutRequest = await getPayoutRequestDetails(app.pg, request.params.id);
+        if (!payoutRequest || !canViewPayoutRequest(scope, payoutRequest)) {
+          return reply.code(404).send({ message: "Payout request not found" });
+        }
+
+        const revisions = await getPayoutRevisions(app.pg, payoutRequest.id);
+        return reply.send({ revisions });
+      } catch (error) {
+        request.log.error({ err: error }, "Failed to fetch payout request revisions");
+        return reply.code(500).send({ message: "Failed to fetch payout request revisions" });
+      }
+    },
+  );
+
+  // Load a payout request the caller may see (same scoping as the list), or reply 404
+  async function findVisiblePayoutRequest(request, reply) {
+    const user = await findUserByEmail(app.pg, request.user.email);
+    if (!user) {
+      reply.code(404).send({ message: "User not found" });
+      return null;
+    }
+
+    const roles = await getUserRoles(app.pg, user.id);
+    const scope = { userId: user.id, canViewAll: isReviewer(roles) };
+
+    const payoutRequest = await getPayoutRequestDetails(app.pg, request.params.id);
+    if (!payoutRequest || !canViewPayoutRequest(scope, payoutRequest)) {
+      reply.code(404).send({ message: "Payout request not found" });
+      return null;
+    }
+
+    return { user, scope, payoutRequest };
+  }
+
+  // A single payout request with its approval trail, comment thread and SLA escalations
+  app.get(
+    "/:id",
+    {
+      preValidation: [app.authenticate],
+      schema: {
+        params: payoutIdParamsSchema,
+      },
+    },
+    async (request, reply) => {
+      try {
+        const visible = await findVisiblePayoutRequest(request, reply);
+        if (!visible) {
+          return reply;
+        }
+
+        const { scope, payoutRequest } = visible;
+        const [approvals, comments, escalations] = await Promise.all([
+          getPayoutApprovals(app.pg, payoutRequest.id),
+          listComments(app.pg, payoutRequest.id),
+          listEscalations(app.pg, payoutRequest.id),
+        ]);
+
+        const formatted = formatPayoutRequestRow(payoutRequest);
+        if (!scope.canViewAll) {
+          delete formatted.proofMatch;
+          // Requesters see that their request was escalated, not who was emailed
+          for (const escalation of escalations) {
+            delete escalation.recipients;
+          }
+        }
+
+        return reply.send({ request: formatted, approvals, comments, escalations });
+      } catch (error) {
+        request.log.error({ err: error }, "Failed to fetch payout request");
+        return reply.code(500).send({ message: "Failed to fetch payout request" });
+      }
+    },
+  );
+
+  // Comment thread of a payout request
+  app.get(
+    "/:id/comments",
+    {
+      preValidation: [app.authenticate],
+      schema: {
+        params: payoutIdParamsSchema,
+      },
+    },
+    async (request, reply) => {
+      try {
+        const visible = await findVisiblePayoutRequest(request, reply);
+        if (!visible) {
+          return reply;
+        }
+
+        const comments = await listComments(app.pg, visible.payoutRequest.id);
+        return reply.send({ comments });
+      } catch (error) {
+        request.log.error({ err: error }, "Failed to fetch payout request comments");
+        return reply.code(500).send({ message: "Failed to fetch payout request comments" });
+      }
+    },
+  );
+
+  // Post a comment, optionally with files attached as base64 data URLs
+  app.post(
+    "/:id/comments",
+    {
+      config: { idempotent: true },
+      preValidation: [app.authenticate],
+      bodyLimit: COMMENT_BODY_LIMIT,
+      schema: {
+        params: payoutIdParamsSchema,
+        body: {
+          type: "object",
+          required: ["body"],
+          additionalProperties: false,
+          properties: {
+            body: { type: "string", minLength: 1, maxLength: 2000 },
+            attachments: {
+              type: "array",
+              maxItems: 5,
+              items: {
+                type: "object",
+                required: ["data"],
+                additionalProperties: false,
+                properties: {
+                  data: { type: "string", minLength: 1 },
+                  name: { type: "string", maxLength: 255 },
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+    async (request, reply) => {
+      const body = request.body.body.trim();
+      if (!body) {
+        return reply.code(400).send({ message: "Comment cannot be empty" });
+      }
+
+      const storedAttachments = [];
+
+      try {
+        const visible = await findVisiblePayoutRequest(request, reply);
+        if (!visible) {
+          return reply;
+        }
+
+        for (const attachment of request.body.attachments || []) {
+          const stored = await saveCommentAttachment(attachment.data);
+          storedAttachments.push({ ...stored, originalName: attachment.name });
+        }
+
+        const commentId = await addComment(app.pg, {
+          payoutRequestId: visible.payoutRequest.id,
+          authorId: visible.user.id,
+          body,
+          attachments: storedAttachments,
+        });
+
+        const comments = await listComments(app.pg, visible.payoutRequest.id);
+        return reply.code(201).send({ comment: comments.find((comment) => comment.id === commentId) });
+      } catch (error) {
+        // The comment was not saved, so its files are orphaned
+        for (const attachment of storedAttachments) {
+          await deleteProof(attachment.fileName).catch(() => false);
+        }
+        return sendServiceError(request, reply, error, "Failed to post comment");
+      }
+    },
+  );
+
+  // File attached to a comment; same delivery as proofs (signed URL for R2, stream for disk)
+  app.get(
+    "/:id/attachments/:attachmentId",
+    {
+      preValidation: [app.authenticate],
+      schema: {
+        params: {
+          type: "object",
+          required: ["id", "attachmentId"],
+          properties: {
+            id: { type: "string", format: "uuid" },
+            attachmentId: { type: "string", format: "uuid" },
+          },
+        },
+      },
+    },
+    async (request, reply) => {
+      try {
+        const visible = await findVisiblePayoutRequest(request, reply);
+        if (!visible) {
+          return reply;
+        }
+
+        const attachment = await getCommentAttachment(app.pg, visible.payoutRequest.id, request.params.attachmentId);
+        const download = attachment ? await getProofDownload(attachment.file_name) : null;
+        if (!download) {
+          return reply.code(404).send({ message: "Attachment not found" });
+        }
+
+        reply.header("Cache-Control", "private, no-store");
+
+        if (download.url) {
+          return reply.send({ url: download.url, expiresAt: download.expiresAt });
+        }
+
+        const fileName = (attachment.original_name || `attachment${download.extension}`).replace(/[^\x20-\x7e]|["\\]/g, "");
+        reply.type(download.contentType);
+        reply.header("Content-Length", download.size);
+        reply.header("Content-Disposition", `inline; filename="${fileName}"`);
+        return reply.send(download.stream);
+      } catch (error) {
+        request.log.error({ err: error }, "Failed to fetch comment attachment");
+        return reply.code(500).send({ message: "Failed to fetch comment attachment" });
+      }
+    },
+  );
+
+  // Proof of a payout request, for the requester and reviewers only. R2 proofs are returned as a
+  // short-lived signed URL; proofs stored on disk are streamed directly.
+  app.get(
+    "/:id/proof",
+    {
+      preValidation: [app.authenticate],
+      schema: {
+        params: payoutIdParamsSchema,
+      },
+    },
+    async (request, reply) => {
+      try {
+        const user = await findUserByEmail(app.pg, request.user.email);
+        if (!user) {
+          return reply.code(404).send({ message: "User not found" });
+        }
+
+        const roles = await getUserRoles(app.pg, user.id);
+        const scope = { userId: user.id, canViewAll: isReviewer(roles) };
+
+        const payoutRequest = await getPayoutRequestDetails(app.pg, request.params.id);
+        if (!payoutRequest || !canViewPayoutRequest(scope, payoutRequest)) {
+          return reply.code(404).send({ message: "Payout request not found" });
+        }
+
+        const download = payoutRequest.proof_filename ? await getProofDownload(payoutRequest.proof_filename) : null;
+        if (!download) {
+          return reply.code(404).send({ message: "Proof not found" });
+        }
+
+        reply.header("Cache-Control", "private, no-store");
+
+        if (download.url) {
+          return reply.send({ url: download.url, expiresAt: download.expiresAt });
+        }
+
+        const reference = generateReference(payoutRequest.id, payoutRequest.created_at);
+        reply.type(download.contentType);
+        reply.header("Content-Length", download.size);
+        reply.header("Content-Disposition", `inline; filename="${reference}-proof${download.extension}"`);
+        return reply.send(download.stream);
+      } catch (error) {
+        request.log.error({ err: error }, "Failed to fetch payout proof");
+        return reply.code(500).send({ message: "Failed to fetch payout proof" });
+      }
+    },
+  );
+
+  // Download a printable PDF voucher for an approved or paid payout request
+  app.get(
+    "/:id/voucher",
+    {
+      preValidation: [app.authenticate],
+      schema: {
+        params: payoutIdParamsSchema,
+      },
+    },
+    async (request, reply) => {
+      try {
+        const user = await findUserByEmail(app.pg, request.user.email);
+        if (!user) {
+          return reply.code(404).send({ message: "User not found" });
+        }
+
+        const roles = await getUserRoles(app.pg, user.id);
+        const scope = { userId: user.id, canViewAll: isReviewer(roles) };
+
+        const payoutRequest = await getPayoutRequestDetails(app.pg, request.params.id);
+        if (!payoutRequest || !canViewPayoutRequest(scope, payoutRequest)) {
+          return reply.code(404).send({ message: "Payout request not found" });
+        }
+
+        if (payoutRequest.status !== "approved" && payoutRequest.status !== "paid") {
+          return reply.code(409).send({ message: "Vouchers are only available for approved or paid payout requests" });
+        }
+
+        const approvals = await getPayoutApprovals(app.pg, payoutRequest.id);
+
+        // A missing proof should not block the voucher itself
+        let proof = null;
+        try {
+          proof = await readProof(payoutRequest.proof_filename);
+        } catch (error) {
+          request.log.warn({ err: error, proof: payoutRequest.proof_filename }, "Failed to load proof for voucher");
+        }
+
+        const doc = await renderPayoutVoucher({ payoutRequest, approvals, proof, log: request.log });
+        const reference = generateReference(payoutRequest.id, payoutRequest.created_at);
+
+        reply.header("Content-Disposition", `attachment; filename="voucher-${reference}.pdf"`);
+        reply.type("application/pdf");
+        return reply.send(doc);
+      } catch (error) {
+        request.log.error({ err: error }, "Failed to generate payout voucher");
+        return reply.code(500).send({ message: "Failed to generate payout voucher" });
+      }
+    },
+  );
+
+  // Sign off a pending payout request; it becomes approved once every approval tier has signed
+  app.post(
+    "/:id/approve",
+    {
+      config: { idempotent: true },
+      preValidation: [app.authenticate, app.requireReviewer],
+      schema: {
+        params: payoutIdParamsSchema,
+      },
+    },
+    async (request, reply) => {
+      try {
+        const { payoutRequest, remainingTiers } = await approvePayoutRequest(app.pg, {
+          id: request.params.id,
+          reviewerId: request.reviewer.id,
+          reviewerRoles: request.reviewerRoles,
+        });
+        if (remainingTiers.length === 0) {
+          await app.emitWebhookEvent("payout_request.approved", payoutRequest.id);
+        }
+        const approvals = await getPayoutApprovals(app.pg, payoutRequest.id);
+        return reply.send({
+          request: payoutRequest,
+          approvals,
+          pendingApprovals: remainingTiers.map((tier) => ({
+            level: tier.level,
+            approverRoles: tier.approverRoles,
+          })),
+        });
+      } catch (error) {
+        return sendServiceError(request, reply, error, "Failed to approve payout request");
+      }
+    },
+  );
+
+  // Reject a pending payout request with a reason
+  app.post(
+    "/:id/reject",
+    {
+      config: { idempotent: true },
+      preValidation: [app.authenticate, app.requireReviewer],
+      schema: {
+        params: payoutIdParamsSchema,
+        body: {
+          type: "object",
+          required: ["reason"],
+          properties: {
+            reason: { type: "string", minLength: 1 },
+          },
+        },
+      },
+    },
+    async (request, reply) => {
+      try {
+        const payoutRequest = await rejectPayoutRequest(app.pg, {
+          id: request.params.id,
+          reviewerId: request.reviewer.id,
+          reason: request.body.reason.trim(),
+        });
+        await app.emitWebhookEvent("payout_request.rejected", payoutRequest.id);
+        return reply.send({ request: payoutRequest });
+      } catch (error) {
+        return sendServiceError(request, reply, error, "Failed to reject payout request");
+      }
+    },
+  );
+
+  // Mark an approved payout request as paid out
+  app.post(
+    "/:id/mark-paid",
+    {
+      config: { idempotent: true },
+      preValidation: [app.authenticate, app.requireReviewer],
+      schema: {
+        params: payoutIdParamsSchema,
+      },
+    },
+    async (request, reply) => {
+      try {
+        const payoutRequest = await markPayoutRequestPaid(app.pg, {
+          id: request.params.id,
+          reviewerId: request.reviewer.id,
+        });
+        await app.emitWebhookEvent("payout_request.paid", payoutRequest.id);
+        return reply.send({ request: payoutRequest });
+      } catch (error) {
+        return sendServiceError(request, reply, error, "Failed to mark payout request as paid");
+      }
+    },
+  );
+
+  // Approve or reject many pending payout requests at once, picked by id or by the list filters.
+  // Each request is reviewed in its own transaction; the report has one entry per request.
+  app.post(
+    "/bulk",
+    {
+      config: { idempotent: true },
+      preValidation: [app.authenticate, app.requireReviewer],
+      schema: {
+        body: {
+          type: "object",
+          required: ["action"],
+          properties: {
+            action: { type: "string", enum: ["approve", "reject"] },
+            ids: {
+              type: "array",
+              minItems: 1,
+              maxItems: BULK_REVIEW_MAX_ITEMS,
+              uniqueItems: true,
+              items: { type: "string", format: "uuid" },
+            },
+            filter: {
+              type: "object",
+              additionalProperties: false,
+              properties: Object.fromEntries(
+                Object.entries(payoutFilterProperties).filter(([name]) => name !== "status"),
+              ),
+            },
+            reason: { type: "string", minLength: 1 },
+          },
+          oneOf: [{ required: ["ids"] }, { required: ["filter"] }],
+        },
+      },
+    },
+    async (request, reply) => {
+      const { action, filter } = request.body;
+      const reason = request.body.reason?.trim();
+
+      if (action === "reject" && !reason) {
+        return reply.code(400).send({ message: "A reason is required to reject payout requests" });
+      }
+
+      try {
+        // A filter only ever selects pending requests the reviewer may still act on, oldest first
+        const selection = filter
+          ? await findPendingPayoutIds(app.pg, filter, request.reviewer.id, BULK_REVIEW_MAX_ITEMS)
+          : { ids: request.body.ids, total: request.body.ids.length };
+
+        const { results, errors } = await bulkReviewPayoutRequests(app.pg, {
+          ids: selection.ids,
+          action,
+          reason,
+          reviewerId: request.reviewer.id,
+          reviewerRoles: request.reviewerRoles,
+        });
+
+        for (const { id, error } of errors) {
+          request.log.error({ err: error, payoutRequestId: id }, `Failed to ${action} payout request in bulk`);
+        }
+
+        for (const result of results) {
+          if (result.outcome === "approved" || result.outcome === "rejected") {
+            await app.emitWebhookEvent(`payout_request.${result.outcome}`, result.id);
+          }
+        }
+
+        const count = (outcome) => results.filter((result) => result.outcome === outcome).length;
+        return reply.send({
+          action,
+          summary: {
+            requested: results.length,
+            approved: count("approved"),
+            signed: count("signed"),
+            rejected: count("rejected"),
+            skipped: count("skipped"),
+            notFound: count("not_found"),
+            failed: count("failed"),
+            // Pending requests matching the filter beyond this batch; send the request again for the rest
+            remaining: selection.total - selection.ids.length,
+          },
+          results,
+        });
+      } catch (error) {
+        request.log.error({ err: error }, "Failed to review payout requests in bulk");
+        return reply.code(500).send({ message: "Failed to review payout requests in bulk" });
+      }
+    },
+  );
 }
 
 module.exports = payoutRequestRoutes;
@@ -0,0 +1,110 @@
+const {
+  BANK_FORMATS,
+  parseBankStatement,
+  reconcileStatement,
+  approveMatchedPayouts,
+} = require("../services/reconciliationService");
+
+// Statements are posted as CSV text inside JSON, so allow more than the default 1 MB
+const STATEMENT_BODY_LIMIT = 10 * 1024 * 1024;
+
+const columnMappingSchema = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    date: { type: "string", minLength: 1 },
+    description: { type: "string", minLength: 1 },
+    reference: { type: "string", minLength: 1 },
+    amount: { type: "string", minLength: 1 },
+    debit: { type: "string", minLength: 1 },
+    credit: { type: "string", minLength: 1 },
+  },
+};
+
+async function reconciliationRoutes(app) {
+  // Supported bank statement presets and the headers each one expects
+  app.get(
+    "/bank-formats",
+    {
+      preValidation: [app.authenticate, app.requireReviewer],
+    },
+    async (request, reply) => {
+      return reply.send({
+        formats: Object.entries(BANK_FORMATS).map(([id, format]) => ({ id, ...format })),
+      });
+    },
+  );
+
+  // Match a bank statement against payout request UTRs and amounts
+  app.post(
+    "/bank-statements",
+    {
+      config: { idempotent: true },
+      bodyLimit: STATEMENT_BODY_LIMIT,
+      preValidation: [app.authenticate, app.requireReviewer],
+      schema: {
+        body: {
+          type: "object",
+          required: ["statement"],
+          properties: {
+            statement: { type: "string", minLength: 1 },
+            bank: { type: "string", enum: Object.keys(BANK_FORMATS) },
+            columnMapping: columnMappingSchema,
+            businessId: { type: "string", format: "uuid" },
+            approveMatched: { type: "boolean", default: false },
+          },
+        },
+      },
+    },
+    async (request, reply) => {
+      const { statement, bank, columnMapping, businessId, approveMatched } = request.body;
+
+      if (!bank && !columnMapping) {
+        return reply.code(400).send({ message: "Provide a bank or a columnMapping" });
+      }
+
+      try {
+        const { entries, rowCount } = parseBankStatement(statement, { bank, columnMapping });
+        const report = await reconcileStatement(app.pg, entries, { businessId });
+
+        const { results: approvals, errors } = approveMatched
+          ? await approveMatchedPayouts(app.pg, report.matched, {
+              reviewerId: request.reviewer.id,
+              reviewerRoles: request.reviewerRoles,
+            })
+          : { results: [], errors: [] };
+        for (const { id, error } of errors) {
+          request.log.error({ err: error, payoutRequestId: id }, "Failed to approve reconciled payout request");
+        }
+        for (const approval of approvals.filter((item) => item.approved)) {
+          await app.emitWebhookEvent("payout_request.approved", approval.payoutRequestId);
+        }
+
+        return reply.send({
+          period: report.period,
+          summary: {
+            statementRows: rowCount,
+            matched: report.matched.length,
+            amountMismatch: report.amountMismatch.length,
+            missingInBank: report.missingInBank.length,
+            unknownInSystem: report.unknownInSystem.length,
+            approved: approvals.filter((approval) => approval.approved).length,
+          },
+          matched: report.matched,
+          amountMismatch: report.amountMismatch,
+          missingInBank: report.missingInBank,
+          unknownInSystem: report.unknownInSystem,
+          approvals,
+        });
+      } catch (error) {
+        if (error.statusCode) {
+          return reply.code(error.statusCode).send({ message: error.message, ...error.extra });
+        }
+        request.log.error({ err: error }, "Failed to reconcile bank statement");
+        return reply.code(500).send({ message: "Failed to reconcile bank statement" });
+      }
+    },
+  );
+}
+
+module.exports = reconciliationRoutes;
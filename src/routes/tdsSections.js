@@ -0,0 +1,79 @@
+const { listTdsSections, upsertTdsSection } = require("../services/tdsService");
+const { findUserByEmail, getUserRoles } = require("../services/userService");
+
+const rateSchema = { type: "number", minimum: 0, maximum: 100 };
+const thresholdSchema = { type: ["number", "null"], minimum: 0 };
+
+async function tdsSectionRoutes(app) {
+  // TDS sections payout requests may name; admins can ask for inactive ones too
+  app.get(
+    "/",
+    {
+      preValidation: [app.authenticate],
+      schema: {
+        querystring: {
+          type: "object",
+          properties: {
+            includeInactive: { type: "boolean", default: false },
+          },
+        },
+      },
+    },
+    async (request, reply) => {
+      try {
+        let includeInactive = false;
+        if (request.query.includeInactive) {
+          const user = await findUserByEmail(app.pg, request.user.email);
+          includeInactive = Boolean(user) && (await getUserRoles(app.pg, user.id)).includes("admin");
+        }
+
+        const sections = await listTdsSections(app.pg, { includeInactive });
+        return reply.send({ sections });
+      } catch (error) {
+        request.log.error({ err: error }, "Failed to fetch TDS sections");
+        return reply.code(500).send({ message: "Failed to fetch TDS sections" });
+      }
+    },
+  );
+
+  // Create a section or replace its rates and thresholds; requests already filed keep their deduction
+  app.put(
+    "/:section",
+    {
+      preValidation: [app.authenticate, app.requireAdmin],
+      schema: {
+        params: {
+          type: "object",
+          required: ["section"],
+          properties: {
+            section: { type: "string", pattern: "^[0-9A-Za-z()]{1,10}$" },
+          },
+        },
+        body: {
+          type: "object",
+          required: ["description", "rate"],
+          properties: {
+            description: { type: "string", minLength: 1 },
+            rate: rateSchema,
+            individualRate: { ...rateSchema, type: ["number", "null"] },
+            noPanRate: rateSchema,
+            singleThreshold: thresholdSchema,
+            annualThreshold: thresholdSchema,
+            active: { type: "boolean" },
+          },
+        },
+      },
+    },
+    async (request, reply) => {
+      try {
+        const section = await upsertTdsSection(app.pg, request.params.section.toUpperCase(), request.body);
+        return reply.send({ section });
+      } catch (error) {
+        request.log.error({ err: error }, "Failed to update TDS section");
+        return reply.code(500).send({ message: "Failed to update TDS section" });
+      }
+    },
+  );
+}
+
+module.exports = tdsSectionRoutes;
@@ -0,0 +1,203 @@
+const { findUserByEmail, getUserRoles } = require("../services/userService");
+const {
+  getTwoFactorStatus,
+  isTwoFactorRequired,
+  startEnrollment,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  listRequiredRoles,
+  setRequiredRoles,
+} = require("../services/twoFactorService");
+const { getThrottle, recordFailedAttempt, clearFailedAttempts } = require("../services/authThrottleService");
+
+const codeSchema = { type: "string", pattern: "^\\d{6}$" };
+
+// Two-factor settings of the signed-in user, plus the admin-managed list of roles that require it
+async function twoFactorRoutes(app) {
+  // Wrong codes count against the same per-user limit as /api/auth/login/2fa, so a stolen access
+  // token cannot be used to guess codes here
+  function codeThrottleKey(request) {
+    return { scope: "2fa", key: request.user.sub };
+  }
+
+  app.get("/", { preValidation: [app.authenticate] }, async (request, reply) => {
+    try {
+      const roles = await getUserRoles(app.pg, request.user.sub);
+      return reply.send(await getTwoFactorStatus(app.pg, request.user.sub, roles));
+    } catch (error) {
+      request.log.error({ err: error }, "Failed to fetch two-factor status");
+      return reply.code(500).send({ message: "Failed to fetch two-factor status" });
+    }
+  });
+
+  // New secret for the authenticator app; nothing changes until /enable confirms a code from it
+  app.post("/setup", { preValidation: [app.authenticate] }, async (request, reply) => {
+    try {
+      const user = await findUserByEmail(app.pg, request.user.email);
+      if (!user) {
+        return reply.code(404).send({ message: "User not found" });
+      }
+      return reply.send(await startEnrollment(app.pg, user));
+    } catch (error) {
+      if (error.statusCode) {
+        return reply.code(error.statusCode).send({ message: error.message });
+      }
+      request.log.error({ err: error }, "Failed to start two-factor setup");
+      return reply.code(500).send({ message: "Failed to start two-factor setup" });
+    }
+  });
+
+  // Recovery codes are only ever returned here and by /recovery-codes
+  app.post(
+    "/enable",
+    {
+      preValidation: [app.authenticate],
+      schema: {
+        body: {
+          type: "object",
+          required: ["code"],
+          properties: {
+            code: codeSchema,
+          },
+        },
+      },
+    },
+    async (request, reply) => {
+      try {
+        const recoveryCodes = await enableTwoFactor(app.pg, request.user.sub, request.body.code);
+        return reply.send({ success: true, recoveryCodes });
+      } catch (error) {
+        if (error.statusCode) {
+          return reply.code(error.statusCode).send({ message: error.message });
+        }
+        request.log.error({ err: error }, "Failed to enable two-factor authentication");
+        return reply.code(500).send({ message: "Failed to enable two-factor authentication" });
+      }
+    },
+  );
+
+  app.post(
+    "/disable",
+    {
+      preValidation: [app.authenticate],
+      schema: {
+        body: {
+          type: "object",
+          properties: {
+            code: codeSchema,
+            recoveryCode: { type: "string", minLength: 1, maxLength: 32 },
+          },
+          oneOf: [{ required: ["code"] }, { required: ["recoveryCode"] }],
+        },
+      },
+    },
+    async (request, reply) => {
+      const throttleKey = codeThrottleKey(request);
+      const throttled = await getThrottle(app.pg, [throttleKey]);
+      if (throttled) {
+        return reply.code(429).header("Retry-After", throttled.retryAfter).send(throttled);
+      }
+
+      try {
+        const roles = await getUserRoles(app.pg, request.user.sub);
+        if (await isTwoFactorRequired(app.pg, roles)) {
+          return reply.code(403).send({ message: "Your role requires two-factor authentication" });
+        }
+
+        await disableTwoFactor(app.pg, request.user.sub, request.body);
+        await clearFailedAttempts(app.pg, throttleKey);
+        return reply.send({ success: true });
+      } catch (error) {
+        if (error.statusCode === 401) {
+          await recordFailedAttempt(app.pg, [throttleKey], { userId: request.user.sub, ipAddress: request.ip });
+        }
+        if (error.statusCode) {
+          return reply.code(error.statusCode).send({ message: error.message });
+        }
+        request.log.error({ err: error }, "Failed to disable two-factor authentication");
+        return reply.code(500).send({ message: "Failed to disable two-factor authentication" });
+      }
+    },
+  );
+
+  // Replace every recovery code, e.g. after running low
+  app.post(
+    "/recovery-codes",
+    {
+      preValidation: [app.authenticate],
+      schema: {
+        body: {
+          type: "object",
+          required: ["code"],
+          properties: {
+            code: codeSchema,
+          },
+        },
+      },
+    },
+    async (request, reply) => {
+      const throttleKey = codeThrottleKey(request);
+      const throttled = await getThrottle(app.pg, [throttleKey]);
+      if (throttled) {
+        return reply.code(429).header("Retry-After", throttled.retryAfter).send(throttled);
+      }
+
+      try {
+        const recoveryCodes = await regenerateRecoveryCodes(app.pg, request.user.sub, request.body.code);
+        await clearFailedAttempts(app.pg, throttleKey);
+        return reply.send({ recoveryCodes });
+      } catch (error) {
+        if (error.statusCode === 401) {
+          await recordFailedAttempt(app.pg, [throttleKey], { userId: request.user.sub, ipAddress: request.ip });
+        }
+        if (error.statusCode) {
+          return reply.code(error.statusCode).send({ message: error.message });
+        }
+        request.log.error({ err: error }, "Failed to regenerate recovery codes");
+        return reply.code(500).send({ message: "Failed to regenerate recovery codes" });
+      }
+    },
+  );
+
+  app.get("/required-roles", { preValidation: [app.authenticate, app.requireAdmin] }, async (request, reply) => {
+    try {
+      return reply.send({ roles: await listRequiredRoles(app.pg) });
+    } catch (error) {
+      request.log.error({ err: error }, "Failed to fetch two-factor roles");
+      return reply.code(500).send({ message: "Failed to fetch two-factor roles" });
+    }
+  });
+
+  // Users of newly required roles without two-factor set up are signed out and asked to enroll at
+  // their next sign-in
+  app.put(
+    "/required-roles",
+    {
+      preValidation: [app.authenticate, app.requireAdmin],
+      schema: {
+        body: {
+          type: "object",
+          required: ["roles"],
+          properties: {
+            roles: { type: "array", items: { type: "string", minLength: 1 }, uniqueItems: true },
+          },
+        },
+      },
+    },
+    async (request, reply) => {
+      try {
+        const { roles, revokedSessions } = await setRequiredRoles(app.pg, request.body.roles, request.admin.id);
+        return reply.send({ roles, revokedSessions });
+      } catch (error) {
+        if (error.statusCode) {
+          return reply.code(error.statusCode).send({ message: error.message });
+        }
+        request.log.error({ err: error }, "Failed to update two-factor roles");
+        return reply.code(500).send({ message: "Failed to update two-factor roles" });
+      }
+    },
+  );
+}
+
+module.exports = twoFactorRoutes;
@@ -0,0 +1,153 @@
+const { findUserByEmail, getUserRoles } = require("../services/userService");
+const { isReviewer } = require("../services/payoutService");
+const {
+  statementQuerySchema,
+  listWallets,
+  getWallet,
+  canViewWallet,
+  getWalletStatement,
+} = require("../services/walletService");
+
+const walletIdParamsSchema = {
+  type: "object",
+  required: ["id"],
+  properties: {
+    id: { type: "string", format: "uuid" },
+  },
+};
+
+async function walletRoutes(app) {
+  async function getScope(request, reply) {
+    const user = await findUserByEmail(app.pg, request.user.email);
+    if (!user) {
+      reply.code(404).send({ message: "User not found" });
+      return null;
+    }
+
+    const roles = await getUserRoles(app.pg, user.id);
+    return { userId: user.id, canViewAll: isReviewer(roles) };
+  }
+
+  async function loadVisibleWallet(request, reply, scope) {
+    const wallet = await getWallet(app.pg, request.params.id);
+    if (!wallet || !canViewWallet(scope, wallet)) {
+      reply.code(404).send({ message: "Wallet not found" });
+      return null;
+    }
+    return wallet;
+  }
+
+  // List wallets with their current balances; non-reviewers only see their own
+  app.get(
+    "/",
+    {
+      preValidation: [app.authenticate],
+      schema: {
+        querystring: {
+          type: "object",
+          properties: {
+            userId: { type: "string", format: "uuid" },
+            businessId: { type: "string", format: "uuid" },
+            kind: { type: "string", enum: ["user", "business", "tds_payable"] },
+          },
+        },
+      },
+    },
+    async (request, reply) => {
+      try {
+        const scope = await getScope(request, reply);
+        if (!scope) {
+          return reply;
+        }
+
+        const filters = scope.canViewAll
+          ? { userId: request.query.userId, businessId: request.query.businessId, kind: request.query.kind }
+          : { userId: scope.userId, businessId: request.query.businessId, kind: "user" };
+        // Reviewers without filters get their own wallets rather than every wallet in the system
+        if (scope.canViewAll && !filters.userId && !filters.businessId && !filters.kind) {
+          filters.userId = scope.userId;
+        }
+
+        const wallets = await listWallets(app.pg, filters);
+        return reply.send({ wallets });
+      } catch (error) {
+        request.log.error({ err: error }, "Failed to fetch wallets");
+        return reply.code(500).send({ message: "Failed to fetch wallets" });
+      }
+    },
+  );
+
+  // Current balance of a wallet
+  app.get(
+    "/:id",
+    {
+      preValidation: [app.authenticate],
+      schema: {
+        params: walletIdParamsSchema,
+      },
+    },
+    async (request, reply) => {
+      try {
+        const scope = await getScope(request, reply);
+        if (!scope) {
+          return reply;
+        }
+
+        const wallet = await loadVisibleWallet(request, reply, scope);
+        if (!wallet) {
+          return reply;
+        }
+
+        return reply.send({ wallet });
+      } catch (error) {
+        request.log.error({ err: error }, "Failed to fetch wallet");
+        return reply.code(500).send({ message: "Failed to fetch wallet" });
+      }
+    },
+  );
+
+  // Ledger entries of a wallet, newest first, cursor-paginated
+  app.get(
+    "/:id/statement",
+    {
+      preValidation: [app.authenticate],
+      schema: {
+        params: walletIdParamsSchema,
+        querystring: statementQuerySchema,
+      },
+    },
+    async (request, reply) => {
+      try {
+        const scope = await getScope(request, reply);
+        if (!scope) {
+          return reply;
+        }
+
+        const wallet = await loadVisibleWallet(request, reply, scope);
+        if (!wallet) {
+          return reply;
+        }
+
+        const { entries, nextCursor } = await getWalletStatement(app.pg, wallet.id, request.query);
+
+        return reply.send({
+          wallet,
+          entries,
+          pageInfo: {
+            limit: request.query.limit,
+            nextCursor,
+            hasMore: nextCursor !== null,
+          },
+        });
+      } catch (error) {
+        if (error.statusCode) {
+          return reply.code(error.statusCode).send({ message: error.message });
+        }
+        request.log.error({ err: error }, "Failed to fetch wallet statement");
+        return reply.code(500).send({ message: "Failed to fetch wallet statement" });
+      }
+    },
+  );
+}
+
+module.exports = walletRoutes;
@@ -0,0 +1,275 @@
+const { findUserByEmail } = require("../services/userService");
+const { canManageBusiness } = require("../services/businessService");
+const {
+  WEBHOOK_EVENTS,
+  listSubscriptions,
+  getSubscription,
+  createSubscription,
+  updateSubscription,
+  deleteSubscription,
+  listDeliveries,
+  getDeliveryWithAttempts,
+  redeliver,
+} = require("../services/webhookService");
+
+const idParamsSchema = {
+  type: "object",
+  required: ["id"],
+  properties: {
+    id: { type: "string", format: "uuid" },
+  },
+};
+
+const webhookUrlSchema = { type: "string", minLength: 1, maxLength: 2048, pattern: "^https?://" };
+const webhookEventsSchema = {
+  type: "array",
+  minItems: 1,
+  uniqueItems: true,
+  items: { type: "string", enum: WEBHOOK_EVENTS },
+};
+
+// Business owners (and admins) manage the webhooks of a business
+async function webhookRoutes(app) {
+  async function assertCanManage(request, reply, businessId) {
+    const user = await findUserByEmail(app.pg, request.user.email);
+    if (!user) {
+      reply.code(404).send({ message: "User not found" });
+      return null;
+    }
+
+    if (!(await canManageBusiness(app.pg, user.id, businessId))) {
+      reply.code(403).send({ message: "You are not allowed to manage webhooks for this business" });
+      return null;
+    }
+    return user;
+  }
+
+  async function loadSubscription(request, reply) {
+    const subscription = await getSubscription(app.pg, request.params.id);
+    if (!subscription) {
+      reply.code(404).send({ message: "Webhook subscription not found" });
+      return null;
+    }
+    if (!(await assertCanManage(request, reply, subscription.businessId))) {
+      return null;
+    }
+    return subscription;
+  }
+
+  // List the events a subscription can listen to
+  app.get("/events", { preValidation: [app.authenticate] }, async () => ({ events: WEBHOOK_EVENTS }));
+
+  // List the webhook subscriptions of a business
+  app.get(
+    "/subscriptions",
+    {
+      preValidation: [app.authenticate],
+      schema: {
+        querystring: {
+          type: "object",
+          required: ["businessId"],
+          properties: {
+            businessId: { type: "string", format: "uuid" },
+          },
+        },
+      },
+    },
+    async (request, reply) => {
+      try {
+        if (!(await assertCanManage(request, reply, request.query.businessId))) {
+          return reply;
+        }
+        const subscriptions = await listSubscriptions(app.pg, request.query.businessId);
+        return reply.send({ subscriptions });
+      } catch (error) {
+        request.log.error({ err: error }, "Failed to fetch webhook subscriptions");
+        return reply.code(500).send({ message: "Failed to fetch webhook subscriptions" });
+      }
+    },
+  );
+
+  // Subscribe a URL to payout events of a business; the signing secret is only returned here
+  app.post(
+    "/subscriptions",
+    {
+      preValidation: [app.authenticate],
+      schema: {
+        body: {
+          type: "object",
+          required: ["businessId", "url", "events"],
+          properties: {
+            businessId: { type: "string", format: "uuid" },
+            url: webhookUrlSchema,
+            events: webhookEventsSchema,
+          },
+        },
+      },
+    },
+    async (request, reply) => {
+      const { businessId, url, events } = request.body;
+
+      try {
+        const user = await assertCanManage(request, reply, businessId);
+        if (!user) {
+          return reply;
+        }
+        const subscription = await createSubscription(app.pg, { businessId, url, events, createdBy: user.id });
+        return reply.code(201).send({ subscription });
+      } catch (error) {
+        if (error.statusCode) {
+          return reply.code(error.statusCode).send({ message: error.message });
+        }
+        request.log.error({ err: error }, "Failed to create webhook subscription");
+        return reply.code(500).send({ message: "Failed to create webhook subscription" });
+      }
+    },
+  );
+
+  // Change the URL or events of a subscription, pause it, or rotate its secret
+  app.patch(
+    "/subscriptions/:id",
+    {
+      preValidation: [app.authenticate],
+      schema: {
+        params: idParamsSchema,
+        body: {
+          type: "object",
+          minProperties: 1,
+          properties: {
+            url: webhookUrlSchema,
+            events: webhookEventsSchema,
+            active: { type: "boolean" },
+            rotateSecret: { type: "boolean" },
+          },
+        },
+      },
+    },
+    async (request, reply) => {
+      try {
+        if (!(await loadSubscription(request, reply))) {
+          return reply;
+        }
+        const subscription = await updateSubscription(app.pg, request.params.id, request.body);
+        return reply.send({ subscription });
+      } catch (error) {
+        if (error.statusCode) {
+          return reply.code(error.statusCode).send({ message: error.message });
+        }
+        request.log.error({ err: error }, "Failed to update webhook subscription");
+        return reply.code(500).send({ message: "Failed to update webhook subscription" });
+      }
+    },
+  );
+
+  // Remove a subscription along with its delivery history
+  app.delete(
+    "/subscriptions/:id",
+    {
+      preValidation: [app.authenticate],
+      schema: {
+        params: idParamsSchema,
+      },
+    },
+    async (request, reply) => {
+      try {
+        if (!(await loadSubscription(request, reply))) {
+          return reply;
+        }
+        await deleteSubscription(app.pg, request.params.id);
+        return reply.code(204).send();
+      } catch (error) {
+        request.log.error({ err: error }, "Failed to delete webhook subscription");
+        return reply.code(500).send({ message: "Failed to delete webhook subscription" });
+      }
+    },
+  );
+
+  // Recent deliveries of a subscription, newest first
+  app.get(
+    "/subscriptions/:id/deliveries",
+    {
+      preValidation: [app.authenticate],
+      schema: {
+        params: idParamsSchema,
+        querystring: {
+          type: "object",
+          properties: {
+            status: { type: "string", enum: ["pending", "succeeded", "failed"] },
+            limit: { type: "integer", minimum: 1, maximum: 200, default: 50 },
+          },
+        },
+      },
+    },
+    async (request, reply) => {
+      try {
+        if (!(await loadSubscription(request, reply))) {
+          return reply;
+        }
+        const deliveries = await listDeliveries(app.pg, request.params.id, request.query);
+        return reply.send({ deliveries });
+      } catch (error) {
+        request.log.error({ err: error }, "Failed to fetch webhook deliveries");
+        return reply.code(500).send({ message: "Failed to fetch webhook deliveries" });
+      }
+    },
+  );
+
+  // A delivery with its payload and every attempt made to send it
+  app.get(
+    "/deliveries/:id",
+    {
+      preValidation: [app.authenticate],
+      schema: {
+        params: idParamsSchema,
+      },
+    },
+    async (request, reply) => {
+      try {
+        const delivery = await getDeliveryWithAttempts(app.pg, request.params.id);
+        if (!delivery) {
+          return reply.code(404).send({ message: "Webhook delivery not found" });
+        }
+        if (!(await assertCanManage(request, reply, delivery.businessId))) {
+          return reply;
+        }
+        return reply.send({ delivery });
+      } catch (error) {
+        request.log.error({ err: error }, "Failed to fetch webhook delivery");
+        return reply.code(500).send({ message: "Failed to fetch webhook delivery" });
+      }
+    },
+  );
+
+  // Send a delivery again now, e.g. after fixing the receiving endpoint
+  app.post(
+    "/deliveries/:id/redeliver",
+    {
+      config: { idempotent: true },
+      preValidation: [app.authenticate],
+      schema: {
+        params: idParamsSchema,
+      },
+    },
+    async (request, reply) => {
+      try {
+        const existing = await getDeliveryWithAttempts(app.pg, request.params.id);
+        if (!existing) {
+          return reply.code(404).send({ message: "Webhook delivery not found" });
+        }
+        if (!(await assertCanManage(request, reply, existing.businessId))) {
+          return reply;
+        }
+        const delivery = await redeliver(app.pg, request.params.id);
+        return reply.send({ delivery });
+      } catch (error) {
+        if (error.statusCode) {
+          return reply.code(error.statusCode).send({ message: error.message });
+        }
+        request.log.error({ err: error }, "Failed to redeliver webhook");
+        return reply.code(500).send({ message: "Failed to redeliver webhook" });
+      }
+    },
+  );
+}
+
+module.exports = webhookRoutes;
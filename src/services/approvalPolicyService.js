@@ -0,0 +1,92 @@
+// Approval tiers decide how many distinct sign-offs a payout request needs
+// before it becomes `approved`. Tiers are stored per business, with rows that
+// have a NULL business_id acting as the default policy.
+
+function mapTier(row) {
+  return {
+    id: row.id,
+    businessId: row.business_id,
+    level: row.level,
+    minAmount: parseFloat(row.min_amount),
+    approverRoles: row.approver_roles,
+  };
+}
+
+async function getApprovalTiers(pool, businessId) {
+  if (businessId) {
+    const scoped = await pool.query(
+      `SELECT id, business_id, level, min_amount, approver_roles
+       FROM public.payout_approval_tiers
+       WHERE business_id = $1
+       ORDER BY level`,
+      [businessId],
+    );
+
+    if (scoped.rows.length > 0) {
+      return scoped.rows.map(mapTier);
+    }
+  }
+
+  const defaults = await pool.query(
+    `SELECT id, business_id, level, min_amount, approver_roles
+     FROM public.payout_approval_tiers
+     WHERE business_id IS NULL
+     ORDER BY level`,
+  );
+
+  return defaults.rows.map(mapTier);
+}
+
+// Tiers whose threshold the amount reaches, in the order they must be signed
+async function getApplicableTiers(pool, businessId, amount) {
+  const tiers = await getApprovalTiers(pool, businessId);
+  return tiers.filter((tier) => parseFloat(amount) >= tier.minAmount);
+}
+
+async function replaceApprovalTiers(client, businessId, tiers) {
+  if (businessId) {
+    await client.query("DELETE FROM public.payout_approval_tiers WHERE business_id = $1", [businessId]);
+  } else {
+    await client.query("DELETE FROM public.payout_approval_tiers WHERE business_id IS NULL");
+  }
+
+  // Levels follow the thresholds: the lowest threshold is signed first
+  const sorted = [...tiers].sort((a, b) => a.minAmount - b.minAmount);
+
+  for (const [index, tier] of sorted.entries()) {
+    await client.query(
+      `INSERT INTO public.payout_approval_tiers (business_id, level, min_amount, approver_roles)
+       VALUES ($1, $2, $3, $4)`,
+      [businessId || null, index + 1, tier.minAmount, tier.approverRoles],
+    );
+  }
+}
+
+async function getPayoutApprovals(pool, payoutRequestId) {
+  const result = await pool.query(
+    `SELECT pra.level, pra.approver_id, pra.approver_role, pra.created_at,
+            u.email as approver_email, ud.first_name, ud.last_name
+     FROM public.payout_request_approvals pra
+     JOIN public.users u ON pra.approver_id = u.id
+     LEFT JOIN public.user_details ud ON u.id = ud.user_id
+     WHERE pra.payout_request_id = $1
+     ORDER BY pra.level`,
+    [payoutRequestId],
+  );
+
+  return result.rows.map((row) => ({
+    level: row.level,
+    approverId: row.approver_id,
+    approverEmail: row.approver_email,
+    approverName: [row.first_name, row.last_name].filter(Boolean).join(" ").trim() || null,
+    approverRole: row.approver_role,
+    approvedAt: row.created_at,
+  }));
+}
+
+module.exports = {
+  getApprovalTiers,
+  getApplicableTiers,
+  replaceApprovalTiers,
+  getPayoutApprovals,
+};
@@ -0,0 +1,192 @@
+// Brute-force protection for sign-in and OTP verification. Failures are counted per key (an account
+// or an IP); after a few, each further guess must wait a little longer, and too many lock the key
+// out for a while. Successful attempts clear an account's count.
+
+// Failures older than this no longer count
+const FAILURE_WINDOW_MINUTES = 15;
+// A key's lockouts stop escalating once it has gone this long without a failure
+const LOCKOUT_RESET_HOURS = 24;
+const MAX_LOCKOUT_MINUTES = 24 * 60;
+const MAX_DELAY_SECONDS = 30;
+
+// IPs get more room than accounts, since offices and mobile carriers share addresses
+const THROTTLE_POLICIES = {
+  login: { maxFailures: 5, delayAfter: 2, lockoutMinutes: 15 },
+  otp: { maxFailures: 5, delayAfter: 2, lockoutMinutes: 15 },
+  // Second-factor codes, per user; a new challenge from a correct password does not reset the count
+  "2fa": { maxFailures: 5, delayAfter: 2, lockoutMinutes: 15 },
+  // Every password reset request counts, since each one sends an email
+  reset: { maxFailures: 5, delayAfter: 2, lockoutMinutes: 60 },
+  ip: { maxFailures: 30, delayAfter: 10, lockoutMinutes: 15 },
+  // Reset requests per IP, kept apart from `ip` so a busy shared address does not lock out sign-in
+  "reset-ip": { maxFailures: 30, delayAfter: 10, lockoutMinutes: 60 },
+};
+
+// Wrong guesses a single OTP survives before it is invalidated
+const OTP_MAX_ATTEMPTS = 5;
+
+function secondsUntil(date, now) {
+  return Math.max(1, Math.ceil((new Date(date) - now) / 1000));
+}
+
+function waitMessage(seconds) {
+  const wait = seconds >= 120 ? `${Math.ceil(seconds / 60)} minutes` : `${seconds} seconds`;
+  return `Too many failed attempts. Try again in ${wait}`;
+}
+
+/**
+ * Whether an attempt must be refused because one of its keys is locked out or still inside its
+ * progressive delay
+ * @param {import("pg").Pool} pool - Connection pool
+ * @param {Array<{scope: "login"|"otp"|"2fa"|"reset"|"ip"|"reset-ip", key: string}>} keys
+ * @returns {Promise<{message: string, retryAfter: number}|null>} - retryAfter is in seconds; null to go ahead
+ */
+async function getThrottle(pool, keys) {
+  const result = await pool.query(
+    `SELECT t.scope, t.failed_count, t.last_failed_at, t.locked_until,
+            t.last_failed_at < now() - make_interval(mins => $3) as stale
+     FROM public.auth_throttles t
+     JOIN unnest($1::text[], $2::text[]) as k(scope, key) ON t.scope = k.scope AND t.key = k.key`,
+    [keys.map((k) => k.scope), keys.map((k) => k.key), FAILURE_WINDOW_MINUTES],
+  );
+
+  const now = new Date();
+  let retryAfter = 0;
+
+  for (const row of result.rows) {
+    if (row.locked_until && new Date(row.locked_until) > now) {
+      retryAfter = Math.max(retryAfter, secondsUntil(row.locked_until, now));
+      continue;
+    }
+
+    const { delayAfter } = THROTTLE_POLICIES[row.scope];
+    if (!row.stale && row.failed_count >= delayAfter) {
+      const delaySeconds = Math.min(2 ** (row.failed_count - delayAfter), MAX_DELAY_SECONDS);
+      const allowedAt = new Date(new Date(row.last_failed_at).getTime() + delaySeconds * 1000);
+      if (allowedAt > now) {
+        retryAfter = Math.max(retryAfter, secondsUntil(allowedAt, now));
+      }
+    }
+  }
+
+  return retryAfter > 0 ? { message: waitMessage(retryAfter), retryAfter } : null;
+}
+
+/**
+ * Count a failed attempt against each key, locking out keys that reach their policy's limit
+ * @param {import("pg").Pool} pool - Connection pool
+ * @param {Array<{scope: "login"|"otp"|"2fa"|"reset"|"ip"|"reset-ip", key: string}>} keys
+ * @param {{userId?: string|null, ipAddress?: string}} [context] - Recorded on lockout events
+ * @returns {Promise<void>}
+ */
+async function recordFailedAttempt(pool, keys, { userId = null, ipAddress = null } = {}) {
+  for (const { scope, key } of keys) {
+    const { maxFailures, lockoutMinutes } = THROTTLE_POLICIES[scope];
+
+    await pool.query(
+      `INSERT INTO public.auth_throttles (scope, key, failed_count, last_failed_at)
+       VALUES ($1, $2, 1, now())
+       ON CONFLICT (scope, key) DO UPDATE
+       SET failed_count = CASE
+             WHEN auth_throttles.last_failed_at < now() - make_interval(mins => $3) THEN 1
+             ELSE auth_throttles.failed_count + 1
+           END,
+           lockouts = CASE
+             WHEN auth_throttles.last_failed_at < now() - make_interval(hours => $4) THEN 0
+             ELSE auth_throttles.lockouts
+           END,
+           last_failed_at = now()`,
+      [scope, key, FAILURE_WINDOW_MINUTES, LOCKOUT_RESET_HOURS],
+    );
+
+    // Only one concurrent failure can take the count past the limit, so each lockout is recorded once
+    const locked = await pool.query(
+      `UPDATE public.auth_throttles
+       SET locked_until = now() + make_interval(mins => LEAST(($4 * power(2, LEAST(lockouts, 10)))::int, $5)),
+           lockouts = lockouts + 1,
+           failed_count = 0
+       WHERE scope = $1 AND key = $2 AND failed_count >= $3
+       RETURNING locked_until`,
+      [scope, key, maxFailures, lockoutMinutes, MAX_LOCKOUT_MINUTES],
+    );
+
+    if (locked.rows.length > 0) {
+      await pool.query(
+        `INSERT INTO public.auth_lockout_events (scope, key, user_id, ip_address, failed_count, locked_until)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [scope, key, scope === "ip" || scope === "reset-ip" ? null : userId, ipAddress, maxFailures, locked.rows[0].locked_until],
+      );
+    }
+  }
+}
+
+/**
+ * Forget the failures of an account after a successful attempt. IP counts are left alone, so one
+ * valid account cannot be used to reset an address that is guessing at others.
+ * @param {import("pg").Pool} pool - Connection pool
+ * @param {{scope: "login"|"otp"|"2fa", key: string}} accountKey
+ */
+async function clearFailedAttempts(pool, { scope, key }) {
+  await pool.query("DELETE FROM public.auth_throttles WHERE scope = $1 AND key = $2", [scope, key]);
+}
+
+/**
+ * Lockouts for admins, newest first
+ * @param {import("pg").Pool} pool - Connection pool
+ * @param {{limit?: number, activeOnly?: boolean}} [options]
+ * @returns {Promise<object[]>}
+ */
+async function listLockoutEvents(pool, { limit = 100, activeOnly = false } = {}) {
+  const result = await pool.query(
+    `SELECT e.id, e.scope, e.key, e.user_id, u.email, e.ip_address, e.failed_count, e.locked_until, e.created_at
+     FROM public.auth_lockout_events e
+     LEFT JOIN public.users u ON e.user_id = u.id
+     ${activeOnly ? "WHERE e.locked_until > now()" : ""}
+     ORDER BY e.created_at DESC
+     LIMIT $1`,
+    [limit],
+  );
+
+  return result.rows.map((row) => ({
+    id: row.id,
+    scope: row.scope,
+    key: row.key,
+    userId: row.user_id,
+    email: row.email,
+    ipAddress: row.ip_address,
+    failedCount: row.failed_count,
+    lockedUntil: row.locked_until,
+    createdAt: row.created_at,
+  }));
+}
+
+/**
+ * Count a guess against an OTP before it is checked, so parallel guesses cannot get past
+ * OTP_MAX_ATTEMPTS. A correct guess gives its attempt back when the OTP is consumed.
+ * @param {import("pg").Pool} pool - Connection pool
+ * @param {string} otpId
+ * @returns {Promise<{code: string, attemptsLeft: number}|null>} - The OTP's code and the guesses left
+ *   after this one, or null if the OTP is used, expired or out of attempts
+ */
+async function claimOtpAttempt(pool, otpId) {
+  const result = await pool.query(
+    `UPDATE public.otp_codes
+     SET failed_attempts = failed_attempts + 1
+     WHERE id = $1 AND NOT used AND failed_attempts < $2 AND expires_at > now()
+     RETURNING code, failed_attempts`,
+    [otpId, OTP_MAX_ATTEMPTS],
+  );
+  if (result.rows.length === 0) {
+    return null;
+  }
+  return { code: result.rows[0].code, attemptsLeft: OTP_MAX_ATTEMPTS - result.rows[0].failed_attempts };
+}
+
+module.exports = {
+  OTP_MAX_ATTEMPTS,
+  getThrottle,
+  recordFailedAttempt,
+  clearFailedAttempts,
+  listLockoutEvents,
+  claimOtpAttempt,
+};
@@ -0,0 +1,71 @@
+const { getUserRoles } = require("./userService");
+const { httpError } = require("../utils/httpError");
+
+// Admins manage every business's settings (and the defaults, when businessId is omitted);
+// business owners manage their own
+async function canManageBusiness(pool, userId, businessId) {
+  const roles = await getUserRoles(pool, userId);
+  if (roles.includes("admin")) {
+    return true;
+  }
+
+  if (!businessId) {
+    return false;
+  }
+
+  const result = await pool.query(
+    "SELECT 1 FROM public.businesses WHERE id = $1 AND owner_user_id = $2",
+    [businessId, userId],
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Whether a user belongs to a business: its owner or someone who accepted an invite to it.
+ * Admins belong to every business.
+ * @param {import("pg").Pool} pool - Connection pool
+ * @param {string} userId
+ * @param {string} businessId
+ * @returns {Promise<{exists: boolean, member: boolean}>}
+ */
+async function getBusinessMembership(pool, userId, businessId) {
+  const result = await pool.query(
+    `SELECT b.owner_user_id = $2
+              OR EXISTS (
+                SELECT 1 FROM public.business_invites bi
+                WHERE bi.business_id = b.id AND bi.accepted_by = $2 AND bi.status = 'accepted'
+              ) as member
+     FROM public.businesses b
+     WHERE b.id = $1`,
+    [businessId, userId],
+  );
+  if (result.rows.length === 0) {
+    return { exists: false, member: false };
+  }
+  if (result.rows[0].member) {
+    return { exists: true, member: true };
+  }
+
+  const roles = await getUserRoles(pool, userId);
+  return { exists: true, member: roles.includes("admin") };
+}
+
+/**
+ * Refuse work on behalf of a business the user does not belong to
+ * @throws {Error} 400 when the business does not exist, 403 when the user is not a member
+ */
+async function assertBusinessMember(pool, userId, businessId) {
+  const { exists, member } = await getBusinessMembership(pool, userId, businessId);
+  if (!exists) {
+    throw httpError(400, "Business not found");
+  }
+  if (!member) {
+    throw httpError(403, "You are not a member of this business");
+  }
+}
+
+module.exports = {
+  canManageBusiness,
+  getBusinessMembership,
+  assertBusinessMember,
+};
@@ -0,0 +1,108 @@
+const { withTransaction } = require("../utils/db");
+
+function personName(row) {
+  return [row.first_name, row.last_name].filter(Boolean).join(" ").trim() || null;
+}
+
+/**
+ * Fetch the comment thread of a payout request, oldest first, with attachments
+ * @param {import("pg").Pool} pool - Connection pool
+ * @param {string} payoutRequestId - Payout request id
+ * @returns {Promise<Array>}
+ */
+async function listComments(pool, payoutRequestId) {
+  const comments = await pool.query(
+    `SELECT c.id, c.body, c.created_at, c.author_id, u.email as author_email, ud.first_name, ud.last_name
+     FROM public.payout_request_comments c
+     JOIN public.users u ON c.author_id = u.id
+     LEFT JOIN public.user_details ud ON u.id = ud.user_id
+     WHERE c.payout_request_id = $1
+     ORDER BY c.created_at, c.id`,
+    [payoutRequestId],
+  );
+
+  if (comments.rows.length === 0) {
+    return [];
+  }
+
+  const attachments = await pool.query(
+    `SELECT a.id, a.comment_id, a.original_name, a.content_type, a.created_at
+     FROM public.payout_request_comment_attachments a
+     JOIN public.payout_request_comments c ON a.comment_id = c.id
+     WHERE c.payout_request_id = $1
+     ORDER BY a.created_at, a.id`,
+    [payoutRequestId],
+  );
+
+  const attachmentsByComment = new Map();
+  for (const row of attachments.rows) {
+    const list = attachmentsByComment.get(row.comment_id) || [];
+    list.push({
+      id: row.id,
+      name: row.original_name,
+      contentType: row.content_type,
+      // Served through the same access check as the thread itself
+      url: `/api/payout-requests/${payoutRequestId}/attachments/${row.id}`,
+    });
+    attachmentsByComment.set(row.comment_id, list);
+  }
+
+  return comments.rows.map((row) => ({
+    id: row.id,
+    body: row.body,
+    author: {
+      id: row.author_id,
+      email: row.author_email,
+      name: personName(row),
+    },
+    attachments: attachmentsByComment.get(row.id) || [],
+    createdAt: row.created_at,
+  }));
+}
+
+/**
+ * Post a comment with already-stored attachments
+ * @param {import("pg").Pool} pool - Connection pool
+ * @param {{payoutRequestId: string, authorId: string, body: string,
+ *   attachments: Array<{fileName: string, originalName?: string, contentType: string}>}} comment
+ * @returns {Promise<string>} - Comment id
+ */
+async function addComment(pool, { payoutRequestId, authorId, body, attachments }) {
+  return withTransaction(pool, async (client) => {
+    const result = await client.query(
+      `INSERT INTO public.payout_request_comments (payout_request_id, author_id, body)
+       VALUES ($1, $2, $3)
+       RETURNING id`,
+      [payoutRequestId, authorId, body],
+    );
+    const commentId = result.rows[0].id;
+
+    for (const attachment of attachments) {
+      await client.query(
+        `INSERT INTO public.payout_request_comment_attachments (comment_id, file_name, original_name, content_type)
+         VALUES ($1, $2, $3, $4)`,
+        [commentId, attachment.fileName, attachment.originalName || null, attachment.contentType],
+      );
+    }
+
+    return commentId;
+  });
+}
+
+async function getCommentAttachment(pool, payoutRequestId, attachmentId) {
+  const result = await pool.query(
+    `SELECT a.id, a.file_name, a.original_name, a.content_type
+     FROM public.payout_request_comment_attachments a
+     JOIN public.payout_request_comments c ON a.comment_id = c.id
+     WHERE a.id = $1 AND c.payout_request_id = $2`,
+    [attachmentId, payoutRequestId],
+  );
+
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  listComments,
+  addComment,
+  getCommentAttachment,
+};
@@ -0,0 +1,58 @@
+// A verified OTP is exchanged for a short-lived single-use token, which the account creation and
+// sign-in routes consume. Only a hash of the token is stored.
+const crypto = require("crypto");
+
+const OTP_VERIFICATION_TTL_MINUTES = Number(process.env.OTP_VERIFICATION_TTL_MINUTES || 10);
+const VERIFIED_COLUMNS = ["email", "phone"];
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function assertVerifiedColumn(column) {
+  if (!VERIFIED_COLUMNS.includes(column)) {
+    throw new Error(`Unknown OTP verification column: ${column}`);
+  }
+}
+
+/**
+ * Record that the email address or phone number passed OTP verification
+ * @param {import("pg").Pool} pool - Connection pool
+ * @param {{column: "email"|"phone", value: string}} verified - What the OTP was sent to
+ * @returns {Promise<{verificationToken: string, expiresAt: Date}>}
+ */
+async function issueOtpVerification(pool, { column, value }) {
+  assertVerifiedColumn(column);
+  const verificationToken = crypto.randomBytes(32).toString("base64url");
+  const expiresAt = new Date(Date.now() + OTP_VERIFICATION_TTL_MINUTES * 60 * 1000);
+
+  await pool.query(
+    `INSERT INTO public.otp_verifications (token_hash, ${column}, expires_at)
+     VALUES ($1, $2, $3)`,
+    [hashToken(verificationToken), value, expiresAt],
+  );
+
+  return { verificationToken, expiresAt };
+}
+
+/**
+ * Use up a verification token issued for the given email address or phone number
+ * @param {import("pg").Pool} pool - Connection pool
+ * @param {{token: string, column: "email"|"phone", value: string}} options
+ * @returns {Promise<boolean>} - False when the token is unknown, expired, already used or for another address
+ */
+async function consumeOtpVerification(pool, { token, column, value }) {
+  assertVerifiedColumn(column);
+  const { rowCount } = await pool.query(
+    `UPDATE public.otp_verifications
+     SET used_at = now()
+     WHERE token_hash = $1 AND ${column} = $2 AND used_at IS NULL AND expires_at > now()`,
+    [hashToken(token), value],
+  );
+  return rowCount > 0;
+}
+
+module.exports = {
+  issueOtpVerification,
+  consumeOtpVerification,
+};
@@ -0,0 +1,89 @@
+// Forgotten-password recovery through an emailed single-use link. Only a hash of the link's token is
+// stored, a newer link replaces older ones, and a successful reset signs the user out everywhere.
+const crypto = require("crypto");
+const { findUserByEmail } = require("./userService");
+const { revokeOtherSessions } = require("./sessionService");
+const { hashPassword } = require("../utils/password");
+const { sendPasswordResetEmail } = require("../utils/email");
+const { withTransaction } = require("../utils/db");
+const { httpError } = require("../utils/httpError");
+
+const PASSWORD_RESET_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES || 30);
+// Page of the web app that reads `?token=` and posts it to /api/auth/reset-password
+const PASSWORD_RESET_URL = process.env.PASSWORD_RESET_URL || "http://localhost:3000/reset-password";
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Email a reset link if an account exists for the address. Callers must answer the same way
+ * whether or not it does, so the endpoint cannot be used to discover accounts.
+ * @param {import("pg").Pool} pool - Connection pool
+ * @param {{email: string, ipAddress?: string}} options
+ * @returns {Promise<boolean>} - Whether a link was sent
+ */
+async function requestPasswordReset(pool, { email, ipAddress }) {
+  const user = await findUserByEmail(pool, email);
+  if (!user) {
+    return false;
+  }
+
+  const token = crypto.randomBytes(32).toString("base64url");
+
+  await withTransaction(pool, async (client) => {
+    await client.query(
+      "UPDATE public.password_reset_tokens SET used_at = now() WHERE user_id = $1 AND used_at IS NULL",
+      [user.id],
+    );
+    await client.query(
+      `INSERT INTO public.password_reset_tokens (user_id, token_hash, expires_at, requested_ip)
+       VALUES ($1, $2, now() + make_interval(mins => $3), $4)`,
+      [user.id, hashToken(token), PASSWORD_RESET_TTL_MINUTES, ipAddress || null],
+    );
+  });
+
+  const resetUrl = new URL(PASSWORD_RESET_URL);
+  resetUrl.searchParams.set("token", token);
+  await sendPasswordResetEmail({ to: user.email, resetUrl: resetUrl.toString(), ttlMinutes: PASSWORD_RESET_TTL_MINUTES });
+
+  return true;
+}
+
+/**
+ * Set a new password with a reset link's token and revoke every session of the account
+ * @param {import("pg").Pool} pool - Connection pool
+ * @param {{token: string, newPassword: string}} options
+ * @returns {Promise<{userId: string, email: string, revokedSessions: number}>}
+ */
+async function resetPassword(pool, { token, newPassword }) {
+  return withTransaction(pool, async (client) => {
+    const result = await client.query(
+      `SELECT prt.id, u.id as user_id, u.email
+       FROM public.password_reset_tokens prt
+       JOIN public.users u ON prt.user_id = u.id
+       WHERE prt.token_hash = $1 AND prt.used_at IS NULL AND prt.expires_at > now()
+       FOR UPDATE OF prt`,
+      [hashToken(token)],
+    );
+    if (result.rows.length === 0) {
+      throw httpError(400, "Reset link is invalid or has expired");
+    }
+    const { id, user_id: userId, email } = result.rows[0];
+
+    const passwordHash = await hashPassword(newPassword);
+    await client.query("UPDATE public.users SET password_hash = $1, updated_at = now() WHERE id = $2", [
+      passwordHash,
+      userId,
+    ]);
+    await client.query("UPDATE public.password_reset_tokens SET used_at = now() WHERE id = $1", [id]);
+
+    const revokedSessions = await revokeOtherSessions(client, userId, null, "password_reset");
+    return { userId, email, revokedSessions };
+  });
+}
+
+module.exports = {
+  requestPasswordReset,
+  resetPassword,
+};
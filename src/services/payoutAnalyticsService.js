@@ -0,0 +1,210 @@
+const { PAYOUT_STATUSES, payoutFilterProperties, buildPayoutFilters } = require("./payoutQueryService");
+const { httpError } = require("../utils/httpError");
+
+const ANALYTICS_INTERVALS = ["day", "week", "month"];
+
+// Range used when the caller gives no `from`
+const DEFAULT_RANGE_DAYS = 30;
+// Keeps a time series small enough to chart; e.g. about two and a half years of days
+const MAX_SERIES_POINTS = 1000;
+
+const INTERVAL_DAYS = { day: 1, week: 7, month: 28 };
+
+const payoutAnalyticsQuerySchema = {
+  type: "object",
+  properties: {
+    ...payoutFilterProperties,
+    interval: { type: "string", enum: ANALYTICS_INTERVALS, default: "day" },
+    topRequesters: { type: "integer", minimum: 1, maximum: 100, default: 10 },
+  },
+};
+
+function toDateString(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// Fill in the date range: `to` defaults to today and `from` to DEFAULT_RANGE_DAYS before `to`
+function resolveRange(query) {
+  const to = query.to || toDateString(new Date());
+  const from = query.from || toDateString(new Date(Date.parse(to) - (DEFAULT_RANGE_DAYS - 1) * 24 * 60 * 60 * 1000));
+
+  if (from > to) {
+    throw httpError(400, "`from` must not be after `to`");
+  }
+
+  const days = (Date.parse(to) - Date.parse(from)) / (24 * 60 * 60 * 1000) + 1;
+  if (days / INTERVAL_DAYS[query.interval] > MAX_SERIES_POINTS) {
+    throw httpError(400, `Date range is too long for ${query.interval} intervals; use a longer interval or a shorter range`);
+  }
+
+  return { from, to };
+}
+
+// Sums of numeric(14, 2) amounts added up in JS, without floating point noise
+function roundAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+function emptyStatusTotals() {
+  return Object.fromEntries(PAYOUT_STATUSES.map((status) => [status, { count: 0, amount: 0 }]));
+}
+
+function statusRows(pool, where, params) {
+  return pool.query(
+    `SELECT pr.status, COUNT(*)::int as count, COALESCE(SUM(pr.amount), 0) as amount
+     FROM public.payout_requests pr
+     ${where}
+     GROUP BY pr.status`,
+    params,
+  );
+}
+
+// Every bucket of the range is returned, including empty ones, so charts need no gap filling
+async function timeSeries(pool, filters, scope, interval) {
+  const { where, params } = buildPayoutFilters(filters, scope);
+  params.push(interval, filters.from, filters.to);
+  const [intervalParam, fromParam, toParam] = [params.length - 2, params.length - 1, params.length].map((n) => `$${n}`);
+
+  const result = await pool.query(
+    `WITH buckets AS (
+       SELECT generate_series(
+         date_trunc(${intervalParam}, ${fromParam}::date::timestamptz),
+         date_trunc(${intervalParam}, ${toParam}::date::timestamptz),
+         ('1 ' || ${intervalParam})::interval
+       ) as bucket
+     ),
+     totals AS (
+       SELECT date_trunc(${intervalParam}, pr.created_at) as bucket, pr.status,
+              COUNT(*)::int as count, SUM(pr.amount) as amount
+       FROM public.payout_requests pr
+       ${where}
+       GROUP BY 1, 2
+     )
+     SELECT to_char(b.bucket, 'YYYY-MM-DD') as period, t.status, t.count, t.amount
+     FROM buckets b
+     LEFT JOIN totals t ON t.bucket = b.bucket
+     ORDER BY b.bucket`,
+    params,
+  );
+
+  const series = new Map();
+  for (const row of result.rows) {
+    if (!series.has(row.period)) {
+      series.set(row.period, { period: row.period, count: 0, amount: 0, byStatus: emptyStatusTotals() });
+    }
+    if (row.status) {
+      const point = series.get(row.period);
+      const amount = parseFloat(row.amount);
+      point.count += row.count;
+      point.amount = roundAmount(point.amount + amount);
+      point.byStatus[row.status] = { count: row.count, amount };
+    }
+  }
+  return [...series.values()];
+}
+
+async function requesterBreakdown(pool, filters, scope, limit) {
+  const { where, params } = buildPayoutFilters(filters, scope);
+  params.push(limit);
+
+  const result = await pool.query(
+    `SELECT pr.user_id, u.email, ud.first_name, ud.last_name,
+            COUNT(*)::int as count,
+            COALESCE(SUM(pr.amount), 0) as amount,
+            COALESCE(SUM(pr.amount) FILTER (WHERE pr.status IN ('approved', 'paid')), 0) as approved_amount
+     FROM public.payout_requests pr
+     LEFT JOIN public.users u ON pr.user_id = u.id
+     LEFT JOIN public.user_details ud ON u.id = ud.user_id
+     ${where}
+     GROUP BY pr.user_id, u.email, ud.first_name, ud.last_name
+     ORDER BY amount DESC, pr.user_id
+     LIMIT $${params.length}`,
+    params,
+  );
+
+  return result.rows.map((row) => ({
+    userId: row.user_id,
+    email: row.email,
+    name: [row.first_name, row.last_name].filter(Boolean).join(" ").trim() || null,
+    count: row.count,
+    amount: parseFloat(row.amount),
+    approvedAmount: parseFloat(row.approved_amount),
+  }));
+}
+
+// Requesters are counted under one role each, the same role their wallet is labelled with
+async function roleBreakdown(pool, filters, scope) {
+  const { where, params } = buildPayoutFilters(filters, scope);
+
+  const result = await pool.query(
+    `SELECT requester_role.name as role,
+            COUNT(*)::int as count,
+            COALESCE(SUM(pr.amount), 0) as amount,
+            COALESCE(SUM(pr.amount) FILTER (WHERE pr.status IN ('approved', 'paid')), 0) as approved_amount
+     FROM public.payout_requests pr
+     LEFT JOIN LATERAL (
+       SELECT r.name
+       FROM public.user_roles ur
+       JOIN public.roles r ON ur.role_id = r.id
+       WHERE ur.user_id = pr.user_id
+       LIMIT 1
+     ) requester_role ON true
+     ${where}
+     GROUP BY requester_role.name
+     ORDER BY amount DESC`,
+    params,
+  );
+
+  return result.rows.map((row) => ({
+    role: row.role,
+    count: row.count,
+    amount: parseFloat(row.amount),
+    approvedAmount: parseFloat(row.approved_amount),
+  }));
+}
+
+/**
+ * Payout counts and amounts over a date range: totals, a time series, and breakdowns by status,
+ * requester and requester role. Everything is aggregated in SQL over the caller's visible requests.
+ * @param {import("pg").Pool} pool - Connection pool
+ * @param {object} query - Parsed query parameters (see payoutAnalyticsQuerySchema)
+ * @param {{userId: string, canViewAll: boolean}} scope - Caller's visibility
+ * @returns {Promise<object>}
+ */
+async function getPayoutAnalytics(pool, query, scope) {
+  const interval = query.interval || "day";
+  const range = resolveRange({ ...query, interval });
+  const filters = { ...query, ...range };
+  const { where, params } = buildPayoutFilters(filters, scope);
+
+  const [statuses, series, requesters, roles] = await Promise.all([
+    statusRows(pool, where, params),
+    timeSeries(pool, filters, scope, interval),
+    requesterBreakdown(pool, filters, scope, query.topRequesters || 10),
+    roleBreakdown(pool, filters, scope),
+  ]);
+
+  const byStatus = emptyStatusTotals();
+  for (const row of statuses.rows) {
+    byStatus[row.status] = { count: row.count, amount: parseFloat(row.amount) };
+  }
+  const totals = Object.values(byStatus).reduce(
+    (sum, status) => ({ count: sum.count + status.count, amount: roundAmount(sum.amount + status.amount) }),
+    { count: 0, amount: 0 },
+  );
+
+  return {
+    range: { ...range, interval },
+    totals,
+    byStatus,
+    series,
+    byRequester: requesters,
+    byRole: roles,
+  };
+}
+
+module.exports = {
+  ANALYTICS_INTERVALS,
+  payoutAnalyticsQuerySchema,
+  getPayoutAnalytics,
+};
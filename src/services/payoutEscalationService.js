@@ -0,0 +1,233 @@
+// Payout requests pending longer than the review SLA are escalated by email: first to the people who
+// can sign the approval tier the request is waiting on, then, one SLA period later, to the business
+// owner (or the admins for requests without a business). Each escalation is recorded once per level.
+const { getApplicableTiers } = require("./approvalPolicyService");
+const { REVIEWER_ROLES } = require("./payoutService");
+const { sendPayoutEscalationEmail } = require("../utils/email");
+const { formatAmount, generateReference } = require("../utils/format");
+
+// Hours a payout request may stay pending before it is overdue
+const PAYOUT_SLA_HOURS = Number(process.env.PAYOUT_SLA_HOURS || 48);
+const MAX_ESCALATION_LEVEL = 2;
+
+/**
+ * How long a payout request has been waiting for review
+ * @param {{status: string, created_at: Date|string}} row - Payout request row
+ * @param {Date} [now]
+ * @returns {{pendingHours: number|null, overdue: boolean}} - pendingHours is null once the request left `pending`
+ */
+function getPendingAge(row, now = new Date()) {
+  if (row.status !== "pending") {
+    return { pendingHours: null, overdue: false };
+  }
+  const pendingHours = Math.floor((now - new Date(row.created_at)) / (60 * 60 * 1000));
+  return { pendingHours, overdue: pendingHours >= PAYOUT_SLA_HOURS };
+}
+
+function personName(row) {
+  return [row.first_name, row.last_name].filter(Boolean).join(" ").trim() || null;
+}
+
+// Pending requests due for their next escalation: level N is due N SLA periods after creation
+async function findDueEscalations(pool, limit) {
+  const result = await pool.query(
+    `SELECT pr.id, pr.user_id, pr.business_id, pr.amount, pr.remarks, pr.created_at,
+            COALESCE(escalation.level, 0) as escalation_level,
+            u.email as requester_email, ud.first_name, ud.last_name
+     FROM public.payout_requests pr
+     LEFT JOIN LATERAL (
+       SELECT MAX(level) as level
+       FROM public.payout_request_escalations
+       WHERE payout_request_id = pr.id
+     ) escalation ON true
+     LEFT JOIN public.users u ON pr.user_id = u.id
+     LEFT JOIN public.user_details ud ON u.id = ud.user_id
+     WHERE pr.status = 'pending'
+       AND COALESCE(escalation.level, 0) < $2
+       AND pr.created_at <= now() - $1 * interval '1 hour' * (COALESCE(escalation.level, 0) + 1)
+     ORDER BY pr.created_at
+     LIMIT $3`,
+    [PAYOUT_SLA_HOURS, MAX_ESCALATION_LEVEL, limit],
+  );
+  return result.rows;
+}
+
+async function emailsOfRoles(pool, roles, excludeUserIds) {
+  const result = await pool.query(
+    `SELECT DISTINCT u.email
+     FROM public.users u
+     JOIN public.user_roles ur ON ur.user_id = u.id
+     JOIN public.roles r ON ur.role_id = r.id
+     WHERE r.name = ANY($1) AND NOT (u.id = ANY($2)) AND u.email IS NOT NULL
+     ORDER BY u.email`,
+    [roles, excludeUserIds],
+  );
+  return result.rows.map((row) => row.email);
+}
+
+// The approval tier the request is waiting on and who may sign it, leaving out the requester and earlier signers
+async function nextTierApprovers(pool, payoutRequest) {
+  const tiers = await getApplicableTiers(pool, payoutRequest.business_id, payoutRequest.amount);
+  const requiredTiers = tiers.length > 0 ? tiers : [{ level: 1, approverRoles: REVIEWER_ROLES }];
+
+  const approvals = await pool.query(
+    "SELECT level, approver_id FROM public.payout_request_approvals WHERE payout_request_id = $1",
+    [payoutRequest.id],
+  );
+  const signedLevels = new Set(approvals.rows.map((row) => row.level));
+  const nextTier = requiredTiers.find((tier) => !signedLevels.has(tier.level));
+  if (!nextTier) {
+    return { approvalLevel: null, recipients: [] };
+  }
+
+  const excluded = [payoutRequest.user_id, ...approvals.rows.map((row) => row.approver_id)];
+  return {
+    approvalLevel: nextTier.level,
+    recipients: await emailsOfRoles(pool, nextTier.approverRoles, excluded),
+  };
+}
+
+async function ownerOrAdmins(pool, payoutRequest) {
+  if (payoutRequest.business_id) {
+    const owner = await pool.query(
+      `SELECT u.email
+       FROM public.businesses b
+       JOIN public.users u ON b.owner_user_id = u.id
+       WHERE b.id = $1 AND u.id <> $2`,
+      [payoutRequest.business_id, payoutRequest.user_id],
+    );
+    if (owner.rows.length > 0) {
+      return { target: "owner", recipients: owner.rows.map((row) => row.email) };
+    }
+  }
+  return { target: "admins", recipients: await emailsOfRoles(pool, ["admin"], [payoutRequest.user_id]) };
+}
+
+function escalationReason(level, escalation) {
+  if (escalation.target === "approvers") {
+    return `It is waiting for a level ${escalation.approvalLevel} approval, which you can give.`;
+  }
+  if (level === 1) {
+    return "Nobody else is able to approve it at the moment.";
+  }
+  return "It has not been reviewed despite an earlier reminder to its approvers.";
+}
+
+/**
+ * Raise the next escalation of an overdue payout request and email its recipients
+ * The escalation row is claimed before any email is sent, so concurrent runs notify only once.
+ * @param {import("pg").Pool} pool - Connection pool
+ * @param {object} payoutRequest - Row from findDueEscalations
+ * @returns {Promise<object|null>} - The recorded escalation, or null if another run raised it first
+ */
+async function escalatePayoutRequest(pool, payoutRequest) {
+  const level = payoutRequest.escalation_level + 1;
+
+  let escalation = { target: "approvers", approvalLevel: null, recipients: [] };
+  if (level === 1) {
+    escalation = { target: "approvers", ...(await nextTierApprovers(pool, payoutRequest)) };
+  }
+  // Later levels, and first escalations nobody could act on, go up to the owner
+  if (escalation.recipients.length === 0) {
+    escalation = { ...escalation, ...(await ownerOrAdmins(pool, payoutRequest)) };
+  }
+
+  const claimed = await pool.query(
+    `INSERT INTO public.payout_request_escalations (payout_request_id, level, target, approval_level, recipients)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (payout_request_id, level) DO NOTHING
+     RETURNING id, created_at`,
+    [payoutRequest.id, level, escalation.target, escalation.approvalLevel, escalation.recipients],
+  );
+  if (claimed.rows.length === 0) {
+    return null;
+  }
+
+  const { pendingHours } = getPendingAge({ status: "pending", created_at: payoutRequest.created_at });
+  let notifyError = null;
+
+  if (escalation.recipients.length === 0) {
+    notifyError = "Nobody to notify";
+  } else {
+    try {
+      await sendPayoutEscalationEmail({
+        to: escalation.recipients,
+        reference: generateReference(payoutRequest.id, payoutRequest.created_at),
+        amount: formatAmount(parseFloat(payoutRequest.amount)),
+        requester: personName(payoutRequest) || payoutRequest.requester_email || "a user",
+        pendingHours,
+        remarks: payoutRequest.remarks,
+        reason: escalationReason(level, escalation),
+      });
+    } catch (error) {
+      notifyError = error.message;
+    }
+  }
+
+  await pool.query(
+    `UPDATE public.payout_request_escalations
+     SET notified_at = CASE WHEN $2::text IS NULL THEN now() END, notify_error = $2
+     WHERE id = $1`,
+    [claimed.rows[0].id, notifyError],
+  );
+
+  return {
+    id: claimed.rows[0].id,
+    payoutRequestId: payoutRequest.id,
+    level,
+    target: escalation.target,
+    recipients: escalation.recipients,
+    notifyError,
+  };
+}
+
+/**
+ * Escalate every payout request that is due, oldest first
+ * @param {import("pg").Pool} pool - Connection pool
+ * @param {{limit?: number}} [options]
+ * @returns {Promise<{escalations: object[], errors: Array<{payoutRequestId: string, error: Error}>}>}
+ */
+async function runPayoutEscalations(pool, { limit = 100 } = {}) {
+  const escalations = [];
+  const errors = [];
+
+  for (const payoutRequest of await findDueEscalations(pool, limit)) {
+    try {
+      const escalation = await escalatePayoutRequest(pool, payoutRequest);
+      if (escalation) {
+        escalations.push(escalation);
+      }
+    } catch (error) {
+      errors.push({ payoutRequestId: payoutRequest.id, error });
+    }
+  }
+
+  return { escalations, errors };
+}
+
+async function listEscalations(pool, payoutRequestId) {
+  const result = await pool.query(
+    `SELECT level, target, approval_level, recipients, notified_at, notify_error, created_at
+     FROM public.payout_request_escalations
+     WHERE payout_request_id = $1
+     ORDER BY level`,
+    [payoutRequestId],
+  );
+
+  return result.rows.map((row) => ({
+    level: row.level,
+    target: row.target,
+    approvalLevel: row.approval_level,
+    recipients: row.recipients,
+    notifiedAt: row.notified_at,
+    notifyError: row.notify_error,
+    escalatedAt: row.created_at,
+  }));
+}
+
+module.exports = {
+  PAYOUT_SLA_HOURS,
+  getPendingAge,
+  runPayoutEscalations,
+  listEscalations,
+};
@@ -0,0 +1,189 @@
+const { PassThrough, Transform } = require("stream");
+const { pipeline } = require("stream/promises");
+const QueryStream = require("pg-query-stream");
+const ExcelJS = require("exceljs");
+const { buildPayoutFilters } = require("./payoutQueryService");
+const { generateReference } = require("../utils/format");
+
+const EXPORT_COLUMNS = [
+  { header: "Reference", key: "reference", width: 20 },
+  { header: "Requester", key: "requester", width: 28 },
+  { header: "Requester Email", key: "requesterEmail", width: 32 },
+  { header: "Amount (INR)", key: "amount", width: 14 },
+  { header: "TDS Section", key: "tdsSection", width: 12 },
+  { header: "Payee PAN", key: "payeePan", width: 14 },
+  { header: "TDS (INR)", key: "tdsAmount", width: 12 },
+  { header: "Net (INR)", key: "netAmount", width: 14 },
+  { header: "UTR", key: "utr", width: 24 },
+  { header: "Payment Mode", key: "paymentMode", width: 14 },
+  { header: "Status", key: "status", width: 12 },
+  { header: "Requested On", key: "requestedOn", width: 14 },
+  { header: "Cleared On", key: "clearedOn", width: 14 },
+  { header: "Remarks", key: "remarks", width: 40 },
+  { header: "Proof", key: "proof", width: 60 },
+];
+
+const EXPORT_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  xlsx: {
+    contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    extension: "xlsx",
+  },
+};
+
+// Rows are pulled from Postgres in batches of this size
+const STREAM_BATCH_SIZE = 500;
+
+function toIsoDate(value) {
+  return value ? new Date(value).toISOString().slice(0, 10) : "";
+}
+
+// Proofs are private, so the export links to the authenticated proof endpoint rather than the file
+function proofLink(row, proofBaseUrl) {
+  if (!row.proof_filename) {
+    return "";
+  }
+  return `${proofBaseUrl}/api/payout-requests/${row.id}/proof`;
+}
+
+function toExportRecord(row, proofBaseUrl) {
+  return {
+    reference: generateReference(row.id, row.created_at),
+    requester: [row.first_name, row.last_name].filter(Boolean).join(" ").trim() || row.user_email?.split("@")[0] || "",
+    requesterEmail: row.user_email || "",
+    amount: parseFloat(row.amount || 0),
+    tdsSection: row.tds_section || "",
+    payeePan: row.payee_pan || "",
+    tdsAmount: parseFloat(row.tds_amount || 0),
+    // Without TDS the whole amount is paid out
+    netAmount: parseFloat(row.net_amount ?? row.amount ?? 0),
+    utr: row.utr || "",
+    paymentMode: row.payment_mode || "",
+    status: row.status,
+    requestedOn: toIsoDate(row.created_at),
+    clearedOn: toIsoDate(row.processed_at),
+    remarks: row.remarks || "",
+    proof: proofLink(row, proofBaseUrl),
+  };
+}
+
+// Quote a CSV field and neutralise values a spreadsheet would evaluate as a formula
+function csvField(value) {
+  if (typeof value === "number") {
+    return String(value);
+  }
+  let text = String(value ?? "");
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvLine(values) {
+  return `${values.map(csvField).join(",")}\r\n`;
+}
+
+async function writeCsv(rows, output, proofBaseUrl) {
+  // The byte order mark makes Excel open the file as UTF-8
+  output.write(`\ufeff${csvLine(EXPORT_COLUMNS.map((column) => column.header))}`);
+
+  await pipeline(
+    rows,
+    new Transform({
+      writableObjectMode: true,
+      transform(row, _encoding, callback) {
+        const record = toExportRecord(row, proofBaseUrl);
+        callback(null, csvLine(EXPORT_COLUMNS.map((column) => record[column.key])));
+      },
+    }),
+    output,
+  );
+}
+
+async function writeXlsx(rows, output, proofBaseUrl) {
+  // The streaming writer flushes committed rows to `output` instead of keeping the workbook in memory
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output, useStyles: true });
+  const worksheet = workbook.addWorksheet("Payout Requests");
+  worksheet.columns = EXPORT_COLUMNS;
+  worksheet.getRow(1).font = { bold: true };
+  worksheet.getRow(1).commit();
+
+  for await (const row of rows) {
+    if (output.destroyed) {
+      throw new Error("Export stream closed before completion");
+    }
+    const record = toExportRecord(row, proofBaseUrl);
+    const excelRow = worksheet.addRow({
+      ...record,
+      proof: record.proof ? { text: record.proof, hyperlink: record.proof } : "",
+    });
+    for (const key of ["amount", "tdsAmount", "netAmount"]) {
+      excelRow.getCell(key).numFmt = "#,##0.00";
+    }
+    excelRow.commit();
+  }
+
+  worksheet.commit();
+  await workbook.commit();
+}
+
+/**
+ * Stream payout requests matching the filters as CSV or XLSX
+ * Rows are read through a server-side cursor so the full result set is never held in memory
+ * @param {import("pg").Pool} pool - Connection pool
+ * @param {{format: "csv"|"xlsx", filters: object, scope: {userId: string, canViewAll: boolean}, proofBaseUrl: string, log: object}} options
+ * @returns {Promise<import("stream").Readable>} - Stream of the encoded file
+ */
+async function streamPayoutExport(pool, { format, filters, scope, proofBaseUrl, log }) {
+  const { where, params } = buildPayoutFilters(filters, scope);
+  const client = await pool.connect();
+
+  const rows = client.query(
+    new QueryStream(
+      `SELECT
+         pr.id,
+         pr.amount,
+         pr.status,
+         pr.created_at,
+         pr.processed_at,
+         pr.utr,
+         pr.payment_mode,
+         pr.remarks,
+         pr.proof_filename,
+         pr.tds_section,
+         pr.payee_pan,
+         pr.tds_amount,
+         pr.net_amount,
+         u.email as user_email,
+         ud.first_name,
+         ud.last_name
+       FROM public.payout_requests pr
+       LEFT JOIN public.users u ON pr.user_id = u.id
+       LEFT JOIN public.user_details ud ON u.id = ud.user_id
+       ${where}
+       ORDER BY pr.created_at DESC, pr.id DESC`,
+      params,
+      { batchSize: STREAM_BATCH_SIZE },
+    ),
+  );
+
+  const output = new PassThrough();
+  const write = format === "xlsx" ? writeXlsx : writeCsv;
+
+  write(rows, output, proofBaseUrl)
+    .then(() => client.release())
+    .catch((error) => {
+      log.error({ err: error }, "Failed to stream payout export");
+      output.destroy(error);
+      rows.destroy();
+      // The connection may be mid-query, so discard it instead of returning it to the pool
+      client.release(true);
+    });
+
+  return output;
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  streamPayoutExport,
+};
@@ -0,0 +1,245 @@
+// Payout limits cap what a user may request: per request, and cumulatively per calendar day
+// and month. Limits are set per role and may be overridden per user; a user's own row replaces
+// their role limits entirely. With several roles the most generous limit of each kind applies.
+const { getUserRoles } = require("./userService");
+const { httpError } = require("../utils/httpError");
+const { formatAmount } = require("../utils/format");
+
+// Days and months start at midnight in this time zone
+const PAYOUT_LIMIT_TIMEZONE = process.env.PAYOUT_LIMIT_TIMEZONE || "Asia/Kolkata";
+
+// Requests that still count towards a user's daily / monthly caps
+const COUNTED_STATUSES = ["pending", "approved", "paid"];
+
+const LIMIT_FIELDS = [
+  ["perRequestMax", "per_request_max"],
+  ["dailyMax", "daily_max"],
+  ["monthlyMax", "monthly_max"],
+];
+
+function parseCap(value) {
+  return value === null || value === undefined ? null : parseFloat(value);
+}
+
+function mapLimit(row) {
+  return {
+    role: row.role,
+    userId: row.user_id,
+    perRequestMax: parseCap(row.per_request_max),
+    dailyMax: parseCap(row.daily_max),
+    monthlyMax: parseCap(row.monthly_max),
+    updatedAt: row.updated_at,
+  };
+}
+
+async function listPayoutLimits(pool) {
+  const result = await pool.query(
+    `SELECT role, user_id, per_request_max, daily_max, monthly_max, updated_at
+     FROM public.payout_limits
+     ORDER BY role NULLS LAST, created_at`,
+  );
+  const limits = result.rows.map(mapLimit);
+  return {
+    roles: limits.filter((limit) => limit.role),
+    users: limits.filter((limit) => limit.userId),
+  };
+}
+
+/**
+ * Create or replace the limits of a role or a user
+ * @param {import("pg").Pool} pool - Connection pool
+ * @param {{role?: string, userId?: string}} target - Exactly one of role / userId
+ * @param {{perRequestMax: number|null, dailyMax: number|null, monthlyMax: number|null}} limits - Null means no cap
+ * @param {string} updatedBy - Admin making the change
+ * @returns {Promise<object>}
+ */
+async function setPayoutLimit(pool, { role, userId }, limits, updatedBy) {
+  const conflictTarget = role ? "(role) WHERE role IS NOT NULL" : "(user_id) WHERE user_id IS NOT NULL";
+  const result = await pool.query(
+    `INSERT INTO public.payout_limits (role, user_id, per_request_max, daily_max, monthly_max, updated_by)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT ${conflictTarget} DO UPDATE
+     SET per_request_max = EXCLUDED.per_request_max,
+         daily_max = EXCLUDED.daily_max,
+         monthly_max = EXCLUDED.monthly_max,
+         updated_by = EXCLUDED.updated_by,
+         updated_at = now()
+     RETURNING role, user_id, per_request_max, daily_max, monthly_max, updated_at`,
+    [
+      role || null,
+      userId || null,
+      limits.perRequestMax ?? null,
+      limits.dailyMax ?? null,
+      limits.monthlyMax ?? null,
+      updatedBy,
+    ],
+  );
+  return mapLimit(result.rows[0]);
+}
+
+// Returns false when there was nothing to delete
+async function deletePayoutLimit(pool, { role, userId }) {
+  const result = role
+    ? await pool.query("DELETE FROM public.payout_limits WHERE role = $1", [role])
+    : await pool.query("DELETE FROM public.payout_limits WHERE user_id = $1", [userId]);
+  return result.rowCount > 0;
+}
+
+/**
+ * Limits that apply to a user
+ * @param {import("pg").Pool|import("pg").PoolClient} pool - Connection pool or transaction client
+ * @param {string} userId - User id
+ * @returns {Promise<{source: "user"|"role", perRequestMax: number|null, dailyMax: number|null,
+ *   monthlyMax: number|null}|null>} - Null when no limits apply
+ */
+async function getEffectiveLimits(pool, userId) {
+  const roles = await getUserRoles(pool, userId);
+  const result = await pool.query(
+    `SELECT role, user_id, per_request_max, daily_max, monthly_max, updated_at
+     FROM public.payout_limits
+     WHERE user_id = $1 OR role = ANY($2)`,
+    [userId, roles],
+  );
+  const limits = result.rows.map(mapLimit);
+
+  const own = limits.find((limit) => limit.userId);
+  if (own) {
+    return {
+      source: "user",
+      perRequestMax: own.perRequestMax,
+      dailyMax: own.dailyMax,
+      monthlyMax: own.monthlyMax,
+    };
+  }
+
+  if (limits.length === 0) {
+    return null;
+  }
+
+  const effective = { source: "role" };
+  for (const [field] of LIMIT_FIELDS) {
+    // A role without a cap of this kind lifts it for the user
+    const caps = limits.map((limit) => limit[field]);
+    effective[field] = caps.includes(null) ? null : Math.max(...caps);
+  }
+  return effective;
+}
+
+/**
+ * Amount a user has requested so far today and this month
+ * @param {import("pg").Pool|import("pg").PoolClient} pool - Connection pool or transaction client
+ * @param {string} userId - User id
+ * @param {string} [excludeId] - Payout request to leave out, e.g. the one being edited
+ * @returns {Promise<{daily: number, monthly: number}>}
+ */
+async function getPayoutUsage(pool, userId, excludeId) {
+  const result = await pool.query(
+    `SELECT
+       COALESCE(SUM(amount) FILTER (
+         WHERE created_at >= date_trunc('day', now() AT TIME ZONE $3) AT TIME ZONE $3
+       ), 0) AS daily,
+       COALESCE(SUM(amount), 0) AS monthly
+     FROM public.payout_requests
+     WHERE user_id = $1
+       AND status = ANY($2)
+       AND created_at >= date_trunc('month', now() AT TIME ZONE $3) AT TIME ZONE $3
+       AND ($4::uuid IS NULL OR id <> $4)`,
+    [userId, COUNTED_STATUSES, PAYOUT_LIMIT_TIMEZONE, excludeId || null],
+  );
+  return {
+    daily: parseFloat(result.rows[0].daily),
+    monthly: parseFloat(result.rows[0].monthly),
+  };
+}
+
+function remainingAllowance(max, used) {
+  return max === null ? null : Math.max(max - used, 0);
+}
+
+/**
+ * Limits of a user with what they have used and what is left
+ * @param {import("pg").Pool} pool - Connection pool
+ * @param {string} userId - User id
+ * @returns {Promise<object>}
+ */
+async function getPayoutAllowance(pool, userId) {
+  const limits = await getEffectiveLimits(pool, userId);
+  const usage = await getPayoutUsage(pool, userId);
+
+  return {
+    source: limits?.source || null,
+    perRequestMax: limits?.perRequestMax ?? null,
+    daily: {
+      max: limits?.dailyMax ?? null,
+      used: usage.daily,
+      remaining: remainingAllowance(limits?.dailyMax ?? null, usage.daily),
+    },
+    monthly: {
+      max: limits?.monthlyMax ?? null,
+      used: usage.monthly,
+      remaining: remainingAllowance(limits?.monthlyMax ?? null, usage.monthly),
+    },
+    timezone: PAYOUT_LIMIT_TIMEZONE,
+  };
+}
+
+/**
+ * Throw a 422 if a payout of `amount` would take the user over one of their limits.
+ * Must run in the transaction that writes the payout request: it locks the user's row so
+ * concurrent requests from the same user are checked one after another against committed totals.
+ * @param {import("pg").PoolClient} client - Transaction client
+ * @param {{userId: string, amount: number, excludeId?: string}} options - excludeId leaves out a
+ *   request whose amount is being replaced by `amount`
+ * @returns {Promise<void>}
+ */
+async function assertWithinPayoutLimits(client, { userId, amount, excludeId }) {
+  const limits = await getEffectiveLimits(client, userId);
+  if (!limits) {
+    return;
+  }
+
+  const requested = parseFloat(amount);
+
+  if (limits.perRequestMax !== null && requested > limits.perRequestMax) {
+    throw httpError(
+      422,
+      `A single payout request can be at most ${formatAmount(limits.perRequestMax)}`,
+      { limit: { type: "perRequest", max: limits.perRequestMax, remaining: limits.perRequestMax } },
+    );
+  }
+
+  if (limits.dailyMax === null && limits.monthlyMax === null) {
+    return;
+  }
+
+  // NO KEY UPDATE still lets other transactions insert rows referencing the user
+  await client.query("SELECT id FROM public.users WHERE id = $1 FOR NO KEY UPDATE", [userId]);
+  const usage = await getPayoutUsage(client, userId, excludeId);
+
+  const caps = [
+    { type: "daily", max: limits.dailyMax, used: usage.daily, label: "Daily", period: "today" },
+    { type: "monthly", max: limits.monthlyMax, used: usage.monthly, label: "Monthly", period: "this month" },
+  ];
+
+  for (const cap of caps) {
+    if (cap.max === null || cap.used + requested <= cap.max) {
+      continue;
+    }
+    const remaining = remainingAllowance(cap.max, cap.used);
+    throw httpError(
+      422,
+      `${cap.label} payout limit of ${formatAmount(cap.max)} exceeded: ${formatAmount(remaining)} remaining ${cap.period}`,
+      { limit: { type: cap.type, max: cap.max, used: cap.used, remaining } },
+    );
+  }
+}
+
+module.exports = {
+  PAYOUT_LIMIT_TIMEZONE,
+  listPayoutLimits,
+  setPayoutLimit,
+  deletePayoutLimit,
+  getEffectiveLimits,
+  getPayoutAllowance,
+  assertWithinPayoutLimits,
+};
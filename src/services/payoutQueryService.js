@@ -0,0 +1,353 @@
+const { httpError } = require("../utils/httpError");
+const { PAYOUT_SLA_HOURS } = require("./payoutEscalationService");
+
+const PAYOUT_STATUSES = ["pending", "approved", "rejected", "paid", "cancelled"];
+
+// Sortable columns exposed to clients, mapped to the SQL expression and the type used to compare cursors.
+// `pattern` matches the column's text form, as carried in page cursors.
+const SORT_COLUMNS = {
+  createdAt: {
+    column: "pr.created_at",
+    type: "timestamptz",
+    pattern: /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])[ T]([01]\d|2[0-3]):[0-5]\d:[0-5]\d(\.\d+)?([+-]\d{2}(:?\d{2})?|Z)?$/,
+  },
+  amount: { column: "pr.amount", type: "numeric", pattern: /^-?\d+(\.\d+)?$/ },
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// JSON schema for the filter query parameters shared by list, export and analytics endpoints
+const payoutFilterProperties = {
+  status: {
+    type: "string",
+    description: "Comma-separated list of statuses",
+    pattern: `^(${PAYOUT_STATUSES.join("|")})(,(${PAYOUT_STATUSES.join("|")}))*$`,
+  },
+  from: { type: "string", format: "date" },
+  to: { type: "string", format: "date" },
+  minAmount: { type: "number", minimum: 0 },
+  maxAmount: { type: "number", minimum: 0 },
+  requesterId: { type: "string", format: "uuid" },
+  search: { type: "string", minLength: 1, maxLength: 100 },
+  overdue: { type: "boolean", description: "Only pending requests past (true) or within (false) the review SLA" },
+};
+
+const payoutListQuerySchema = {
+  type: "object",
+  properties: {
+    ...payoutFilterProperties,
+    sortBy: { type: "string", enum: Object.keys(SORT_COLUMNS), default: "createdAt" },
+    sortOrder: { type: "string", enum: ["asc", "desc"], default: "desc" },
+    limit: { type: "integer", minimum: 1, maximum: MAX_PAGE_SIZE, default: DEFAULT_PAGE_SIZE },
+    cursor: { type: "string", minLength: 1 },
+  },
+};
+
+/**
+ * Build the WHERE clause for payout request queries
+ * Non-reviewers are always scoped to their own requests regardless of `requesterId`
+ * @param {object} filters - Parsed query parameters (see payoutFilterProperties)
+ * @param {{userId: string, canViewAll: boolean}} scope - Caller's visibility
+ * @param {Array} [params] - Existing positional parameters to append to
+ * @returns {{where: string, params: Array}} - SQL fragment (starting with WHERE, or empty) and its parameters
+ */
+function buildPayoutFilters(filters, scope, params = []) {
+  const clauses = [];
+  const addParam = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  if (!scope.canViewAll) {
+    clauses.push(`pr.user_id = ${addParam(scope.userId)}`);
+  } else if (filters.requesterId) {
+    clauses.push(`pr.user_id = ${addParam(filters.requesterId)}`);
+  }
+
+  if (filters.status) {
+    clauses.push(`pr.status = ANY(${addParam(filters.status.split(","))}::text[])`);
+  }
+
+  // Dates are inclusive calendar days
+  if (filters.from) {
+    clauses.push(`pr.created_at >= ${addParam(filters.from)}::date`);
+  }
+  if (filters.to) {
+    clauses.push(`pr.created_at < ${addParam(filters.to)}::date + interval '1 day'`);
+  }
+
+  if (filters.minAmount !== undefined) {
+    clauses.push(`pr.amount >= ${addParam(filters.minAmount)}`);
+  }
+  if (filters.maxAmount !== undefined) {
+    clauses.push(`pr.amount <= ${addParam(filters.maxAmount)}`);
+  }
+
+  if (filters.overdue !== undefined) {
+    const slaCutoff = `now() - ${addParam(PAYOUT_SLA_HOURS)} * interval '1 hour'`;
+    clauses.push(`pr.status = 'pending' AND pr.created_at ${filters.overdue ? "<=" : ">"} ${slaCutoff}`);
+  }
+
+  if (filters.search) {
+    const pattern = addParam(`%${filters.search.replace(/[\\%_]/g, "\\$&")}%`);
+    clauses.push(`(pr.utr ILIKE ${pattern} OR pr.remarks ILIKE ${pattern})`);
+  }
+
+  return {
+    where: clauses.length > 0 ? `WHERE ${clauses.join(" AND ")}` : "",
+    params,
+  };
+}
+
+function encodeCursor(value, id) {
+  return Buffer.from(JSON.stringify([value, id])).toString("base64url");
+}
+
+// A cursor from another sort order would fail the cast in SQL, so its value is checked against the sort column
+function decodeCursor(cursor, sort) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    if (
+      Array.isArray(decoded) &&
+      decoded.length === 2 &&
+      typeof decoded[0] === "string" &&
+      sort.pattern.test(decoded[0]) &&
+      typeof decoded[1] === "string" &&
+      UUID_PATTERN.test(decoded[1])
+    ) {
+      return { value: decoded[0], id: decoded[1] };
+    }
+  } catch {
+    // Fall through to the error below
+  }
+  throw httpError(400, "Invalid cursor");
+}
+
+/**
+ * Fetch one page of payout requests ordered by the requested column (ties broken by id)
+ * @param {import("pg").Pool} pool - Connection pool
+ * @param {object} query - Parsed query parameters (see payoutListQuerySchema)
+ * @param {{userId: string, canViewAll: boolean}} scope - Caller's visibility
+ * @returns {Promise<{rows: Array, nextCursor: string|null}>}
+ */
+async function listPayoutRequests(pool, query, scope) {
+  const sort = SORT_COLUMNS[query.sortBy || "createdAt"];
+  const descending = (query.sortOrder || "desc") === "desc";
+  const limit = query.limit || DEFAULT_PAGE_SIZE;
+
+  const { where, params } = buildPayoutFilters(query, scope);
+  let pageWhere = where;
+
+  if (query.cursor) {
+    const cursor = decodeCursor(query.cursor, sort);
+    params.push(cursor.value, cursor.id);
+    const comparison = `(${sort.column}, pr.id) ${descending ? "<" : ">"} ($${params.length - 1}::${sort.type}, $${params.length}::uuid)`;
+    pageWhere = where ? `${where} AND ${comparison}` : `WHERE ${comparison}`;
+  }
+
+  params.push(limit + 1);
+  const direction = descending ? "DESC" : "ASC";
+
+  const result = await pool.query(
+    `SELECT
+       pr.id,
+       pr.amount,
+       pr.status,
+       pr.created_at,
+       pr.processed_at,
+       pr.utr,
+       pr.payment_mode,
+       pr.remarks,
+       pr.rejection_reason,
+       pr.paid_at,
+       pr.proof_duplicate_of,
+       pr.proof_match_distance,
+       pr.tds_section,
+       pr.payee_pan,
+       pr.tds_rate,
+       pr.tds_amount,
+       pr.net_amount,
+       proof_match.created_at as proof_duplicate_created_at,
+       ${sort.column}::text as cursor_value,
+       u.email as user_email,
+       ud.first_name,
+       ud.last_name,
+       CASE
+         WHEN u.id IS NOT NULL THEN (
+           SELECT r.name
+           FROM public.user_roles ur_sub
+           JOIN public.roles r ON ur_sub.role_id = r.id
+           WHERE ur_sub.user_id = u.id
+           LIMIT 1
+         )
+         ELSE NULL
+       END as user_role
+     FROM public.payout_requests pr
+     LEFT JOIN public.users u ON pr.user_id = u.id
+     LEFT JOIN public.user_details ud ON u.id = ud.user_id
+     LEFT JOIN public.payout_requests proof_match ON pr.proof_duplicate_of = proof_match.id
+     ${pageWhere}
+     ORDER BY ${sort.column} ${direction}, pr.id ${direction}
+     LIMIT $${params.length}`,
+    params,
+  );
+
+  const hasMore = result.rows.length > limit;
+  const rows = hasMore ? result.rows.slice(0, limit) : result.rows;
+  const lastRow = rows[rows.length - 1];
+
+  return {
+    rows,
+    nextCursor: hasMore && lastRow ? encodeCursor(lastRow.cursor_value, lastRow.id) : null,
+  };
+}
+
+/**
+ * Totals per status over every request matching the filters (not just the current page)
+ * `total` and the per-status sums are gross amounts; `tds` and `net` only cover approved and paid requests,
+ * as rejected, cancelled and pending requests have nothing deducted or paid out yet
+ * @returns {Promise<{count: number, total: number, approved: number, rejected: number, pending: number, paid: number,
+ *   cancelled: number, tds: number, net: number}>}
+ */
+async function summarizePayoutRequests(pool, filters, scope) {
+  const { where, params } = buildPayoutFilters(filters, scope);
+
+  const result = await pool.query(
+    `SELECT
+       COUNT(*)::int as count,
+       COALESCE(SUM(pr.amount), 0) as total,
+       COALESCE(SUM(pr.amount) FILTER (WHERE pr.status = 'approved'), 0) as approved,
+       COALESCE(SUM(pr.amount) FILTER (WHERE pr.status = 'rejected'), 0) as rejected,
+       COALESCE(SUM(pr.amount) FILTER (WHERE pr.status = 'pending'), 0) as pending,
+       COALESCE(SUM(pr.amount) FILTER (WHERE pr.status = 'paid'), 0) as paid,
+       COALESCE(SUM(pr.amount) FILTER (WHERE pr.status = 'cancelled'), 0) as cancelled,
+       COALESCE(SUM(pr.tds_amount) FILTER (WHERE pr.status IN ('approved', 'paid')), 0) as tds,
+       COALESCE(SUM(COALESCE(pr.net_amount, pr.amount)) FILTER (WHERE pr.status IN ('approved', 'paid')), 0) as net
+     FROM public.payout_requests pr
+     ${where}`,
+    params,
+  );
+
+  const row = result.rows[0];
+  return {
+    count: row.count,
+    total: parseFloat(row.total),
+    approved: parseFloat(row.approved),
+    rejected: parseFloat(row.rejected),
+    pending: parseFloat(row.pending),
+    paid: parseFloat(row.paid),
+    cancelled: parseFloat(row.cancelled),
+    tds: parseFloat(row.tds),
+    net: parseFloat(row.net),
+  };
+}
+
+/**
+ * Ids of pending payout requests matching the filters that a reviewer can still act on, oldest first.
+ * Their own requests and requests they have already signed are left out.
+ * @param {import("pg").Pool} pool - Connection pool
+ * @param {object} filters - Parsed filters (see payoutFilterProperties); any `status` is ignored
+ * @param {string} reviewerId - Reviewer the ids are selected for
+ * @param {number} limit - Most ids to return
+ * @returns {Promise<{ids: string[], total: number}>} - Ids (at most `limit`) and how many requests match in all
+ */
+async function findPendingPayoutIds(pool, filters, reviewerId, limit) {
+  const filtered = buildPayoutFilters({ ...filters, status: "pending" }, { canViewAll: true });
+  const params = [...filtered.params, reviewerId];
+  const reviewerClause = `pr.user_id <> $${params.length}
+       AND NOT EXISTS (
+         SELECT 1 FROM public.payout_request_approvals pra
+         WHERE pra.payout_request_id = pr.id AND pra.approver_id = $${params.length}
+       )`;
+  const where = filtered.where ? `${filtered.where} AND ${reviewerClause}` : `WHERE ${reviewerClause}`;
+  params.push(limit);
+
+  const result = await pool.query(
+    `SELECT pr.id, COUNT(*) OVER ()::int as total
+     FROM public.payout_requests pr
+     ${where}
+     ORDER BY pr.created_at, pr.id
+     LIMIT $${params.length}`,
+    params,
+  );
+
+  return {
+    ids: result.rows.map((row) => row.id),
+    total: result.rows[0]?.total || 0,
+  };
+}
+
+/**
+ * Fetch a single payout request with requester, reviewer and payer details
+ * @param {import("pg").Pool} pool - Connection pool
+ * @param {string} id - Payout request id
+ * @returns {Promise<object|null>} - Row, or null if not found
+ */
+async function getPayoutRequestDetails(pool, id) {
+  const result = await pool.query(
+    `SELECT
+       pr.id,
+       pr.user_id,
+       pr.business_id,
+       pr.amount,
+       pr.status,
+       pr.created_at,
+       pr.processed_at,
+       pr.utr,
+       pr.payment_mode,
+       pr.remarks,
+       pr.proof_filename,
+       pr.rejection_reason,
+       pr.paid_at,
+       pr.proof_duplicate_of,
+       pr.proof_match_distance,
+       pr.tds_section,
+       pr.payee_pan,
+       pr.tds_rate,
+       pr.tds_amount,
+       pr.net_amount,
+       proof_match.created_at as proof_duplicate_created_at,
+       u.email as user_email,
+       ud.first_name,
+       ud.last_name,
+       (
+         SELECT r.name
+         FROM public.user_roles ur_sub
+         JOIN public.roles r ON ur_sub.role_id = r.id
+         WHERE ur_sub.user_id = u.id
+         LIMIT 1
+       ) as user_role,
+       reviewer.email as reviewer_email,
+       payer.email as payer_email
+     FROM public.payout_requests pr
+     LEFT JOIN public.users u ON pr.user_id = u.id
+     LEFT JOIN public.user_details ud ON u.id = ud.user_id
+     LEFT JOIN public.users reviewer ON pr.reviewed_by = reviewer.id
+     LEFT JOIN public.users payer ON pr.paid_by = payer.id
+     LEFT JOIN public.payout_requests proof_match ON pr.proof_duplicate_of = proof_match.id
+     WHERE pr.id = $1`,
+    [id],
+  );
+
+  return result.rows[0] || null;
+}
+
+// Same visibility rule as the list: reviewers see everything, others only their own requests
+function canViewPayoutRequest(scope, payoutRequest) {
+  return scope.canViewAll || payoutRequest.user_id === scope.userId;
+}
+
+module.exports = {
+  PAYOUT_STATUSES,
+  payoutFilterProperties,
+  payoutListQuerySchema,
+  buildPayoutFilters,
+  listPayoutRequests,
+  summarizePayoutRequests,
+  findPendingPayoutIds,
+  getPayoutRequestDetails,
+  canViewPayoutRequest,
+};
@@ -0,0 +1,373 @@
+const { withTransaction } = require("../utils/db");
+const { httpError } = require("../utils/httpError");
+const { getApplicableTiers } = require("./approvalPolicyService");
+const { postPayoutToLedger } = require("./walletService");
+const { assertWithinPayoutLimits } = require("./payoutLimitService");
+const { calculatePayoutTds } = require("./tdsService");
+
+// Roles allowed to review (approve / reject / mark paid) payout requests
+const REVIEWER_ROLES = ["admin", "managers", "auditor"];
+
+// Columns returned to clients after a review action
+const PAYOUT_REQUEST_COLUMNS =
+  "id, user_id, business_id, status, amount, reviewed_by, rejection_reason, processed_at, paid_at, paid_by, created_at";
+
+function isReviewer(roles) {
+  return roles.some((role) => REVIEWER_ROLES.includes(role));
+}
+
+// Lock a payout request row for the rest of the transaction so concurrent
+// reviewers queue up behind each other instead of both acting on it
+async function lockPayoutRequest(client, id) {
+  const result = await client.query(
+    `SELECT ${PAYOUT_REQUEST_COLUMNS}
+     FROM public.payout_requests
+     WHERE id = $1
+     FOR UPDATE`,
+    [id],
+  );
+
+  if (result.rows.length === 0) {
+    throw httpError(404, "Payout request not found");
+  }
+
+  return result.rows[0];
+}
+
+async function getPayoutRequestRow(client, id) {
+  const result = await client.query(
+    `SELECT ${PAYOUT_REQUEST_COLUMNS} FROM public.payout_requests WHERE id = $1`,
+    [id],
+  );
+  return result.rows[0];
+}
+
+function assertStatus(payoutRequest, expectedStatus, action) {
+  if (payoutRequest.status !== expectedStatus) {
+    throw httpError(
+      409,
+      `Cannot ${action} a payout request that is ${payoutRequest.status}`,
+      { status: payoutRequest.status },
+    );
+  }
+}
+
+// Record one sign-off on a pending payout request. The request only becomes
+// `approved` once every applicable approval tier has been signed by a distinct
+// user other than the requester; without configured tiers one reviewer suffices.
+// The final sign-off posts the payout to the wallet ledger.
+async function approvePayoutRequest(pool, { id, reviewerId, reviewerRoles }) {
+  return withTransaction(pool, async (client) => {
+    const payoutRequest = await lockPayoutRequest(client, id);
+    assertStatus(payoutRequest, "pending", "approve");
+
+    if (payoutRequest.user_id === reviewerId) {
+      throw httpError(403, "You cannot approve your own payout request");
+    }
+
+    const tiers = await getApplicableTiers(client, payoutRequest.business_id, payoutRequest.amount);
+    const requiredTiers = tiers.length > 0 ? tiers : [{ level: 1, minAmount: 0, approverRoles: REVIEWER_ROLES }];
+
+    const existing = await client.query(
+      `SELECT level, approver_id FROM public.payout_request_approvals WHERE payout_request_id = $1`,
+      [id],
+    );
+
+    if (existing.rows.some((row) => row.approver_id === reviewerId)) {
+      // Carries the status like assertStatus does, so bulk reviews count it as skipped
+      throw httpError(409, "You have already approved this payout request", { status: payoutRequest.status });
+    }
+
+    const signedLevels = new Set(existing.rows.map((row) => row.level));
+    const nextTier = requiredTiers.find((tier) => !signedLevels.has(tier.level));
+
+    if (nextTier) {
+      const approverRole = reviewerRoles.find((role) => nextTier.approverRoles.includes(role));
+      if (!approverRole) {
+        throw httpError(
+          403,
+          `Level ${nextTier.level} approval requires one of these roles: ${nextTier.approverRoles.join(", ")}`,
+        );
+      }
+
+      await client.query(
+        `INSERT INTO public.payout_request_approvals (payout_request_id, level, approver_id, approver_role)
+         VALUES ($1, $2, $3, $4)`,
+        [id, nextTier.level, reviewerId, approverRole],
+      );
+      signedLevels.add(nextTier.level);
+    }
+
+    const remainingTiers = requiredTiers.filter((tier) => !signedLevels.has(tier.level));
+
+    if (remainingTiers.length > 0) {
+      return { payoutRequest: await getPayoutRequestRow(client, id), remainingTiers };
+    }
+
+    const result = await client.query(
+      `UPDATE public.payout_requests
+       SET status = 'approved', reviewed_by = $2, rejection_reason = NULL, processed_at = now()
+       WHERE id = $1
+       RETURNING ${PAYOUT_REQUEST_COLUMNS}, tds_amount, net_amount`,
+      [id, reviewerId],
+    );
+
+    // The requester's wallet is credited in the same transaction as the approval
+    await postPayoutToLedger(client, result.rows[0], reviewerId);
+
+    return { payoutRequest: result.rows[0], remainingTiers };
+  });
+}
+
+async function rejectPayoutRequest(pool, { id, reviewerId, reason }) {
+  return withTransaction(pool, async (client) => {
+    const payoutRequest = await lockPayoutRequest(client, id);
+    assertStatus(payoutRequest, "pending", "reject");
+
+    // Requesters withdraw their own requests through cancel, which keeps the review trail honest
+    if (payoutRequest.user_id === reviewerId) {
+      throw httpError(403, "You cannot reject your own payout request");
+    }
+
+    const result = await client.query(
+      `UPDATE public.payout_requests
+       SET status = 'rejected', reviewed_by = $2, rejection_reason = $3, processed_at = now()
+       WHERE id = $1
+       RETURNING ${PAYOUT_REQUEST_COLUMNS}`,
+      [id, reviewerId, reason],
+    );
+
+    return result.rows[0];
+  });
+}
+
+async function markPayoutRequestPaid(pool, { id, reviewerId }) {
+  return withTransaction(pool, async (client) => {
+    const payoutRequest = await lockPayoutRequest(client, id);
+    assertStatus(payoutRequest, "approved", "mark as paid");
+
+    const result = await client.query(
+      `UPDATE public.payout_requests
+       SET status = 'paid', paid_by = $2, paid_at = now()
+       WHERE id = $1
+       RETURNING ${PAYOUT_REQUEST_COLUMNS}`,
+      [id, reviewerId],
+    );
+
+    return result.rows[0];
+  });
+}
+
+// Most payout requests a single bulk review may act on
+const BULK_REVIEW_MAX_ITEMS = 500;
+
+/**
+ * Approve or reject many payout requests, each in its own transaction, so one failure does not undo
+ * the others. Requests that are no longer pending are skipped rather than failed.
+ * @param {import("pg").Pool} pool - Connection pool
+ * @param {{ids: string[], action: "approve"|"reject", reason?: string, reviewerId: string, reviewerRoles: string[]}} options
+ * @returns {Promise<{results: Array<object>, errors: Array<{id: string, error: Error}>}>} - One result per id
+ *   in order; `errors` holds unexpected failures for the caller to log
+ */
+async function bulkReviewPayoutRequests(pool, { ids, action, reason, reviewerId, reviewerRoles }) {
+  const results = [];
+  const errors = [];
+
+  for (const id of ids) {
+    try {
+      if (action === "approve") {
+        const { payoutRequest, remainingTiers } = await approvePayoutRequest(pool, { id, reviewerId, reviewerRoles });
+        results.push({
+          id,
+          outcome: remainingTiers.length === 0 ? "approved" : "signed",
+          status: payoutRequest.status,
+          remainingLevels: remainingTiers.map((tier) => tier.level),
+        });
+      } else {
+        const payoutRequest = await rejectPayoutRequest(pool, { id, reviewerId, reason });
+        results.push({ id, outcome: "rejected", status: payoutRequest.status });
+      }
+    } catch (error) {
+      if (error.statusCode === 409 && error.extra?.status) {
+        results.push({ id, outcome: "skipped", status: error.extra.status, message: error.message });
+      } else if (error.statusCode === 404) {
+        results.push({ id, outcome: "not_found", message: error.message });
+      } else if (error.statusCode) {
+        results.push({ id, outcome: "failed", message: error.message });
+      } else {
+        errors.push({ id, error });
+        results.push({ id, outcome: "failed", message: `Failed to ${action} payout request` });
+      }
+    }
+  }
+
+  return { results, errors };
+}
+
+async function lockPayoutRequestForEdit(client, id) {
+  const result = await client.query(
+    `SELECT id, user_id, status, amount, remarks, proof_filename, tds_section, payee_pan
+     FROM public.payout_requests
+     WHERE id = $1
+     FOR UPDATE`,
+    [id],
+  );
+
+  if (result.rows.length === 0) {
+    throw httpError(404, "Payout request not found");
+  }
+
+  return result.rows[0];
+}
+
+// Only the requester can change a request, and only while nobody has acted on it
+function assertOwnPendingRequest(payoutRequest, userId, action) {
+  if (payoutRequest.user_id !== userId) {
+    throw httpError(403, `You can only ${action} your own payout requests`);
+  }
+  assertStatus(payoutRequest, "pending", action);
+}
+
+/**
+ * Edit amount, remarks and/or proof of the caller's pending payout request
+ * Every edit is recorded as a revision and clears any partial approval sign-offs
+ * A higher amount is checked against the requester's payout limits, and TDS is worked out again for a new amount
+ * @param {import("pg").Pool} pool - Connection pool
+ * @param {{id: string, userId: string, changes: {amount?: number, remarks?: string, proofFilename?: string,
+ *   proofHashes?: {sha256: string, phash: string|null, match: object|null}}}} options
+ * @returns {Promise<{payoutRequest: object, replacedProofFilename: string|null}>}
+ */
+async function editPayoutRequest(pool, { id, userId, changes }) {
+  return withTransaction(pool, async (client) => {
+    const current = await lockPayoutRequestForEdit(client, id);
+    assertOwnPendingRequest(current, userId, "edit");
+
+    const amount = changes.amount ?? current.amount;
+    const remarks = changes.remarks ?? current.remarks;
+    const proofFilename = changes.proofFilename ?? current.proof_filename;
+
+    // Raising the amount must still fit the requester's payout limits; lowering it always may
+    if (parseFloat(amount) > parseFloat(current.amount)) {
+      await assertWithinPayoutLimits(client, { userId, amount, excludeId: id });
+    }
+
+    await client.query(
+      `INSERT INTO public.payout_request_revisions
+         (payout_request_id, revised_by, action, old_amount, new_amount, old_remarks, new_remarks, old_proof_filename, new_proof_filename)
+       VALUES ($1, $2, 'edit', $3, $4, $5, $6, $7, $8)`,
+      [id, userId, current.amount, amount, current.remarks, remarks, current.proof_filename, proofFilename],
+    );
+
+    // Approvers signed off on the old values, so they have to sign again
+    await client.query("DELETE FROM public.payout_request_approvals WHERE payout_request_id = $1", [id]);
+
+    const params = [id, amount, remarks, proofFilename];
+    let tdsAssignments = "";
+    // The deduction follows the amount, at the section's current rates
+    if (current.tds_section && parseFloat(amount) !== parseFloat(current.amount)) {
+      const tds = await calculatePayoutTds(client, {
+        section: current.tds_section,
+        pan: current.payee_pan,
+        amount,
+        userId,
+        excludeId: id,
+      });
+      params.push(tds.tdsRate, tds.tdsAmount, tds.netAmount);
+      tdsAssignments = `, tds_rate = $${params.length - 2}, tds_amount = $${params.length - 1}, net_amount = $${params.length}`;
+    }
+
+    let proofHashAssignments = "";
+    // A new proof brings its own hashes and near-match flag
+    if (changes.proofHashes) {
+      const { sha256, phash, match } = changes.proofHashes;
+      params.push(sha256, phash, match?.payoutRequestId || null, match?.distance ?? null);
+      const [sha256Param, phashParam, matchParam, distanceParam] = [3, 2, 1, 0].map((offset) => `$${params.length - offset}`);
+      proofHashAssignments = `, proof_sha256 = ${sha256Param}, proof_phash = ${phashParam}, proof_duplicate_of = ${matchParam}, proof_match_distance = ${distanceParam}`;
+    }
+
+    const result = await client.query(
+      `UPDATE public.payout_requests
+       SET amount = $2, remarks = $3, proof_filename = $4${tdsAssignments}${proofHashAssignments}
+       WHERE id = $1
+       RETURNING ${PAYOUT_REQUEST_COLUMNS}, utr, remarks, tds_section, tds_rate, tds_amount, net_amount`,
+      params,
+    );
+
+    return {
+      payoutRequest: result.rows[0],
+      replacedProofFilename: proofFilename !== current.proof_filename ? current.proof_filename : null,
+    };
+  });
+}
+
+async function cancelPayoutRequest(pool, { id, userId, reason }) {
+  return withTransaction(pool, async (client) => {
+    const current = await lockPayoutRequestForEdit(client, id);
+    assertOwnPendingRequest(current, userId, "cancel");
+
+    await client.query(
+      `INSERT INTO public.payout_request_revisions
+         (payout_request_id, revised_by, action, old_amount, new_amount, old_remarks, new_remarks, old_proof_filename, new_proof_filename, reason)
+       VALUES ($1, $2, 'cancel', $3, $3, $4, $4, $5, $5, $6)`,
+      [id, userId, current.amount, current.remarks, current.proof_filename, reason || null],
+    );
+
+    const result = await client.query(
+      `UPDATE public.payout_requests
+       SET status = 'cancelled', cancelled_at = now()
+       WHERE id = $1
+       RETURNING ${PAYOUT_REQUEST_COLUMNS}, cancelled_at`,
+      [id],
+    );
+
+    return result.rows[0];
+  });
+}
+
+async function getPayoutRevisions(pool, payoutRequestId) {
+  const result = await pool.query(
+    `SELECT prr.id, prr.action, prr.old_amount, prr.new_amount, prr.old_remarks, prr.new_remarks,
+            prr.old_proof_filename, prr.new_proof_filename, prr.reason, prr.created_at,
+            u.email as revised_by_email
+     FROM public.payout_request_revisions prr
+     LEFT JOIN public.users u ON prr.revised_by = u.id
+     WHERE prr.payout_request_id = $1
+     ORDER BY prr.created_at`,
+    [payoutRequestId],
+  );
+
+  return result.rows.map((row) => ({
+    id: row.id,
+    action: row.action,
+    revisedBy: row.revised_by_email,
+    revisedAt: row.created_at,
+    reason: row.reason,
+    // Only the fields that actually changed
+    changes: {
+      ...(row.old_amount !== row.new_amount && {
+        amount: { from: parseFloat(row.old_amount), to: parseFloat(row.new_amount) },
+      }),
+      ...(row.old_remarks !== row.new_remarks && {
+        remarks: { from: row.old_remarks, to: row.new_remarks },
+      }),
+      // Stored file names are never exposed; the current proof is served by /:id/proof
+      ...(row.old_proof_filename !== row.new_proof_filename && {
+        proof: { replaced: true },
+      }),
+    },
+  }));
+}
+
+module.exports = {
+  REVIEWER_ROLES,
+  isReviewer,
+  lockPayoutRequest,
+  approvePayoutRequest,
+  rejectPayoutRequest,
+  markPayoutRequestPaid,
+  BULK_REVIEW_MAX_ITEMS,
+  bulkReviewPayoutRequests,
+  editPayoutRequest,
+  cancelPayoutRequest,
+  getPayoutRevisions,
+};
@@ -0,0 +1,138 @@
+const PDFDocument = require("pdfkit");
+const sharp = require("sharp");
+const { formatAmount, formatDate, formatWalletName, generateReference } = require("../utils/format");
+
+const THUMBNAIL_SIZE = 320;
+
+// The built-in PDF fonts have no rupee glyph
+function formatVoucherAmount(amount) {
+  return formatAmount(amount).replace("₹", "INR ");
+}
+
+function personName(row) {
+  return [row.first_name, row.last_name].filter(Boolean).join(" ").trim() || row.user_email || "Unknown";
+}
+
+/**
+ * Shrink a proof image to a JPEG thumbnail PDFKit can embed (it cannot read WebP/GIF)
+ * @param {{buffer: Buffer, contentType: string}|null} proof - Proof file contents
+ * @returns {Promise<Buffer|null>} - JPEG thumbnail, or null if the proof is not an image
+ */
+async function createProofThumbnail(proof) {
+  if (!proof || !proof.contentType.startsWith("image/")) {
+    return null;
+  }
+
+  return sharp(proof.buffer)
+    .rotate()
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: "inside", withoutEnlargement: true })
+    .jpeg({ quality: 80 })
+    .toBuffer();
+}
+
+function drawField(doc, label, value) {
+  const y = doc.y;
+  doc.font("Helvetica-Bold").fontSize(10).fillColor("#6b7280").text(label, 50, y, { width: 140 });
+  doc.font("Helvetica").fontSize(11).fillColor("#111827").text(value || "--", 200, y, { width: 345 });
+  doc.moveDown(0.6);
+}
+
+function drawSectionTitle(doc, title) {
+  doc.moveDown(0.8);
+  doc.font("Helvetica-Bold").fontSize(13).fillColor("#2f4bff").text(title, 50);
+  doc.moveTo(50, doc.y + 2).lineTo(545, doc.y + 2).strokeColor("#e5e7eb").stroke();
+  doc.moveDown(0.6);
+}
+
+/**
+ * Render a printable PDF voucher for a payout request
+ * @param {{payoutRequest: object, approvals: Array, proof: {buffer: Buffer, contentType: string}|null, log: object}} data
+ *   payoutRequest comes from getPayoutRequestDetails, approvals from getPayoutApprovals
+ * @returns {Promise<PDFKit.PDFDocument>} - Finished document, readable as a stream
+ */
+async function renderPayoutVoucher({ payoutRequest, approvals, proof, log }) {
+  const reference = generateReference(payoutRequest.id, payoutRequest.created_at);
+
+  // A corrupt or unsupported image falls back to the "unavailable" note instead of failing the voucher
+  let thumbnail = null;
+  try {
+    thumbnail = await createProofThumbnail(proof);
+  } catch (error) {
+    log.warn({ err: error, payoutRequestId: payoutRequest.id }, "Failed to create proof thumbnail for voucher");
+  }
+
+  const doc = new PDFDocument({
+    size: "A4",
+    margin: 50,
+    info: {
+      Title: `Payout Voucher ${reference}`,
+      Author: "HissabBook",
+    },
+  });
+
+  doc.font("Helvetica-Bold").fontSize(22).fillColor("#111827").text("HissabBook", 50, 50);
+  doc.font("Helvetica").fontSize(12).fillColor("#6b7280").text("Payout Voucher", 50);
+  doc.font("Helvetica-Bold").fontSize(12).fillColor("#111827").text(reference, 50, 56, { align: "right" });
+  doc.font("Helvetica").fontSize(10).fillColor("#6b7280").text(`Issued ${formatDate(new Date())}`, 50, 74, { align: "right" });
+  doc.y = 100;
+
+  drawSectionTitle(doc, "Payout");
+  drawField(doc, "Reference", reference);
+  drawField(doc, "Amount", formatVoucherAmount(parseFloat(payoutRequest.amount || 0)));
+  drawField(doc, "Status", payoutRequest.status.charAt(0).toUpperCase() + payoutRequest.status.slice(1));
+  drawField(doc, "UTR", payoutRequest.payment_mode ? `${payoutRequest.utr} (${payoutRequest.payment_mode})` : payoutRequest.utr);
+  drawField(doc, "Requested On", formatDate(payoutRequest.created_at));
+  drawField(doc, "Cleared On", formatDate(payoutRequest.processed_at));
+  if (payoutRequest.paid_at) {
+    drawField(doc, "Paid On", formatDate(payoutRequest.paid_at));
+  }
+  drawField(doc, "Remarks", payoutRequest.remarks);
+
+  drawSectionTitle(doc, "Requester");
+  drawField(doc, "Name", personName(payoutRequest));
+  drawField(doc, "Email", payoutRequest.user_email);
+  drawField(doc, "Wallet", formatWalletName(payoutRequest));
+
+  drawSectionTitle(doc, "Approval Trail");
+  if (approvals.length === 0) {
+    drawField(doc, "Approved By", payoutRequest.reviewer_email);
+  }
+  for (const approval of approvals) {
+    drawField(
+      doc,
+      `Level ${approval.level}`,
+      `${approval.approverName || approval.approverEmail}${approval.approverRole ? ` (${approval.approverRole})` : ""} on ${formatDate(approval.approvedAt)}`,
+    );
+  }
+  if (payoutRequest.payer_email) {
+    drawField(doc, "Marked Paid By", payoutRequest.payer_email);
+  }
+
+  drawSectionTitle(doc, "Proof of Payment");
+  if (thumbnail) {
+    if (doc.y + THUMBNAIL_SIZE > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+    }
+    doc.image(thumbnail, 50, doc.y, { fit: [THUMBNAIL_SIZE, THUMBNAIL_SIZE] });
+  } else if (proof && !proof.contentType.startsWith("image/")) {
+    // PDF proofs are not embedded; point at where the original can be downloaded
+    doc
+      .font("Helvetica")
+      .fontSize(11)
+      .fillColor("#6b7280")
+      .text(
+        `Proof for ${reference} is a PDF document and is not included in this voucher. ` +
+          `Download it from /api/payout-requests/${payoutRequest.id}/proof.`,
+        50,
+      );
+  } else {
+    doc.font("Helvetica").fontSize(11).fillColor("#6b7280").text("Proof image unavailable.", 50);
+  }
+
+  doc.end();
+  return doc;
+}
+
+module.exports = {
+  renderPayoutVoucher,
+};
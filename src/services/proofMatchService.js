@@ -0,0 +1,93 @@
+const { httpError } = require("../utils/httpError");
+const { generateReference } = require("../utils/format");
+
+// Proofs whose perceptual hashes differ in at most this many of their 64 bits are treated as the same screenshot
+const PHASH_MATCH_THRESHOLD = parseInt(process.env.PROOF_PHASH_THRESHOLD, 10) || 10;
+
+// Unique index keeping one active request per proof file
+const PROOF_SHA256_INDEX = "payout_requests_proof_sha256_active_idx";
+
+// A proof only conflicts with requests that can still be paid; one from a cancelled or
+// rejected request may be submitted again
+const ACTIVE_STATUSES = ["pending", "approved", "paid"];
+
+/**
+ * Find an active payout request whose proof is the same file, or failing that the closest near-identical image
+ * @param {import("pg").Pool} pool - Connection pool
+ * @param {{sha256: string, phash: string|null}} hashes - Hashes of the new proof
+ * @param {string} [excludeId] - Request being edited, which may keep matching its own proof
+ * @returns {Promise<{payoutRequestId: string, reference: string, exact: boolean, distance: number}|null>}
+ */
+async function findProofMatch(pool, { sha256, phash }, excludeId) {
+  const exact = await pool.query(
+    `SELECT id, created_at
+     FROM public.payout_requests
+     WHERE proof_sha256 = $1 AND status = ANY($2::text[]) AND id IS DISTINCT FROM $3::uuid
+     LIMIT 1`,
+    [sha256, ACTIVE_STATUSES, excludeId || null],
+  );
+
+  if (exact.rows.length > 0) {
+    const row = exact.rows[0];
+    return { payoutRequestId: row.id, reference: generateReference(row.id, row.created_at), exact: true, distance: 0 };
+  }
+
+  if (phash === null) {
+    return null;
+  }
+
+  // Hamming distance between the two 64-bit hashes. This scans every hashed proof, which is
+  // cheap at current volumes; a BK-tree or LSH buckets would be needed at much larger scale.
+  const similar = await pool.query(
+    `SELECT id, created_at, distance
+     FROM (
+       SELECT id, created_at, length(replace((proof_phash # $1::bigint)::bit(64)::text, '0', '')) as distance
+       FROM public.payout_requests
+       WHERE proof_phash IS NOT NULL AND status = ANY($2::text[]) AND id IS DISTINCT FROM $3::uuid
+     ) candidates
+     WHERE distance <= $4
+     ORDER BY distance, created_at
+     LIMIT 1`,
+    [phash, ACTIVE_STATUSES, excludeId || null, PHASH_MATCH_THRESHOLD],
+  );
+
+  if (similar.rows.length === 0) {
+    return null;
+  }
+
+  const row = similar.rows[0];
+  return {
+    payoutRequestId: row.id,
+    reference: generateReference(row.id, row.created_at),
+    exact: false,
+    distance: row.distance,
+  };
+}
+
+/**
+ * Reject a proof that is the same file as an active request's proof. The error's `conflictingRequest`
+ * is only for reviewers; callers drop it for anyone else
+ * Near-identical images (re-cropped or re-encoded screenshots) are let through but returned so the
+ * new request can be flagged for reviewers
+ * @returns {Promise<{payoutRequestId: string, reference: string, distance: number}|null>} - Near match to flag
+ */
+async function checkProofReuse(pool, hashes, excludeId) {
+  const match = await findProofMatch(pool, hashes, excludeId);
+
+  if (match?.exact) {
+    throw httpError(409, "This proof was already submitted with another payout request", {
+      conflictingRequest: { id: match.payoutRequestId, reference: match.reference },
+    });
+  }
+
+  return match;
+}
+
+function isDuplicateProofError(error) {
+  return error.code === "23505" && error.constraint === PROOF_SHA256_INDEX;
+}
+
+module.exports = {
+  checkProofReuse,
+  isDuplicateProofError,
+};
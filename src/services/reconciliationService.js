@@ -0,0 +1,328 @@
+const { parse } = require("csv-parse/sync");
+const { normalizeUtr, detectPaymentMode } = require("../utils/utr");
+const { generateReference } = require("../utils/format");
+const { httpError } = require("../utils/httpError");
+const { approvePayoutRequest } = require("./payoutService");
+
+// Header names used by the statement downloads of common Indian banks. Each field lists
+// candidate headers (matched case-insensitively); `debit` / `credit` may be replaced by a
+// single `amount` column through a custom mapping.
+const BANK_FORMATS = {
+  sbi: {
+    name: "State Bank of India",
+    date: ["Txn Date", "Value Date"],
+    description: ["Description"],
+    reference: ["Ref No./Cheque No.", "Ref No./Cheque\nNo."],
+    debit: ["Debit"],
+    credit: ["Credit"],
+  },
+  hdfc: {
+    name: "HDFC Bank",
+    date: ["Date", "Value Dt"],
+    description: ["Narration"],
+    reference: ["Chq./Ref.No.", "Chq/Ref Number"],
+    debit: ["Withdrawal Amt.", "Withdrawal Amount"],
+    credit: ["Deposit Amt.", "Deposit Amount"],
+  },
+  icici: {
+    name: "ICICI Bank",
+    date: ["Transaction Date", "Value Date"],
+    description: ["Transaction Remarks", "Remarks"],
+    reference: ["Cheque Number", "Chq/Ref No"],
+    debit: ["Withdrawal Amount (INR )", "Withdrawal Amount(INR)", "Withdrawal Amount"],
+    credit: ["Deposit Amount (INR )", "Deposit Amount(INR)", "Deposit Amount"],
+  },
+  axis: {
+    name: "Axis Bank",
+    date: ["Tran Date", "Transaction Date"],
+    description: ["PARTICULARS", "Particulars"],
+    reference: ["CHQNO", "Chq No"],
+    debit: ["DR", "Debit"],
+    credit: ["CR", "Credit"],
+  },
+  kotak: {
+    name: "Kotak Mahindra Bank",
+    date: ["Transaction Date", "Date"],
+    description: ["Description", "Narration"],
+    reference: ["Chq / Ref No.", "Chq/Ref No."],
+    debit: ["Withdrawal (Dr)", "Debit"],
+    credit: ["Deposit (Cr)", "Credit"],
+  },
+};
+
+const MAPPING_FIELDS = ["date", "description", "reference", "amount", "debit", "credit"];
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+// Statement dates come as DD/MM/YYYY, DD-MM-YY, DD-Mon-YYYY, DD Mon YYYY or YYYY-MM-DD
+function parseStatementDate(value) {
+  const text = String(value || "").trim();
+  let match = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (match) {
+    return `${match[1]}-${match[2]}-${match[3]}`;
+  }
+
+  match = text.match(/^(\d{1,2})[/\-. ]([A-Za-z]{3,}|\d{1,2})[/\-. ](\d{2,4})/);
+  if (!match) {
+    return null;
+  }
+
+  const day = Number(match[1]);
+  const month = /^\d+$/.test(match[2]) ? Number(match[2]) : MONTHS.indexOf(match[2].slice(0, 3).toLowerCase()) + 1;
+  const year = match[3].length === 2 ? 2000 + Number(match[3]) : Number(match[3]);
+
+  if (month < 1 || month > 12 || day < 1 || day > 31) {
+    return null;
+  }
+  return `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+}
+
+function parseStatementAmount(value) {
+  const cleaned = String(value || "").replace(/[₹,\s]|INR|Dr|Cr/gi, "");
+  if (!cleaned) {
+    return null;
+  }
+  const amount = Math.abs(parseFloat(cleaned));
+  return Number.isFinite(amount) && amount > 0 ? amount : null;
+}
+
+// Prefer the reference column; otherwise pick the first token of the narration shaped like a UTR
+function extractUtr(reference, description) {
+  const normalizedReference = normalizeUtr(reference);
+  if (normalizedReference && detectPaymentMode(normalizedReference)) {
+    return normalizedReference;
+  }
+
+  const tokens = String(description || "").toUpperCase().split(/[^A-Z0-9]+/);
+  return tokens.find((token) => detectPaymentMode(token)) || null;
+}
+
+function resolveMapping(bank, columnMapping = {}) {
+  const preset = bank ? BANK_FORMATS[bank] : null;
+  const mapping = {};
+
+  for (const field of MAPPING_FIELDS) {
+    const custom = columnMapping[field];
+    mapping[field] = (custom ? [custom] : preset?.[field] || []).map((header) => header.trim().toLowerCase());
+  }
+
+  if (mapping.date.length === 0 || (mapping.amount.length === 0 && mapping.debit.length === 0 && mapping.credit.length === 0)) {
+    throw httpError(400, "Column mapping needs a date column and an amount (or debit/credit) column");
+  }
+  if (mapping.reference.length === 0 && mapping.description.length === 0) {
+    throw httpError(400, "Column mapping needs a reference or description column to find UTRs");
+  }
+
+  return mapping;
+}
+
+function findColumn(headers, candidates) {
+  return headers.findIndex((header) => candidates.includes(header));
+}
+
+/**
+ * Parse a bank statement CSV into entries
+ * Bank downloads usually start with account details, so the header row is located by looking
+ * for the mapped date column rather than assumed to be the first line.
+ * @param {string} csvText - Statement contents
+ * @param {{bank?: string, columnMapping?: object}} options - Preset bank format and/or explicit header names
+ * @returns {{entries: Array<{row: number, date: string|null, utr: string|null, amount: number|null, description: string}>, rowCount: number}}
+ */
+function parseBankStatement(csvText, { bank, columnMapping }) {
+  const mapping = resolveMapping(bank, columnMapping);
+
+  let records;
+  try {
+    // `info` keeps the source line number so the report can point at the statement row
+    records = parse(csvText, {
+      bom: true,
+      info: true,
+      relax_column_count: true,
+      relax_quotes: true,
+      skip_empty_lines: true,
+      trim: true,
+    });
+  } catch (error) {
+    throw httpError(400, `Could not read statement CSV: ${error.message}`);
+  }
+
+  const headerIndex = records.findIndex(({ record }) =>
+    findColumn(record.map((cell) => cell.toLowerCase()), mapping.date) !== -1,
+  );
+  if (headerIndex === -1) {
+    throw httpError(400, "Could not find the statement header row. Check the bank or column mapping");
+  }
+
+  const headers = records[headerIndex].record.map((cell) => cell.toLowerCase());
+  const columns = {};
+  for (const field of MAPPING_FIELDS) {
+    columns[field] = findColumn(headers, mapping[field]);
+  }
+
+  const entries = [];
+  for (let index = headerIndex + 1; index < records.length; index += 1) {
+    const { record, info } = records[index];
+    const date = parseStatementDate(record[columns.date]);
+    // Footer lines (totals, "end of statement") carry no transaction date
+    if (!date) {
+      continue;
+    }
+
+    const amount =
+      columns.amount !== -1
+        ? parseStatementAmount(record[columns.amount])
+        : parseStatementAmount(record[columns.debit]) ?? parseStatementAmount(record[columns.credit]);
+    const description = columns.description !== -1 ? record[columns.description] || "" : "";
+    const reference = columns.reference !== -1 ? record[columns.reference] : "";
+
+    entries.push({
+      row: info.lines,
+      date,
+      utr: extractUtr(reference, description),
+      amount,
+      description,
+    });
+  }
+
+  return { entries, rowCount: entries.length };
+}
+
+function toCents(amount) {
+  return Math.round(parseFloat(amount) * 100);
+}
+
+function describePayout(row) {
+  return {
+    payoutRequestId: row.id,
+    reference: generateReference(row.id, row.created_at),
+    utr: row.utr,
+    amount: parseFloat(row.amount),
+    status: row.status,
+    createdAt: row.created_at,
+  };
+}
+
+/**
+ * Match statement entries against payout requests by UTR and amount
+ * Requests created within the statement period that are not rejected or cancelled but have
+ * no statement entry are reported as missing in the bank.
+ * @param {import("pg").Pool} pool - Connection pool
+ * @param {Array} entries - Entries from parseBankStatement
+ * @param {{businessId?: string}} options - Limit the system side to one business
+ * @returns {Promise<{matched: Array, amountMismatch: Array, missingInBank: Array, unknownInSystem: Array, period: {from: string|null, to: string|null}}>}
+ */
+async function reconcileStatement(pool, entries, { businessId } = {}) {
+  const utrs = [...new Set(entries.map((entry) => entry.utr).filter(Boolean))];
+  const dates = entries.map((entry) => entry.date).sort();
+  const period = { from: dates[0] || null, to: dates[dates.length - 1] || null };
+
+  const params = [utrs];
+  let businessClause = "";
+  if (businessId) {
+    params.push(businessId);
+    businessClause = `AND business_id = $${params.length}`;
+  }
+
+  const known = await pool.query(
+    `SELECT id, utr, amount, status, created_at
+     FROM public.payout_requests
+     WHERE utr = ANY($1::text[]) AND status <> 'cancelled' ${businessClause}`,
+    params,
+  );
+  const payoutsByUtr = new Map(known.rows.map((row) => [row.utr, row]));
+
+  const matched = [];
+  const amountMismatch = [];
+  const unknownInSystem = [];
+  const seenUtrs = new Set();
+
+  for (const entry of entries) {
+    const payout = entry.utr ? payoutsByUtr.get(entry.utr) : null;
+    const statementEntry = { statementRow: entry.row, statementDate: entry.date, bankAmount: entry.amount };
+
+    if (!payout) {
+      unknownInSystem.push({ ...statementEntry, utr: entry.utr, description: entry.description });
+      continue;
+    }
+
+    seenUtrs.add(payout.utr);
+    if (entry.amount !== null && toCents(entry.amount) === toCents(payout.amount)) {
+      matched.push({ ...describePayout(payout), ...statementEntry });
+    } else {
+      amountMismatch.push({ ...describePayout(payout), ...statementEntry });
+    }
+  }
+
+  let missingInBank = [];
+  if (period.from) {
+    const missingParams = [period.from, period.to];
+    let missingBusinessClause = "";
+    if (businessId) {
+      missingParams.push(businessId);
+      missingBusinessClause = `AND business_id = $${missingParams.length}`;
+    }
+
+    const inPeriod = await pool.query(
+      `SELECT id, utr, amount, status, created_at
+       FROM public.payout_requests
+       WHERE created_at >= $1::date AND created_at < $2::date + interval '1 day'
+         AND status IN ('pending', 'approved', 'paid')
+         ${missingBusinessClause}
+       ORDER BY created_at`,
+      missingParams,
+    );
+    missingInBank = inPeriod.rows.filter((row) => !seenUtrs.has(row.utr)).map(describePayout);
+  }
+
+  return { matched, amountMismatch, missingInBank, unknownInSystem, period };
+}
+
+/**
+ * Sign off pending payout requests whose UTR and amount matched the statement
+ * Each request is approved in its own transaction, so one failure does not block the rest.
+ * Requests needing further approval tiers stay pending with this reviewer's sign-off recorded.
+ * @param {import("pg").Pool} pool - Connection pool
+ * @param {Array} matched - `matched` entries from reconcileStatement
+ * @param {{reviewerId: string, reviewerRoles: Array<string>}} reviewer - Approving user
+ * @returns {Promise<{results: Array<{payoutRequestId: string, status: string, approved: boolean, remainingLevels?: Array<number>, error?: string}>, errors: Array<{id: string, error: Error}>}>}
+ *   - `errors` holds unexpected failures for the caller to log; their results carry a generic message
+ */
+async function approveMatchedPayouts(pool, matched, { reviewerId, reviewerRoles }) {
+  const results = [];
+  const errors = [];
+
+  for (const match of matched.filter((item) => item.status === "pending")) {
+    try {
+      const { payoutRequest, remainingTiers } = await approvePayoutRequest(pool, {
+        id: match.payoutRequestId,
+        reviewerId,
+        reviewerRoles,
+      });
+      results.push({
+        payoutRequestId: match.payoutRequestId,
+        status: payoutRequest.status,
+        approved: remainingTiers.length === 0,
+        remainingLevels: remainingTiers.map((tier) => tier.level),
+      });
+    } catch (error) {
+      if (!error.statusCode) {
+        errors.push({ id: match.payoutRequestId, error });
+      }
+      results.push({
+        payoutRequestId: match.payoutRequestId,
+        status: match.status,
+        approved: false,
+        error: error.statusCode ? error.message : "Failed to approve payout request",
+      });
+    }
+  }
+
+  return { results, errors };
+}
+
+module.exports = {
+  BANK_FORMATS,
+  parseBankStatement,
+  reconcileStatement,
+  approveMatchedPayouts,
+};
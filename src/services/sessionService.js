@@ -0,0 +1,203 @@
+// Sign-in sessions backing the short-lived access tokens. Each session owns a family of rotating
+// refresh tokens; only their SHA-256 hashes are stored.
+const crypto = require("crypto");
+const { withTransaction } = require("../utils/db");
+const { httpError } = require("../utils/httpError");
+
+// Lifetime of access tokens; clients renew them through /api/auth/refresh
+const ACCESS_TOKEN_TTL = process.env.JWT_EXPIRES_IN || "15m";
+// A session ends once it goes this long without a refresh
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+
+const LOGIN_METHODS = ["password", "email_otp", "phone_otp"];
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function generateRefreshToken() {
+  return crypto.randomBytes(48).toString("base64url");
+}
+
+async function storeRefreshToken(client, sessionId) {
+  const refreshToken = generateRefreshToken();
+  await client.query("INSERT INTO public.refresh_tokens (session_id, token_hash) VALUES ($1, $2)", [
+    sessionId,
+    hashToken(refreshToken),
+  ]);
+  return refreshToken;
+}
+
+/**
+ * Start a session for a user who just signed in
+ * @param {import("pg").Pool} pool - Connection pool
+ * @param {{userId: string, loginMethod: string, userAgent?: string, ipAddress?: string}} options
+ *   loginMethod is one of LOGIN_METHODS
+ * @returns {Promise<{sessionId: string, refreshToken: string}>}
+ */
+async function createSession(pool, { userId, loginMethod, userAgent, ipAddress }) {
+  if (!LOGIN_METHODS.includes(loginMethod)) {
+    throw new Error(`Unknown login method "${loginMethod}"`);
+  }
+
+  return withTransaction(pool, async (client) => {
+    const session = await client.query(
+      `INSERT INTO public.auth_sessions (user_id, login_method, user_agent, ip_address, expires_at)
+       VALUES ($1, $2, $3, $4, now() + make_interval(days => $5))
+       RETURNING id`,
+      [userId, loginMethod, userAgent || null, ipAddress || null, REFRESH_TOKEN_TTL_DAYS],
+    );
+    const sessionId = session.rows[0].id;
+    return { sessionId, refreshToken: await storeRefreshToken(client, sessionId) };
+  });
+}
+
+/**
+ * Exchange a refresh token for a new one. A token that was already exchanged means it leaked
+ * (or was stolen and used first), so the whole session is revoked and both holders must sign in again.
+ * @param {import("pg").Pool} pool - Connection pool
+ * @param {string} refreshToken - Token presented by the client
+ * @param {{userAgent?: string, ipAddress?: string}} [meta] - Client details recorded on the session
+ * @returns {Promise<{sessionId: string, userId: string, refreshToken: string}>}
+ */
+async function rotateRefreshToken(pool, refreshToken, { userAgent, ipAddress } = {}) {
+  const outcome = await withTransaction(pool, async (client) => {
+    const result = await client.query(
+      `SELECT rt.id, rt.used_at, s.id as session_id, s.user_id, s.revoked_at, s.expires_at < now() as expired
+       FROM public.refresh_tokens rt
+       JOIN public.auth_sessions s ON rt.session_id = s.id
+       WHERE rt.token_hash = $1
+       FOR UPDATE OF rt, s`,
+      [hashToken(refreshToken)],
+    );
+    const token = result.rows[0];
+
+    if (!token || token.revoked_at || token.expired) {
+      return { error: "Invalid refresh token" };
+    }
+
+    if (token.used_at) {
+      await client.query(
+        "UPDATE public.auth_sessions SET revoked_at = now(), revoke_reason = 'refresh_token_reuse' WHERE id = $1",
+        [token.session_id],
+      );
+      return { error: "Refresh token was already used; the session has been revoked", reused: true };
+    }
+
+    await client.query("UPDATE public.refresh_tokens SET used_at = now() WHERE id = $1", [token.id]);
+    await client.query(
+      `UPDATE public.auth_sessions
+       SET last_used_at = now(),
+           expires_at = now() + make_interval(days => $2),
+           user_agent = COALESCE($3, user_agent),
+           ip_address = COALESCE($4, ip_address)
+       WHERE id = $1`,
+      [token.session_id, REFRESH_TOKEN_TTL_DAYS, userAgent || null, ipAddress || null],
+    );
+
+    return {
+      sessionId: token.session_id,
+      userId: token.user_id,
+      refreshToken: await storeRefreshToken(client, token.session_id),
+    };
+  });
+
+  // Thrown after the transaction so a detected reuse still commits the revocation
+  if (outcome.error) {
+    throw httpError(401, outcome.error, outcome.reused ? { code: "refresh_token_reused" } : undefined);
+  }
+  return outcome;
+}
+
+/**
+ * End a session; access tokens carrying its id are refused from then on
+ * @param {import("pg").Pool} pool - Connection pool
+ * @param {string} sessionId
+ * @param {string} reason - Recorded as revoke_reason, e.g. "logout"
+ * @returns {Promise<boolean>} - false if the session was already revoked or does not exist
+ */
+async function revokeSession(pool, sessionId, reason) {
+  const result = await pool.query(
+    `UPDATE public.auth_sessions
+     SET revoked_at = now(), revoke_reason = $2
+     WHERE id = $1 AND revoked_at IS NULL`,
+    [sessionId, reason],
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Active sessions of a user, most recently used first
+ * @param {import("pg").Pool} pool - Connection pool
+ * @param {string} userId
+ * @param {string} currentSessionId - Session of the caller, flagged as `current`
+ * @returns {Promise<object[]>}
+ */
+async function listActiveSessions(pool, userId, currentSessionId) {
+  const result = await pool.query(
+    `SELECT id, login_method, user_agent, ip_address, created_at, last_used_at, expires_at
+     FROM public.auth_sessions
+     WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > now()
+     ORDER BY last_used_at DESC`,
+    [userId],
+  );
+
+  return result.rows.map((row) => ({
+    id: row.id,
+    current: row.id === currentSessionId,
+    loginMethod: row.login_method,
+    userAgent: row.user_agent,
+    ipAddress: row.ip_address,
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at,
+    expiresAt: row.expires_at,
+  }));
+}
+
+/**
+ * Revoke one of a user's own sessions
+ * @returns {Promise<boolean>} - false if the user has no active session with that id
+ */
+async function revokeUserSession(pool, userId, sessionId, reason) {
+  const result = await pool.query(
+    `UPDATE public.auth_sessions
+     SET revoked_at = now(), revoke_reason = $3
+     WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL AND expires_at > now()`,
+    [sessionId, userId, reason],
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Revoke every active session of a user except one (pass null to revoke them all)
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+async function revokeOtherSessions(pool, userId, keepSessionId, reason) {
+  const result = await pool.query(
+    `UPDATE public.auth_sessions
+     SET revoked_at = now(), revoke_reason = $3
+     WHERE user_id = $1 AND revoked_at IS NULL AND ($2::uuid IS NULL OR id <> $2)`,
+    [userId, keepSessionId, reason],
+  );
+  return result.rowCount;
+}
+
+async function isSessionActive(pool, sessionId, userId) {
+  const result = await pool.query(
+    `SELECT 1 FROM public.auth_sessions
+     WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL AND expires_at > now()`,
+    [sessionId, userId],
+  );
+  return result.rows.length > 0;
+}
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  listActiveSessions,
+  revokeUserSession,
+  revokeOtherSessions,
+  isSessionActive,
+};
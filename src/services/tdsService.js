@@ -0,0 +1,144 @@
+// TDS (tax deducted at source) on payouts. A payout request may name a TDS section and the payee's
+// PAN; the deduction is then worked out from the section's rates and thresholds and stored on the
+// request next to the gross `amount`.
+const { httpError } = require("../utils/httpError");
+
+// Financial years run April to March in Indian time
+const TDS_TIMEZONE = "Asia/Kolkata";
+
+// Requests that count towards a payee's financial-year total
+const COUNTED_STATUSES = ["pending", "approved", "paid"];
+
+const PAN_PATTERN = "^[A-Za-z]{5}[0-9]{4}[A-Za-z]$";
+
+function parseRate(value) {
+  return value === null || value === undefined ? null : parseFloat(value);
+}
+
+function mapSection(row) {
+  return {
+    section: row.section,
+    description: row.description,
+    rate: parseFloat(row.rate),
+    individualRate: parseRate(row.individual_rate),
+    noPanRate: parseFloat(row.no_pan_rate),
+    singleThreshold: parseRate(row.single_threshold),
+    annualThreshold: parseRate(row.annual_threshold),
+    active: row.active,
+    updatedAt: row.updated_at,
+  };
+}
+
+async function listTdsSections(pool, { includeInactive = false } = {}) {
+  const result = await pool.query(
+    `SELECT * FROM public.tds_sections
+     ${includeInactive ? "" : "WHERE active"}
+     ORDER BY section`,
+  );
+  return result.rows.map(mapSection);
+}
+
+/**
+ * Create or replace a TDS section's rates and thresholds
+ * @param {import("pg").Pool} pool - Connection pool
+ * @param {string} section - Section code, e.g. "194C"
+ * @param {{description: string, rate: number, individualRate?: number|null, noPanRate?: number,
+ *   singleThreshold?: number|null, annualThreshold?: number|null, active?: boolean}} values
+ * @returns {Promise<object>}
+ */
+async function upsertTdsSection(pool, section, values) {
+  const result = await pool.query(
+    `INSERT INTO public.tds_sections
+       (section, description, rate, individual_rate, no_pan_rate, single_threshold, annual_threshold, active)
+     VALUES ($1, $2, $3, $4, COALESCE($5, 20), $6, $7, COALESCE($8, true))
+     ON CONFLICT (section) DO UPDATE
+     SET description = EXCLUDED.description,
+         rate = EXCLUDED.rate,
+         individual_rate = EXCLUDED.individual_rate,
+         no_pan_rate = EXCLUDED.no_pan_rate,
+         single_threshold = EXCLUDED.single_threshold,
+         annual_threshold = EXCLUDED.annual_threshold,
+         active = EXCLUDED.active,
+         updated_at = now()
+     RETURNING *`,
+    [
+      section,
+      values.description,
+      values.rate,
+      values.individualRate ?? null,
+      values.noPanRate ?? null,
+      values.singleThreshold ?? null,
+      values.annualThreshold ?? null,
+      values.active ?? null,
+    ],
+  );
+  return mapSection(result.rows[0]);
+}
+
+// Individuals and HUFs are identified by the fourth character of their PAN
+function isIndividualPan(pan) {
+  return ["P", "H"].includes(pan.charAt(3));
+}
+
+/**
+ * Work out the TDS on a payout. Thresholds are checked against the payee's total under the same
+ * section this financial year, identified by PAN or, without one, by the requester.
+ * Must run in the transaction that writes the request; payouts to the same payee are serialised.
+ * @param {import("pg").PoolClient} client - Transaction client
+ * @param {{section: string, pan?: string|null, amount: number, userId: string, excludeId?: string}} options
+ *   excludeId leaves out a request whose amount is being replaced
+ * @returns {Promise<{tdsSection: string, payeePan: string|null, tdsRate: number, tdsAmount: number, netAmount: number}>}
+ */
+async function calculatePayoutTds(client, { section, pan, amount, userId, excludeId }) {
+  const result = await client.query("SELECT * FROM public.tds_sections WHERE section = $1 AND active", [section]);
+  if (result.rows.length === 0) {
+    throw httpError(400, `Unknown TDS section '${section}'`);
+  }
+  const tdsSection = mapSection(result.rows[0]);
+  const payeePan = pan ? pan.toUpperCase() : null;
+  const gross = parseFloat(amount);
+
+  await client.query("SELECT pg_advisory_xact_lock(hashtext($1))", [`tds:${section}:${payeePan || userId}`]);
+
+  const totals = await client.query(
+    `SELECT COALESCE(SUM(amount), 0) as total
+     FROM public.payout_requests
+     WHERE tds_section = $1
+       AND (CASE WHEN $2::text IS NULL THEN payee_pan IS NULL AND user_id = $3 ELSE payee_pan = $2 END)
+       AND status = ANY($4)
+       AND created_at >= (
+         date_trunc('year', (now() AT TIME ZONE $5) - interval '3 months') + interval '3 months'
+       ) AT TIME ZONE $5
+       AND ($6::uuid IS NULL OR id <> $6)`,
+    [section, payeePan, userId, COUNTED_STATUSES, TDS_TIMEZONE, excludeId || null],
+  );
+  const yearTotal = parseFloat(totals.rows[0].total) + gross;
+
+  const { singleThreshold, annualThreshold } = tdsSection;
+  const hasThreshold = singleThreshold !== null || annualThreshold !== null;
+  const crossed =
+    (singleThreshold !== null && gross > singleThreshold) || (annualThreshold !== null && yearTotal > annualThreshold);
+
+  let tdsRate = 0;
+  if (!hasThreshold || crossed) {
+    const normalRate = payeePan && isIndividualPan(payeePan) ? tdsSection.individualRate ?? tdsSection.rate : tdsSection.rate;
+    tdsRate = payeePan ? normalRate : Math.max(normalRate, tdsSection.noPanRate);
+  }
+
+  // TDS is rounded to the nearest rupee
+  const tdsAmount = Math.round((gross * tdsRate) / 100);
+  return {
+    tdsSection: section,
+    payeePan,
+    tdsRate,
+    tdsAmount,
+    netAmount: Math.round((gross - tdsAmount) * 100) / 100,
+  };
+}
+
+module.exports = {
+  PAN_PATTERN,
+  listTdsSections,
+  upsertTdsSection,
+  calculatePayoutTds,
+};
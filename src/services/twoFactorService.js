@@ -0,0 +1,407 @@
+// TOTP two-factor authentication: enrollment, recovery codes, the roles that must use it and the
+// login challenges handed out between the first and second factor.
+const crypto = require("crypto");
+const { generateTotpSecret, verifyTotp, buildOtpauthUri } = require("../utils/totp");
+const { withTransaction } = require("../utils/db");
+const { httpError } = require("../utils/httpError");
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || "HissabBook";
+const RECOVERY_CODE_COUNT = 10;
+const LOGIN_CHALLENGE_TTL_MINUTES = 5;
+// Wrong codes allowed per login challenge before it is used up and the user must sign in again
+const LOGIN_CHALLENGE_MAX_ATTEMPTS = 5;
+
+function hashValue(value) {
+  return crypto.createHash("sha256").update(value).digest("hex");
+}
+
+// Recovery codes are typed by hand: compare them without case or separators
+function normalizeRecoveryCode(code) {
+  return code.toLowerCase().replace(/[^0-9a-z]/g, "");
+}
+
+function generateRecoveryCode() {
+  const hex = crypto.randomBytes(6).toString("hex");
+  return `${hex.slice(0, 6)}-${hex.slice(6)}`;
+}
+
+async function replaceRecoveryCodes(client, userId) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+  await client.query("DELETE FROM public.user_recovery_codes WHERE user_id = $1", [userId]);
+  await client.query(
+    `INSERT INTO public.user_recovery_codes (user_id, code_hash)
+     SELECT $1, unnest($2::text[])`,
+    [userId, codes.map((code) => hashValue(normalizeRecoveryCode(code)))],
+  );
+  return codes;
+}
+
+/**
+ * Whether any of the given roles must use two-factor authentication
+ * @param {import("pg").Pool} pool - Connection pool
+ * @param {string[]} roles - Role names of a user
+ * @returns {Promise<boolean>}
+ */
+async function isTwoFactorRequired(pool, roles) {
+  const result = await pool.query("SELECT 1 FROM public.two_factor_required_roles WHERE role = ANY($1) LIMIT 1", [
+    roles,
+  ]);
+  return result.rows.length > 0;
+}
+
+async function isTwoFactorEnabled(pool, userId) {
+  const result = await pool.query("SELECT 1 FROM public.user_totp WHERE user_id = $1 AND enabled_at IS NOT NULL", [
+    userId,
+  ]);
+  return result.rows.length > 0;
+}
+
+async function getTwoFactorStatus(pool, userId, roles) {
+  const [totp, recoveryCodes, required] = await Promise.all([
+    pool.query("SELECT enabled_at FROM public.user_totp WHERE user_id = $1", [userId]),
+    pool.query("SELECT COUNT(*)::int as count FROM public.user_recovery_codes WHERE user_id = $1 AND used_at IS NULL", [
+      userId,
+    ]),
+    isTwoFactorRequired(pool, roles),
+  ]);
+  const enabledAt = totp.rows[0]?.enabled_at || null;
+
+  return {
+    enabled: Boolean(enabledAt),
+    enabledAt,
+    required,
+    recoveryCodesRemaining: enabledAt ? recoveryCodes.rows[0].count : 0,
+  };
+}
+
+/**
+ * Start (or restart) enrollment with a new secret; it only takes effect once confirmed with a code
+ * @param {import("pg").Pool} pool - Connection pool
+ * @param {{id: string, email: string}} user
+ * @returns {Promise<{secret: string, otpauthUri: string}>}
+ */
+async function startEnrollment(pool, user) {
+  const secret = generateTotpSecret();
+  const result = await pool.query(
+    `INSERT INTO public.user_totp (user_id, secret)
+     VALUES ($1, $2)
+     ON CONFLICT (user_id) DO UPDATE
+     SET secret = EXCLUDED.secret, last_used_step = NULL, created_at = now()
+     WHERE user_totp.enabled_at IS NULL
+     RETURNING user_id`,
+    [user.id, secret],
+  );
+  if (result.rows.length === 0) {
+    throw httpError(409, "Two-factor authentication is already enabled");
+  }
+
+  return { secret, otpauthUri: buildOtpauthUri({ secret, account: user.email, issuer: TOTP_ISSUER }) };
+}
+
+/**
+ * Finish enrollment with a code from the authenticator app
+ * @param {import("pg").PoolClient} client - Transaction client
+ * @param {string} userId
+ * @param {string} code
+ * @returns {Promise<string[]|null>} - The new recovery codes, shown to the user once; null if the code is wrong
+ */
+async function confirmEnrollment(client, userId, code) {
+  const result = await client.query("SELECT secret, enabled_at FROM public.user_totp WHERE user_id = $1 FOR UPDATE", [
+    userId,
+  ]);
+  const totp = result.rows[0];
+  if (!totp) {
+    throw httpError(400, "Start two-factor setup first");
+  }
+  if (totp.enabled_at) {
+    throw httpError(409, "Two-factor authentication is already enabled");
+  }
+
+  const step = verifyTotp(totp.secret, code);
+  if (step === null) {
+    return null;
+  }
+
+  await client.query("UPDATE public.user_totp SET enabled_at = now(), last_used_step = $2 WHERE user_id = $1", [
+    userId,
+    step,
+  ]);
+  return replaceRecoveryCodes(client, userId);
+}
+
+/**
+ * Confirm enrollment for a signed-in user
+ * @returns {Promise<string[]>} - The new recovery codes
+ */
+async function enableTwoFactor(pool, userId, code) {
+  return withTransaction(pool, async (client) => {
+    const recoveryCodes = await confirmEnrollment(client, userId, code);
+    if (!recoveryCodes) {
+      throw httpError(401, "Invalid two-factor code");
+    }
+    return recoveryCodes;
+  });
+}
+
+/**
+ * Check a second factor: a TOTP code, or an unused recovery code, which is then used up
+ * @param {import("pg").PoolClient} client - Transaction client
+ * @param {string} userId
+ * @param {{code?: string, recoveryCode?: string}} factor
+ * @returns {Promise<boolean>}
+ */
+async function verifySecondFactor(client, userId, { code, recoveryCode }) {
+  const result = await client.query(
+    "SELECT secret, last_used_step FROM public.user_totp WHERE user_id = $1 AND enabled_at IS NOT NULL FOR UPDATE",
+    [userId],
+  );
+  const totp = result.rows[0];
+  if (!totp) {
+    return false;
+  }
+
+  if (recoveryCode) {
+    const used = await client.query(
+      `UPDATE public.user_recovery_codes SET used_at = now()
+       WHERE id = (
+         SELECT id FROM public.user_recovery_codes
+         WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+         LIMIT 1
+       )
+       RETURNING id`,
+      [userId, hashValue(normalizeRecoveryCode(recoveryCode))],
+    );
+    return used.rows.length > 0;
+  }
+
+  const lastUsedStep = totp.last_used_step === null ? null : Number(totp.last_used_step);
+  const step = verifyTotp(totp.secret, code || "", { lastUsedStep });
+  if (step === null) {
+    return false;
+  }
+  await client.query("UPDATE public.user_totp SET last_used_step = $2 WHERE user_id = $1", [userId, step]);
+  return true;
+}
+
+/**
+ * Turn two-factor authentication off after checking a current second factor
+ * @param {import("pg").Pool} pool - Connection pool
+ * @param {string} userId
+ * @param {{code?: string, recoveryCode?: string}} factor
+ * @returns {Promise<void>}
+ */
+async function disableTwoFactor(pool, userId, factor) {
+  await withTransaction(pool, async (client) => {
+    if (!(await verifySecondFactor(client, userId, factor))) {
+      throw httpError(401, "Invalid two-factor code");
+    }
+    await client.query("DELETE FROM public.user_recovery_codes WHERE user_id = $1", [userId]);
+    await client.query("DELETE FROM public.user_totp WHERE user_id = $1", [userId]);
+  });
+}
+
+/**
+ * Replace all recovery codes after checking a current TOTP code
+ * @returns {Promise<string[]>} - The new recovery codes
+ */
+async function regenerateRecoveryCodes(pool, userId, code) {
+  return withTransaction(pool, async (client) => {
+    if (!(await verifySecondFactor(client, userId, { code }))) {
+      throw httpError(401, "Invalid two-factor code");
+    }
+    return replaceRecoveryCodes(client, userId);
+  });
+}
+
+async function listRequiredRoles(pool) {
+  const result = await pool.query("SELECT role FROM public.two_factor_required_roles ORDER BY role");
+  return result.rows.map((row) => row.role);
+}
+
+/**
+ * Replace the set of roles that must use two-factor authentication. Users of a newly added role who
+ * have not enrolled are signed out everywhere, so they have to set it up at their next sign-in
+ * instead of carrying on with their current sessions.
+ * @param {import("pg").Pool} pool - Connection pool
+ * @param {string[]} roles - Existing role names
+ * @param {string} adminId - Admin making the change
+ * @returns {Promise<{roles: string[], revokedSessions: number}>}
+ */
+async function setRequiredRoles(pool, roles, adminId) {
+  return withTransaction(pool, async (client) => {
+    const known = await client.query("SELECT name FROM public.roles WHERE name = ANY($1)", [roles]);
+    const unknown = roles.filter((role) => !known.rows.some((row) => row.name === role));
+    if (unknown.length > 0) {
+      throw httpError(400, `Unknown roles: ${unknown.join(", ")}`);
+    }
+
+    await client.query("DELETE FROM public.two_factor_required_roles WHERE NOT (role = ANY($1))", [roles]);
+    const added = await client.query(
+      `INSERT INTO public.two_factor_required_roles (role, created_by)
+       SELECT unnest($1::text[]), $2
+       ON CONFLICT (role) DO NOTHING
+       RETURNING role`,
+      [roles, adminId],
+    );
+
+    let revokedSessions = 0;
+    if (added.rows.length > 0) {
+      const revoked = await client.query(
+        `UPDATE public.auth_sessions s
+         SET revoked_at = now(), revoke_reason = 'two_factor_required'
+         WHERE s.revoked_at IS NULL
+           AND s.expires_at > now()
+           AND EXISTS (
+             SELECT 1 FROM public.user_roles ur
+             JOIN public.roles r ON ur.role_id = r.id
+             WHERE ur.user_id = s.user_id AND r.name = ANY($1)
+           )
+           AND NOT EXISTS (
+             SELECT 1 FROM public.user_totp t
+             WHERE t.user_id = s.user_id AND t.enabled_at IS NOT NULL
+           )`,
+        [added.rows.map((row) => row.role)],
+      );
+      revokedSessions = revoked.rowCount;
+    }
+
+    return { roles: await listRequiredRoles(client), revokedSessions };
+  });
+}
+
+/**
+ * Decide whether a sign-in needs a second step, and if so start it
+ * @param {import("pg").Pool} pool - Connection pool
+ * @param {{userId: string, roles: string[], loginMethod: string}} options
+ * @returns {Promise<{challengeToken: string, setupRequired: boolean, expiresAt: Date}|null>} - null when tokens
+ *   can be issued straight away
+ */
+async function createLoginChallenge(pool, { userId, roles, loginMethod }) {
+  const enabled = await isTwoFactorEnabled(pool, userId);
+  const setupRequired = !enabled && (await isTwoFactorRequired(pool, roles));
+  if (!enabled && !setupRequired) {
+    return null;
+  }
+
+  const challengeToken = crypto.randomBytes(32).toString("base64url");
+  const result = await pool.query(
+    `INSERT INTO public.login_challenges (user_id, token_hash, login_method, setup_required, expires_at)
+     VALUES ($1, $2, $3, $4, now() + make_interval(mins => $5))
+     RETURNING expires_at`,
+    [userId, hashValue(challengeToken), loginMethod, setupRequired, LOGIN_CHALLENGE_TTL_MINUTES],
+  );
+
+  return { challengeToken, setupRequired, expiresAt: result.rows[0].expires_at };
+}
+
+async function lockChallenge(client, challengeToken) {
+  const result = await client.query(
+    `SELECT id, user_id, login_method, setup_required, attempts
+     FROM public.login_challenges
+     WHERE token_hash = $1 AND consumed_at IS NULL AND expires_at > now()
+     FOR UPDATE`,
+    [hashValue(challengeToken)],
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * User a pending login challenge belongs to, so second-factor guesses can be throttled per account
+ * @param {import("pg").Pool} pool - Connection pool
+ * @param {string} challengeToken
+ * @returns {Promise<string|null>} - User id, or null if the challenge is invalid or has expired
+ */
+async function getLoginChallengeUserId(pool, challengeToken) {
+  const result = await pool.query(
+    `SELECT user_id FROM public.login_challenges
+     WHERE token_hash = $1 AND consumed_at IS NULL AND expires_at > now()`,
+    [hashValue(challengeToken)],
+  );
+  return result.rows[0]?.user_id || null;
+}
+
+/**
+ * Begin enrollment for a user whose sign-in is waiting on a required setup
+ * @param {import("pg").Pool} pool - Connection pool
+ * @param {string} challengeToken
+ * @returns {Promise<{secret: string, otpauthUri: string}>}
+ */
+async function startChallengeEnrollment(pool, challengeToken) {
+  const result = await pool.query(
+    `SELECT u.id, u.email
+     FROM public.login_challenges lc
+     JOIN public.users u ON lc.user_id = u.id
+     WHERE lc.token_hash = $1 AND lc.consumed_at IS NULL AND lc.expires_at > now() AND lc.setup_required`,
+    [hashValue(challengeToken)],
+  );
+  if (result.rows.length === 0) {
+    throw httpError(401, "Login challenge is invalid or has expired");
+  }
+  return startEnrollment(pool, result.rows[0]);
+}
+
+/**
+ * Complete a sign-in with its second factor. For a challenge that requires setup, the code confirms
+ * the enrollment started with startChallengeEnrollment and the new recovery codes are returned.
+ * @param {import("pg").Pool} pool - Connection pool
+ * @param {{challengeToken: string, code?: string, recoveryCode?: string}} options
+ * @returns {Promise<{userId: string, loginMethod: string, recoveryCodes: string[]|null}>}
+ */
+async function completeLoginChallenge(pool, { challengeToken, code, recoveryCode }) {
+  const outcome = await withTransaction(pool, async (client) => {
+    const challenge = await lockChallenge(client, challengeToken);
+    if (!challenge) {
+      return { error: "Login challenge is invalid or has expired" };
+    }
+
+    let recoveryCodes = null;
+    let verified;
+    if (challenge.setup_required) {
+      if (!code) {
+        throw httpError(400, "Enter a code from your authenticator app to finish setting up two-factor authentication");
+      }
+      recoveryCodes = await confirmEnrollment(client, challenge.user_id, code);
+      verified = recoveryCodes !== null;
+    } else {
+      verified = await verifySecondFactor(client, challenge.user_id, { code, recoveryCode });
+    }
+
+    if (!verified) {
+      const attempts = challenge.attempts + 1;
+      await client.query(
+        `UPDATE public.login_challenges
+         SET attempts = $2, consumed_at = CASE WHEN $2 >= $3 THEN now() END
+         WHERE id = $1`,
+        [challenge.id, attempts, LOGIN_CHALLENGE_MAX_ATTEMPTS],
+      );
+      return {
+        error:
+          attempts >= LOGIN_CHALLENGE_MAX_ATTEMPTS ? "Too many invalid codes; please sign in again" : "Invalid two-factor code",
+      };
+    }
+
+    await client.query("UPDATE public.login_challenges SET consumed_at = now() WHERE id = $1", [challenge.id]);
+    return { userId: challenge.user_id, loginMethod: challenge.login_method, recoveryCodes };
+  });
+
+  // Thrown after the transaction so failed attempts are still counted
+  if (outcome.error) {
+    throw httpError(401, outcome.error);
+  }
+  return outcome;
+}
+
+module.exports = {
+  isTwoFactorRequired,
+  getTwoFactorStatus,
+  startEnrollment,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  listRequiredRoles,
+  setRequiredRoles,
+  createLoginChallenge,
+  getLoginChallengeUserId,
+  startChallengeEnrollment,
+  completeLoginChallenge,
+};
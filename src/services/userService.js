@@ -9,6 +9,11 @@ async function findUserByEmail(pool, email) {
   return result.rows[0];
 }
 
+async function findUserById(pool, id) {
+  const result = await pool.query("SELECT * FROM public.users WHERE id = $1 LIMIT 1", [id]);
+  return result.rows[0];
+}
+
 async function findUserByPhone(pool, phone) {
   const result = await pool.query(
     `SELECT u.* FROM public.users u
@@ -178,6 +183,7 @@ async function createUser(pool, { email, password, firstName, lastName, phone, r
 
 module.exports = {
   findUserByEmail,
+  findUserById,
   findUserByPhone,
   createUser,
   getUserRoles,
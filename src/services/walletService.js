@@ -0,0 +1,292 @@
+const { httpError } = require("../utils/httpError");
+const { generateReference } = require("../utils/format");
+
+// Wallet balances are never written directly: every change is a ledger transaction whose
+// debits and credits sum to zero, and `wallets.balance` caches the sum of a wallet's entries.
+// Credits increase a balance, debits decrease it.
+
+const DEFAULT_STATEMENT_PAGE_SIZE = 50;
+const MAX_STATEMENT_PAGE_SIZE = 200;
+
+const WALLET_COLUMNS = "w.id, w.kind, w.user_id, w.business_id, w.currency, w.balance, w.created_at, w.updated_at";
+
+const statementQuerySchema = {
+  type: "object",
+  properties: {
+    from: { type: "string", format: "date" },
+    to: { type: "string", format: "date" },
+    limit: { type: "integer", minimum: 1, maximum: MAX_STATEMENT_PAGE_SIZE, default: DEFAULT_STATEMENT_PAGE_SIZE },
+    cursor: { type: "string", minLength: 1 },
+  },
+};
+
+function toCents(amount) {
+  return Math.round(parseFloat(amount) * 100);
+}
+
+function mapWallet(row) {
+  return {
+    id: row.id,
+    kind: row.kind,
+    userId: row.user_id,
+    businessId: row.business_id,
+    currency: row.currency,
+    balance: parseFloat(row.balance),
+    userEmail: row.user_email,
+    businessName: row.business_name,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Find the wallet of a user (or the business account when userId is null), creating it on first use
+ * @param {import("pg").PoolClient} client - Client inside the posting transaction
+ * @param {{userId: string|null, businessId: string|null, kind?: "user"|"business"|"tds_payable"}} owner
+ *   - kind defaults to "user" or "business" depending on userId
+ * @returns {Promise<string>} - Wallet id
+ */
+async function getOrCreateWallet(client, { userId, businessId, kind = userId ? "user" : "business" }) {
+
+  // Relies on wallets_owner_idx; a concurrent insert of the same wallet is simply skipped
+  await client.query(
+    `INSERT INTO public.wallets (kind, user_id, business_id)
+     VALUES ($1, $2, $3)
+     ON CONFLICT DO NOTHING`,
+    [kind, userId || null, businessId || null],
+  );
+
+  const result = await client.query(
+    `SELECT id FROM public.wallets
+     WHERE kind = $1
+       AND user_id IS NOT DISTINCT FROM $2::uuid
+       AND business_id IS NOT DISTINCT FROM $3::uuid`,
+    [kind, userId || null, businessId || null],
+  );
+
+  return result.rows[0].id;
+}
+
+/**
+ * Post a balanced set of entries as one ledger transaction and update the cached balances
+ * Must run inside a transaction; wallets are locked in id order so concurrent postings cannot deadlock
+ * @param {import("pg").PoolClient} client - Client inside a transaction
+ * @param {{kind: string, payoutRequestId?: string, description?: string, createdBy?: string,
+ *   entries: Array<{walletId: string, direction: "debit"|"credit", amount: number|string}>}} transaction
+ * @returns {Promise<string>} - Ledger transaction id
+ */
+async function postLedgerTransaction(client, { kind, payoutRequestId, description, createdBy, entries }) {
+  const net = entries.reduce(
+    (sum, entry) => sum + (entry.direction === "credit" ? toCents(entry.amount) : -toCents(entry.amount)),
+    0,
+  );
+  if (entries.length < 2 || net !== 0) {
+    throw new Error("Ledger transaction entries must balance");
+  }
+
+  const walletIds = [...new Set(entries.map((entry) => entry.walletId))].sort();
+  const locked = await client.query(
+    "SELECT id, balance FROM public.wallets WHERE id = ANY($1::uuid[]) ORDER BY id FOR UPDATE",
+    [walletIds],
+  );
+  const balances = new Map(locked.rows.map((row) => [row.id, toCents(row.balance)]));
+
+  const transaction = await client.query(
+    `INSERT INTO public.ledger_transactions (kind, payout_request_id, description, created_by)
+     VALUES ($1, $2, $3, $4)
+     RETURNING id`,
+    [kind, payoutRequestId || null, description || null, createdBy || null],
+  );
+  const transactionId = transaction.rows[0].id;
+
+  for (const entry of entries) {
+    const amount = toCents(entry.amount);
+    const balanceAfter = balances.get(entry.walletId) + (entry.direction === "credit" ? amount : -amount);
+    balances.set(entry.walletId, balanceAfter);
+
+    await client.query(
+      `INSERT INTO public.ledger_entries (transaction_id, wallet_id, direction, amount, balance_after)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [transactionId, entry.walletId, entry.direction, amount / 100, balanceAfter / 100],
+    );
+  }
+
+  for (const walletId of walletIds) {
+    await client.query("UPDATE public.wallets SET balance = $2, updated_at = now() WHERE id = $1", [
+      walletId,
+      balances.get(walletId) / 100,
+    ]);
+  }
+
+  return transactionId;
+}
+
+/**
+ * Credit the requester's wallet with an approved payout, funded by the business account
+ * The business is debited the gross amount; with TDS deducted the requester gets the net amount and
+ * the TDS goes to the business's TDS payable account until it is deposited with the government.
+ * Call inside the transaction that approves the payout so both commit together
+ * @param {import("pg").PoolClient} client - Client inside a transaction
+ * @param {{id: string, user_id: string, business_id: string|null, amount: string, tds_amount: string|null,
+ *   net_amount: string|null}} payoutRequest
+ * @param {string} postedBy - User approving the payout
+ * @returns {Promise<string>} - Ledger transaction id
+ */
+async function postPayoutToLedger(client, payoutRequest, postedBy) {
+  const userWalletId = await getOrCreateWallet(client, {
+    userId: payoutRequest.user_id,
+    businessId: payoutRequest.business_id,
+  });
+  const businessWalletId = await getOrCreateWallet(client, {
+    userId: null,
+    businessId: payoutRequest.business_id,
+  });
+  const tdsWalletId =
+    parseFloat(payoutRequest.tds_amount) > 0
+      ? await getOrCreateWallet(client, { userId: null, businessId: payoutRequest.business_id, kind: "tds_payable" })
+      : null;
+
+  return postLedgerTransaction(client, {
+    kind: "payout",
+    payoutRequestId: payoutRequest.id,
+    description: "Payout approved",
+    createdBy: postedBy,
+    entries: [
+      { walletId: userWalletId, direction: "credit", amount: payoutRequest.net_amount ?? payoutRequest.amount },
+      ...(tdsWalletId ? [{ walletId: tdsWalletId, direction: "credit", amount: payoutRequest.tds_amount }] : []),
+      { walletId: businessWalletId, direction: "debit", amount: payoutRequest.amount },
+    ],
+  });
+}
+
+async function listWallets(pool, { userId, businessId, kind }) {
+  const clauses = [];
+  const params = [];
+  const addParam = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  if (userId) {
+    clauses.push(`w.user_id = ${addParam(userId)}`);
+  }
+  if (businessId) {
+    clauses.push(`w.business_id = ${addParam(businessId)}`);
+  }
+  if (kind) {
+    clauses.push(`w.kind = ${addParam(kind)}`);
+  }
+
+  const result = await pool.query(
+    `SELECT ${WALLET_COLUMNS}, u.email as user_email, b.name as business_name
+     FROM public.wallets w
+     LEFT JOIN public.users u ON w.user_id = u.id
+     LEFT JOIN public.businesses b ON w.business_id = b.id
+     ${clauses.length > 0 ? `WHERE ${clauses.join(" AND ")}` : ""}
+     ORDER BY w.kind DESC, b.name NULLS FIRST, u.email`,
+    params,
+  );
+
+  return result.rows.map(mapWallet);
+}
+
+async function getWallet(pool, id) {
+  const result = await pool.query(
+    `SELECT ${WALLET_COLUMNS}, u.email as user_email, b.name as business_name
+     FROM public.wallets w
+     LEFT JOIN public.users u ON w.user_id = u.id
+     LEFT JOIN public.businesses b ON w.business_id = b.id
+     WHERE w.id = $1`,
+    [id],
+  );
+
+  return result.rows[0] ? mapWallet(result.rows[0]) : null;
+}
+
+// Reviewers see every wallet; other users only their own
+function canViewWallet(scope, wallet) {
+  return scope.canViewAll || wallet.userId === scope.userId;
+}
+
+function encodeStatementCursor(seq) {
+  return Buffer.from(String(seq)).toString("base64url");
+}
+
+function decodeStatementCursor(cursor) {
+  const seq = Buffer.from(cursor, "base64url").toString("utf8");
+  if (!/^\d{1,18}$/.test(seq)) {
+    throw httpError(400, "Invalid cursor");
+  }
+  return seq;
+}
+
+/**
+ * Page through a wallet's entries, newest first
+ * @param {import("pg").Pool} pool - Connection pool
+ * @param {string} walletId - Wallet id
+ * @param {object} query - Parsed query parameters (see statementQuerySchema)
+ * @returns {Promise<{entries: Array, nextCursor: string|null}>}
+ */
+async function getWalletStatement(pool, walletId, query) {
+  const limit = query.limit || DEFAULT_STATEMENT_PAGE_SIZE;
+  const clauses = ["le.wallet_id = $1"];
+  const params = [walletId];
+  const addParam = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  // Dates are inclusive calendar days
+  if (query.from) {
+    clauses.push(`le.created_at >= ${addParam(query.from)}::date`);
+  }
+  if (query.to) {
+    clauses.push(`le.created_at < ${addParam(query.to)}::date + interval '1 day'`);
+  }
+  if (query.cursor) {
+    clauses.push(`le.seq < ${addParam(decodeStatementCursor(query.cursor))}::bigint`);
+  }
+
+  const result = await pool.query(
+    `SELECT le.seq, le.id, le.direction, le.amount, le.balance_after, le.created_at,
+            lt.id as transaction_id, lt.kind, lt.description, lt.payout_request_id,
+            pr.created_at as payout_created_at, pr.utr
+     FROM public.ledger_entries le
+     JOIN public.ledger_transactions lt ON le.transaction_id = lt.id
+     LEFT JOIN public.payout_requests pr ON lt.payout_request_id = pr.id
+     WHERE ${clauses.join(" AND ")}
+     ORDER BY le.seq DESC
+     LIMIT ${addParam(limit + 1)}`,
+    params,
+  );
+
+  const hasMore = result.rows.length > limit;
+  const rows = hasMore ? result.rows.slice(0, limit) : result.rows;
+
+  return {
+    entries: rows.map((row) => ({
+      id: row.id,
+      transactionId: row.transaction_id,
+      kind: row.kind,
+      description: row.description,
+      direction: row.direction,
+      amount: parseFloat(row.amount),
+      balanceAfter: parseFloat(row.balance_after),
+      payoutRequestId: row.payout_request_id,
+      payoutReference: row.payout_request_id ? generateReference(row.payout_request_id, row.payout_created_at) : null,
+      utr: row.utr,
+      postedAt: row.created_at,
+    })),
+    nextCursor: hasMore ? encodeStatementCursor(rows[rows.length - 1].seq) : null,
+  };
+}
+
+module.exports = {
+  statementQuerySchema,
+  postLedgerTransaction,
+  postPayoutToLedger,
+  listWallets,
+  getWallet,
+  canViewWallet,
+  getWalletStatement,
+};
@@ -0,0 +1,380 @@
+const crypto = require("crypto");
+const axios = require("axios");
+const { httpError } = require("../utils/httpError");
+const { generateReference } = require("../utils/format");
+const { assertPublicWebhookUrl, lookupPublicAddress } = require("../utils/webhookUrl");
+
+const WEBHOOK_EVENTS = [
+  "payout_request.created",
+  "payout_request.approved",
+  "payout_request.rejected",
+  "payout_request.paid",
+];
+
+// Retries back off exponentially from RETRY_BASE_SECONDS, capped at an hour between attempts;
+// 8 attempts span roughly an hour before a delivery is marked failed
+const MAX_ATTEMPTS = 8;
+const RETRY_BASE_SECONDS = 30;
+const MAX_RETRY_DELAY_SECONDS = 60 * 60;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+// Longest a claimed delivery may take before another worker may pick it up again
+const CLAIM_LEASE_SECONDS = 5 * 60;
+
+const SIGNATURE_HEADER = "X-HissabBook-Signature";
+
+function mapSubscription(row) {
+  return {
+    id: row.id,
+    businessId: row.business_id,
+    url: row.url,
+    events: row.events,
+    active: row.active,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function mapDelivery(row) {
+  return {
+    id: row.id,
+    subscriptionId: row.subscription_id,
+    eventId: row.event_id,
+    event: row.event,
+    status: row.status,
+    attempts: row.attempts,
+    nextAttemptAt: row.status === "pending" ? row.next_attempt_at : null,
+    lastStatusCode: row.last_status_code,
+    lastError: row.last_error,
+    deliveredAt: row.delivered_at,
+    createdAt: row.created_at,
+  };
+}
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString("hex")}`;
+}
+
+/**
+ * Sign a webhook body the way receivers are told to verify it:
+ * HMAC-SHA256 over "<timestamp>.<raw body>", sent as `t=<timestamp>,v1=<hex digest>`
+ * @param {string} secret - Subscription secret
+ * @param {string} body - Raw JSON body
+ * @param {number} timestamp - Unix time in seconds
+ * @returns {string} - Signature header value
+ */
+function signPayload(secret, body, timestamp) {
+  const digest = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return `t=${timestamp},v1=${digest}`;
+}
+
+async function listSubscriptions(pool, businessId) {
+  const result = await pool.query(
+    `SELECT id, business_id, url, events, active, created_at, updated_at
+     FROM public.webhook_subscriptions
+     WHERE business_id = $1
+     ORDER BY created_at`,
+    [businessId],
+  );
+  return result.rows.map(mapSubscription);
+}
+
+async function getSubscription(pool, id) {
+  const result = await pool.query(
+    `SELECT id, business_id, url, events, active, created_at, updated_at
+     FROM public.webhook_subscriptions
+     WHERE id = $1`,
+    [id],
+  );
+  return result.rows[0] ? mapSubscription(result.rows[0]) : null;
+}
+
+// The secret is only returned here; afterwards it can be rotated but not read back
+async function createSubscription(pool, { businessId, url, events, createdBy }) {
+  await assertPublicWebhookUrl(url);
+  const secret = generateSecret();
+  const result = await pool.query(
+    `INSERT INTO public.webhook_subscriptions (business_id, url, secret, events, created_by)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING id, business_id, url, events, active, created_at, updated_at`,
+    [businessId, url, secret, events, createdBy],
+  );
+  return { ...mapSubscription(result.rows[0]), secret };
+}
+
+async function updateSubscription(pool, id, { url, events, active, rotateSecret }) {
+  if (url) {
+    await assertPublicWebhookUrl(url);
+  }
+  const secret = rotateSecret ? generateSecret() : null;
+  const result = await pool.query(
+    `UPDATE public.webhook_subscriptions
+     SET url = COALESCE($2, url),
+         events = COALESCE($3, events),
+         active = COALESCE($4, active),
+         secret = COALESCE($5, secret),
+         updated_at = now()
+     WHERE id = $1
+     RETURNING id, business_id, url, events, active, created_at, updated_at`,
+    [id, url ?? null, events ?? null, active ?? null, secret],
+  );
+
+  if (result.rows.length === 0) {
+    throw httpError(404, "Webhook subscription not found");
+  }
+  return { ...mapSubscription(result.rows[0]), ...(secret && { secret }) };
+}
+
+async function deleteSubscription(pool, id) {
+  await pool.query("DELETE FROM public.webhook_subscriptions WHERE id = $1", [id]);
+}
+
+// Payout request as sent in webhook payloads; kept stable for receivers rather than reusing API responses
+async function getPayoutRequestPayload(pool, payoutRequestId) {
+  const result = await pool.query(
+    `SELECT id, user_id, business_id, status, amount, utr, payment_mode, remarks, rejection_reason,
+            processed_at, paid_at, created_at
+     FROM public.payout_requests
+     WHERE id = $1`,
+    [payoutRequestId],
+  );
+  const row = result.rows[0];
+  if (!row) {
+    return null;
+  }
+
+  return {
+    id: row.id,
+    reference: generateReference(row.id, row.created_at),
+    userId: row.user_id,
+    businessId: row.business_id,
+    status: row.status,
+    amount: parseFloat(row.amount),
+    utr: row.utr,
+    paymentMode: row.payment_mode,
+    remarks: row.remarks,
+    rejectionReason: row.rejection_reason,
+    processedAt: row.processed_at,
+    paidAt: row.paid_at,
+    createdAt: row.created_at,
+  };
+}
+
+/**
+ * Queue a payout request event for every active subscription of its business that listens to it
+ * @param {import("pg").Pool} pool - Connection pool
+ * @param {{event: string, payoutRequestId: string}} options
+ * @returns {Promise<number>} - Number of deliveries queued; requests without a business queue none
+ */
+async function enqueueWebhookEvent(pool, { event, payoutRequestId }) {
+  const payoutRequest = await getPayoutRequestPayload(pool, payoutRequestId);
+  if (!payoutRequest?.businessId) {
+    return 0;
+  }
+
+  const eventId = crypto.randomUUID();
+  const payload = { id: eventId, event, createdAt: new Date().toISOString(), data: { payoutRequest } };
+
+  const result = await pool.query(
+    `INSERT INTO public.webhook_deliveries (subscription_id, event_id, event, payload)
+     SELECT id, $2, $3, $4
+     FROM public.webhook_subscriptions
+     WHERE business_id = $1 AND active AND $3 = ANY(events)`,
+    [payoutRequest.businessId, eventId, event, payload],
+  );
+  return result.rowCount;
+}
+
+function retryDelaySeconds(attempts) {
+  return Math.min(RETRY_BASE_SECONDS * 2 ** (attempts - 1), MAX_RETRY_DELAY_SECONDS);
+}
+
+// POST the payload once and log the attempt; never throws for delivery failures. The receiver's
+// response body is not kept, so a webhook cannot be used to read pages back from other hosts.
+async function sendDelivery(pool, delivery, { manual = false } = {}) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const attempt = delivery.attempts + 1;
+  const startedAt = Date.now();
+
+  let statusCode = null;
+  let error = null;
+
+  try {
+    // The host is checked again at send time, and connections only go to the addresses it was checked for
+    await assertPublicWebhookUrl(delivery.url);
+    const response = await axios.post(delivery.url, body, {
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "HissabBook-Webhooks/1.0",
+        "X-HissabBook-Event": delivery.event,
+        "X-HissabBook-Delivery": delivery.id,
+        [SIGNATURE_HEADER]: signPayload(delivery.secret, body, timestamp),
+      },
+      timeout: REQUEST_TIMEOUT_MS,
+      maxRedirects: 0,
+      proxy: false,
+      lookup: lookupPublicAddress,
+      responseType: "text",
+      transformResponse: (data) => data,
+      validateStatus: () => true,
+    });
+    statusCode = response.status;
+    if (statusCode < 200 || statusCode >= 300) {
+      error = `Receiver responded with HTTP ${statusCode}`;
+    }
+  } catch (requestError) {
+    error = requestError.message;
+  }
+
+  const succeeded = error === null;
+  await pool.query(
+    `INSERT INTO public.webhook_delivery_attempts (delivery_id, attempt, manual, status_code, error, duration_ms)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [delivery.id, attempt, manual, statusCode, error, Date.now() - startedAt],
+  );
+
+  let status = "pending";
+  if (succeeded) {
+    status = "succeeded";
+  } else if (attempt >= MAX_ATTEMPTS && !manual) {
+    status = "failed";
+  } else if (manual && delivery.status !== "pending") {
+    // A failed manual redelivery leaves the delivery as it was rather than restarting retries
+    status = delivery.status;
+  }
+
+  const result = await pool.query(
+    `UPDATE public.webhook_deliveries
+     SET attempts = $2,
+         status = $3,
+         last_status_code = $4,
+         last_error = $5,
+         delivered_at = CASE WHEN $3 = 'succeeded' THEN now() ELSE delivered_at END,
+         next_attempt_at = now() + make_interval(secs => $6)
+     WHERE id = $1
+     RETURNING *`,
+    [delivery.id, attempt, status, statusCode, error, retryDelaySeconds(attempt)],
+  );
+  return result.rows[0];
+}
+
+/**
+ * Send deliveries whose next attempt is due. Deliveries are claimed by pushing their next attempt
+ * past a lease, so several API instances can run this concurrently without double-sending.
+ * @param {import("pg").Pool} pool - Connection pool
+ * @param {{limit?: number}} [options]
+ * @returns {Promise<number>} - Number of deliveries attempted
+ */
+async function processDueDeliveries(pool, { limit = 20 } = {}) {
+  const claimed = await pool.query(
+    `UPDATE public.webhook_deliveries d
+     SET next_attempt_at = now() + make_interval(secs => $2)
+     FROM public.webhook_subscriptions s
+     WHERE d.subscription_id = s.id
+       AND d.id IN (
+         SELECT id FROM public.webhook_deliveries
+         WHERE status = 'pending' AND next_attempt_at <= now()
+         ORDER BY next_attempt_at
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED
+       )
+     RETURNING d.*, s.url, s.secret`,
+    [limit, CLAIM_LEASE_SECONDS],
+  );
+
+  for (const delivery of claimed.rows) {
+    await sendDelivery(pool, delivery);
+  }
+  return claimed.rows.length;
+}
+
+async function listDeliveries(pool, subscriptionId, { status, limit = 50 }) {
+  const params = [subscriptionId, limit];
+  let statusClause = "";
+  if (status) {
+    params.push(status);
+    statusClause = `AND status = $${params.length}`;
+  }
+
+  const result = await pool.query(
+    `SELECT * FROM public.webhook_deliveries
+     WHERE subscription_id = $1 ${statusClause}
+     ORDER BY created_at DESC
+     LIMIT $2`,
+    params,
+  );
+  return result.rows.map(mapDelivery);
+}
+
+async function getDeliveryWithAttempts(pool, id) {
+  const delivery = await pool.query(
+    `SELECT d.*, s.business_id
+     FROM public.webhook_deliveries d
+     JOIN public.webhook_subscriptions s ON d.subscription_id = s.id
+     WHERE d.id = $1`,
+    [id],
+  );
+  if (delivery.rows.length === 0) {
+    return null;
+  }
+
+  const attempts = await pool.query(
+    `SELECT attempt, manual, status_code, error, duration_ms, created_at
+     FROM public.webhook_delivery_attempts
+     WHERE delivery_id = $1
+     ORDER BY created_at`,
+    [id],
+  );
+
+  const row = delivery.rows[0];
+  return {
+    ...mapDelivery(row),
+    businessId: row.business_id,
+    payload: row.payload,
+    attemptLog: attempts.rows.map((attempt) => ({
+      attempt: attempt.attempt,
+      manual: attempt.manual,
+      statusCode: attempt.status_code,
+      error: attempt.error,
+      durationMs: attempt.duration_ms,
+      attemptedAt: attempt.created_at,
+    })),
+  };
+}
+
+/**
+ * Send a delivery again right away, whatever its status, with the subscription's current URL and secret
+ * @param {import("pg").Pool} pool - Connection pool
+ * @param {string} id - Delivery id
+ * @returns {Promise<object>} - Updated delivery
+ */
+async function redeliver(pool, id) {
+  const result = await pool.query(
+    `SELECT d.*, s.url, s.secret
+     FROM public.webhook_deliveries d
+     JOIN public.webhook_subscriptions s ON d.subscription_id = s.id
+     WHERE d.id = $1`,
+    [id],
+  );
+  if (result.rows.length === 0) {
+    throw httpError(404, "Webhook delivery not found");
+  }
+
+  return mapDelivery(await sendDelivery(pool, result.rows[0], { manual: true }));
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  SIGNATURE_HEADER,
+  signPayload,
+  listSubscriptions,
+  getSubscription,
+  createSubscription,
+  updateSubscription,
+  deleteSubscription,
+  enqueueWebhookEvent,
+  processDueDeliveries,
+  listDeliveries,
+  getDeliveryWithAttempts,
+  redeliver,
+};
@@ -0,0 +1,26 @@
+/**
+ * Run a callback inside a single Postgres transaction
+ * Commits when the callback resolves and rolls back when it throws
+ * @param {import("pg").Pool} pool - Connection pool (app.pg)
+ * @param {(client: import("pg").PoolClient) => Promise<any>} callback - Work to run on the transaction client
+ * @returns {Promise<any>} - Whatever the callback returns
+ */
+async function withTransaction(pool, callback) {
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+    const result = await callback(client);
+    await client.query("COMMIT");
+    return result;
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  withTransaction,
+};
@@ -33,9 +33,22 @@ function createTransporter() {
   return transporter;
 }
 
+function getFromEmail() {
+  const smtpUser = process.env.SMTP_USER || process.env.GMAIL_USER;
+  return process.env.SMTP_FROM_EMAIL || process.env.GMAIL_FROM_EMAIL || smtpUser || "noreply@hissabbook.com";
+}
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
 async function sendOtpEmail({ code, email }) {
   const smtpUser = process.env.SMTP_USER || process.env.GMAIL_USER;
-  const fromEmail = process.env.SMTP_FROM_EMAIL || process.env.GMAIL_FROM_EMAIL || smtpUser || "noreply@hissabbook.com";
+  const fromEmail = getFromEmail();
 
   if (!smtpUser) {
     throw new Error(
@@ -95,8 +108,169 @@ async function sendOtpEmail({ code, email }) {
   }
 }
 
+/**
+ * Tell approvers (or the business owner) that a payout request has been pending past its SLA
+ * @param {{to: string[], reference: string, amount: string, requester: string, pendingHours: number,
+ *   remarks?: string|null, reason: string}} options - `amount` is already formatted; `reason` says why the
+ *   recipients are being asked, e.g. which approval level is waiting on them
+ * @returns {Promise<{success: boolean, messageId: string}>}
+ */
+async function sendPayoutEscalationEmail({ to, reference, amount, requester, pendingHours, remarks, reason }) {
+  const transporter = createTransporter();
+  const pendingFor = pendingHours >= 48 ? `${Math.floor(pendingHours / 24)} days` : `${pendingHours} hours`;
+
+  const mailOptions = {
+    from: `"HissabBook" <${getFromEmail()}>`,
+    to: to.join(", "),
+    subject: `Payout request ${reference} has been pending for ${pendingFor}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="background: linear-gradient(135deg, #2f4bff 0%, #2357FF 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+          <h1 style="color: white; margin: 0; font-size: 28px;">HissabBook</h1>
+        </div>
+        <div style="background: #f9fafb; padding: 30px; border-radius: 0 0 10px 10px; border: 1px solid #e5e7eb;">
+          <h2 style="color: #111827; margin-top: 0;">Payout request awaiting review</h2>
+          <p style="color: #6b7280; font-size: 16px; line-height: 1.6;">
+            Payout request <strong>${escapeHtml(reference)}</strong> for <strong>${escapeHtml(amount)}</strong>
+            from ${escapeHtml(requester)} has been pending for ${pendingFor}.
+          </p>
+          <p style="color: #6b7280; font-size: 16px; line-height: 1.6;">${escapeHtml(reason)}</p>
+          ${remarks ? `<p style="color: #6b7280; font-size: 14px; line-height: 1.6;">Remarks: ${escapeHtml(remarks)}</p>` : ""}
+          <p style="color: #9ca3af; font-size: 12px; line-height: 1.6; margin-top: 30px; padding-top: 20px; border-top: 1px solid #e5e7eb;">
+            You are receiving this because the request has passed its review deadline.
+          </p>
+        </div>
+      </div>
+    `,
+    text: `
+      HissabBook - Payout request awaiting review
+
+      Payout request ${reference} for ${amount} from ${requester} has been pending for ${pendingFor}.
+      ${reason}
+      ${remarks ? `Remarks: ${remarks}` : ""}
+    `,
+  };
+
+  try {
+    const info = await transporter.sendMail(mailOptions);
+    return {
+      success: true,
+      messageId: info.messageId,
+    };
+  } catch (error) {
+    throw new Error(`Failed to send email: ${error.message}`);
+  }
+}
+
+/**
+ * Email a password reset link
+ * @param {{to: string, resetUrl: string, ttlMinutes: number}} options
+ * @returns {Promise<{success: boolean, messageId: string}>}
+ */
+async function sendPasswordResetEmail({ to, resetUrl, ttlMinutes }) {
+  const transporter = createTransporter();
+
+  const mailOptions = {
+    from: `"HissabBook" <${getFromEmail()}>`,
+    to,
+    subject: "Reset your HissabBook password",
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="background: linear-gradient(135deg, #2f4bff 0%, #2357FF 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+          <h1 style="color: white; margin: 0; font-size: 28px;">HissabBook</h1>
+        </div>
+        <div style="background: #f9fafb; padding: 30px; border-radius: 0 0 10px 10px; border: 1px solid #e5e7eb;">
+          <h2 style="color: #111827; margin-top: 0;">Reset your password</h2>
+          <p style="color: #6b7280; font-size: 16px; line-height: 1.6;">
+            We received a request to reset the password of your HissabBook account. Use the button below to choose a new one.
+          </p>
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${escapeHtml(resetUrl)}" style="background: #2f4bff; color: white; padding: 14px 28px; border-radius: 8px; text-decoration: none; font-weight: bold;">Reset password</a>
+          </div>
+          <p style="color: #6b7280; font-size: 14px; line-height: 1.6;">
+            This link can be used once and expires in ${ttlMinutes} minutes.
+          </p>
+          <p style="color: #9ca3af; font-size: 12px; line-height: 1.6; margin-top: 30px; padding-top: 20px; border-top: 1px solid #e5e7eb;">
+            If you didn't ask to reset your password, please ignore this email; your password stays the same.
+          </p>
+        </div>
+      </div>
+    `,
+    text: `
+      HissabBook - Reset your password
+
+      Open this link to choose a new password: ${resetUrl}
+
+      The link can be used once and expires in ${ttlMinutes} minutes.
+
+      If you didn't ask to reset your password, please ignore this email.
+    `,
+  };
+
+  try {
+    const info = await transporter.sendMail(mailOptions);
+    return {
+      success: true,
+      messageId: info.messageId,
+    };
+  } catch (error) {
+    throw new Error(`Failed to send email: ${error.message}`);
+  }
+}
+
+/**
+ * Confirm to the account holder that their password was reset
+ * @param {{to: string}} options
+ * @returns {Promise<{success: boolean, messageId: string}>}
+ */
+async function sendPasswordChangedEmail({ to }) {
+  const transporter = createTransporter();
+
+  const mailOptions = {
+    from: `"HissabBook" <${getFromEmail()}>`,
+    to,
+    subject: "Your HissabBook password was changed",
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="background: linear-gradient(135deg, #2f4bff 0%, #2357FF 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+          <h1 style="color: white; margin: 0; font-size: 28px;">HissabBook</h1>
+        </div>
+        <div style="background: #f9fafb; padding: 30px; border-radius: 0 0 10px 10px; border: 1px solid #e5e7eb;">
+          <h2 style="color: #111827; margin-top: 0;">Password changed</h2>
+          <p style="color: #6b7280; font-size: 16px; line-height: 1.6;">
+            The password of your HissabBook account was just reset, and every device that was signed in has been signed out.
+          </p>
+          <p style="color: #9ca3af; font-size: 12px; line-height: 1.6; margin-top: 30px; padding-top: 20px; border-top: 1px solid #e5e7eb;">
+            If you didn't do this, reset your password again right away and contact support.
+          </p>
+        </div>
+      </div>
+    `,
+    text: `
+      HissabBook - Password changed
+
+      The password of your HissabBook account was just reset, and every device that was signed in has been signed out.
+
+      If you didn't do this, reset your password again right away and contact support.
+    `,
+  };
+
+  try {
+    const info = await transporter.sendMail(mailOptions);
+    return {
+      success: true,
+      messageId: info.messageId,
+    };
+  } catch (error) {
+    throw new Error(`Failed to send email: ${error.message}`);
+  }
+}
+
 module.exports = {
   sendOtpEmail,
+  sendPayoutEscalationEmail,
+  sendPasswordResetEmail,
+  sendPasswordChangedEmail,
   createTransporter,
 };
 
@@ -0,0 +1,47 @@
+// Format amount to Indian Rupees
+function formatAmount(amount) {
+  return new Intl.NumberFormat("en-IN", {
+    style: "currency",
+    currency: "INR",
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0,
+  }).format(amount);
+}
+
+// Format date to "DD MMM YYYY"
+function formatDate(dateString) {
+  if (!dateString) return "--";
+  const date = new Date(dateString);
+  const day = date.getDate();
+  const month = date.toLocaleString("en-US", { month: "short" });
+  const year = date.getFullYear();
+  return `${day} ${month} ${year}`;
+}
+
+// Generate reference ID
+function generateReference(id, createdAt) {
+  const year = new Date(createdAt).getFullYear();
+  const shortId = id.substring(0, 8).toUpperCase();
+  return `PYT-${year}-${shortId}`;
+}
+
+// Wallet label for a payout request row, e.g. "Staff Wallet" or "Priya Sharma Wallet"
+function formatWalletName(row) {
+  if (row.user_role) {
+    const roleName = row.user_role.charAt(0).toUpperCase() + row.user_role.slice(1).replace(/_/g, " ");
+    return `${roleName} Wallet`;
+  }
+
+  // Fallback to user name or email
+  const userName = row.first_name
+    ? `${row.first_name}${row.last_name ? ` ${row.last_name}` : ""}`
+    : row.user_email?.split("@")[0] || "User";
+  return `${userName} Wallet`;
+}
+
+module.exports = {
+  formatAmount,
+  formatWalletName,
+  formatDate,
+  generateReference,
+};
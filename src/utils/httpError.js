@@ -0,0 +1,20 @@
+/**
+ * Create an Error carrying an HTTP status code
+ * Services throw these so route handlers can map them to `reply.code(statusCode)`
+ * @param {number} statusCode - HTTP status code to respond with
+ * @param {string} message - Message sent back to the client
+ * @param {object} [extra] - Additional fields to include in the response body
+ * @returns {Error & {statusCode: number, extra?: object}}
+ */
+function httpError(statusCode, message, extra) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (extra) {
+    error.extra = extra;
+  }
+  return error;
+}
+
+module.exports = {
+  httpError,
+};
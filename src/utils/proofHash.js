@@ -0,0 +1,119 @@
+const crypto = require("crypto");
+const { Transform } = require("stream");
+const sharp = require("sharp");
+const { httpError } = require("./httpError");
+
+// dHash compares each pixel of a 9x8 grayscale thumbnail with its right neighbour, giving 64
+// bits that survive re-encoding, resizing and small crops of the same screenshot
+const DHASH_WIDTH = 9;
+const DHASH_HEIGHT = 8;
+
+// sharp has to hold the whole image to decode it, so streamed uploads larger than this are only
+// content-hashed: they skip the perceptual hash (and near-duplicate flagging) rather than let memory
+// per request grow with the upload limit. Decoding is likewise capped at PHASH_MAX_PIXELS.
+const PHASH_MAX_BYTES = (parseInt(process.env.PROOF_PHASH_MAX_SIZE_MB, 10) || 5) * 1024 * 1024;
+const PHASH_MAX_PIXELS = 40 * 1000 * 1000;
+
+/**
+ * Compute the 64-bit difference hash of an image
+ * @param {Buffer|import("sharp").Sharp} input - Image bytes, or a sharp instance being fed the image
+ * @returns {Promise<string|null>} - Hash as a signed 64-bit decimal string (fits a Postgres bigint), or null if the input is not a readable image
+ */
+async function computePerceptualHash(input) {
+  try {
+    const pixels = await (Buffer.isBuffer(input) ? sharp(input, { limitInputPixels: PHASH_MAX_PIXELS }) : input)
+      .rotate()
+      .grayscale()
+      .resize(DHASH_WIDTH, DHASH_HEIGHT, { fit: "fill" })
+      .raw()
+      .toBuffer();
+
+    let hash = 0n;
+    for (let y = 0; y < DHASH_HEIGHT; y += 1) {
+      for (let x = 0; x < DHASH_WIDTH - 1; x += 1) {
+        const left = pixels[y * DHASH_WIDTH + x];
+        const right = pixels[y * DHASH_WIDTH + x + 1];
+        hash = (hash << 1n) | (left > right ? 1n : 0n);
+      }
+    }
+
+    return BigInt.asIntN(64, hash).toString();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Hash a proof held in memory (base64 uploads)
+ * @param {string} dataUrl - Proof as a data URL
+ * @returns {Promise<{sha256: string, phash: string|null}>}
+ */
+async function hashProofDataUrl(dataUrl) {
+  const matches = String(dataUrl).match(/^data:(.+);base64,(.+)$/);
+  if (!matches) {
+    throw httpError(400, "Invalid proof format");
+  }
+
+  const buffer = Buffer.from(matches[2], "base64");
+  return {
+    sha256: crypto.createHash("sha256").update(buffer).digest("hex"),
+    phash: matches[1].startsWith("image/") ? await computePerceptualHash(buffer) : null,
+  };
+}
+
+/**
+ * Create a pass-through stream that hashes a proof while it is being uploaded
+ * At most PHASH_MAX_BYTES of the upload is buffered for the perceptual hash; larger images get none
+ * @param {string} mimeType - MIME type of the proof; only images get a perceptual hash
+ * @returns {{stream: import("stream").Transform, digest: () => Promise<{sha256: string, phash: string|null}>}}
+ */
+function createProofHasher(mimeType) {
+  const sha256 = crypto.createHash("sha256");
+  // sharp accumulates its input and only decodes once the upload has finished
+  const image = mimeType.startsWith("image/") ? sharp({ limitInputPixels: PHASH_MAX_PIXELS }) : null;
+  const phash = image ? computePerceptualHash(image) : Promise.resolve(null);
+  let bufferedBytes = 0;
+  let oversized = false;
+
+  const stream = new Transform({
+    transform(chunk, _encoding, callback) {
+      sha256.update(chunk);
+      if (image && !oversized) {
+        bufferedBytes += chunk.length;
+        // Too big to decode in memory: free what sharp holds and skip the perceptual hash
+        if (bufferedBytes > PHASH_MAX_BYTES) {
+          oversized = true;
+          image.destroy();
+        } else {
+          image.write(chunk);
+        }
+      }
+      callback(null, chunk);
+    },
+    flush(callback) {
+      if (image && !oversized) {
+        image.end();
+      }
+      callback();
+    },
+  });
+
+  // An aborted upload never ends the sharp input; destroy it to free what it has buffered
+  stream.on("close", () => {
+    if (image && !image.writableEnded) {
+      image.destroy();
+    }
+  });
+
+  return {
+    stream,
+    // A destroyed sharp input never settles its hash, so an oversized image is not waited on
+    digest: async () => ({ sha256: sha256.digest("hex"), phash: oversized ? null : await phash }),
+  };
+}
+
+module.exports = {
+  computePerceptualHash,
+  hashProofDataUrl,
+  createProofHasher,
+};
@@ -0,0 +1,210 @@
+const fs = require("fs/promises");
+const { createReadStream, createWriteStream } = require("fs");
+const path = require("path");
+const stream = require("stream");
+const { pipeline } = require("stream/promises");
+const {
+  ALLOWED_MIME_TYPES,
+  generateKey,
+  uploadToR2,
+  uploadStreamToR2,
+  getR2KeyFromUrl,
+  downloadFromR2,
+  deleteFromR2,
+  getSignedR2Url,
+} = require("./r2Upload");
+const { getImagePath, deleteImageFromDisk } = require("./fileUpload");
+const { httpError } = require("./httpError");
+const { createProofHasher } = require("./proofHash");
+
+// Largest proof accepted by the multipart upload, enforced while the file streams in
+const PROOF_MAX_BYTES = (parseInt(process.env.PROOF_MAX_SIZE_MB, 10) || 10) * 1024 * 1024;
+
+// Lifetime of the signed URLs handed out for proofs stored in R2
+const PROOF_URL_TTL_SECONDS = parseInt(process.env.PROOF_URL_TTL_SECONDS, 10) || 300;
+
+const contentTypeMap = {
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".pdf": "application/pdf",
+};
+
+// Files in R2 are stored by object key, which always has a folder ("screenshots/", "comments/"); older
+// rows hold the object's public URL instead. Files in uploads/ are stored by bare filename.
+function getStoredR2Key(storedName) {
+  if (storedName.startsWith("http")) {
+    return getR2KeyFromUrl(storedName);
+  }
+  return storedName.includes("/") ? storedName : null;
+}
+
+/**
+ * Read a stored payout proof, whether it lives in R2 or in uploads/
+ * @param {string} proofFilename - Value of payout_requests.proof_filename
+ * @returns {Promise<{buffer: Buffer, contentType: string}|null>} - File contents, or null if there is no proof
+ */
+async function readProof(proofFilename) {
+  if (!proofFilename) {
+    return null;
+  }
+
+  const key = getStoredR2Key(proofFilename);
+  if (key) {
+    const file = await downloadFromR2(key);
+    return {
+      buffer: file.buffer,
+      contentType: file.contentType || contentTypeMap[path.extname(key).toLowerCase()] || "application/octet-stream",
+    };
+  }
+
+  // Security: prevent directory traversal
+  if (proofFilename.includes("..") || proofFilename.includes("/") || proofFilename.includes("\\")) {
+    throw new Error("Invalid proof filename");
+  }
+
+  const buffer = await fs.readFile(getImagePath(proofFilename));
+  return {
+    buffer,
+    contentType: contentTypeMap[path.extname(proofFilename).toLowerCase()] || "application/octet-stream",
+  };
+}
+
+/**
+ * Resolve how a client may download a stored proof: a short-lived signed URL for R2 objects,
+ * or a read stream for files in uploads/
+ * @param {string} proofFilename - Value of payout_requests.proof_filename
+ * @returns {Promise<{url: string, expiresAt: Date}|{stream: import("fs").ReadStream, contentType: string, size: number, extension: string}|null>}
+ *   Null if the file no longer exists on disk
+ */
+async function getProofDownload(proofFilename) {
+  const key = getStoredR2Key(proofFilename);
+  if (key) {
+    const url = await getSignedR2Url(key, PROOF_URL_TTL_SECONDS);
+    return { url, expiresAt: new Date(Date.now() + PROOF_URL_TTL_SECONDS * 1000) };
+  }
+
+  // Security: prevent directory traversal
+  if (proofFilename.includes("..") || proofFilename.includes("/") || proofFilename.includes("\\")) {
+    throw new Error("Invalid proof filename");
+  }
+
+  const filePath = getImagePath(proofFilename);
+  let stats;
+  try {
+    stats = await fs.stat(filePath);
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return null;
+    }
+    throw error;
+  }
+
+  const extension = path.extname(proofFilename).toLowerCase();
+  return {
+    stream: createReadStream(filePath),
+    contentType: contentTypeMap[extension] || "application/octet-stream",
+    size: stats.size,
+    extension,
+  };
+}
+
+/**
+ * Delete a stored payout proof from R2 or uploads/
+ * @param {string} proofFilename - Value of payout_requests.proof_filename
+ * @returns {Promise<boolean>} - True if deleted, false otherwise
+ */
+async function deleteProof(proofFilename) {
+  if (!proofFilename) {
+    return false;
+  }
+
+  const key = getStoredR2Key(proofFilename);
+  if (key) {
+    return deleteFromR2(key);
+  }
+
+  if (proofFilename.includes("..") || proofFilename.includes("/") || proofFilename.includes("\\")) {
+    return false;
+  }
+
+  return deleteImageFromDisk(proofFilename);
+}
+
+function isR2Configured() {
+  return Boolean(process.env.R2_ENDPOINT && process.env.R2_ACCESS_KEY_ID && process.env.R2_SECRET_ACCESS_KEY);
+}
+
+/**
+ * Stream an uploaded payout proof to R2 (or uploads/ when R2 is not configured), hashing it on the way
+ * Unlike the base64 path there is no disk fallback after an R2 failure: the stream has been consumed.
+ * If the stream errors part way, nothing is left behind.
+ * @param {import("stream").Readable} source - File contents
+ * @param {string} mimeType - Declared MIME type of the file
+ * @returns {Promise<{proofFilename: string, sha256: string, phash: string|null}>} - Value to store in
+ *   payout_requests.proof_filename and the proof's content / perceptual hashes
+ */
+async function saveProofStream(source, mimeType) {
+  if (!ALLOWED_MIME_TYPES.includes(mimeType)) {
+    source.resume();
+    throw httpError(400, "Invalid file type. Only images (JPEG, PNG, GIF, WebP) and PDFs are allowed.");
+  }
+
+  const hasher = createProofHasher(mimeType);
+
+  if (isR2Configured()) {
+    // The callback form returns the last stream and destroys it if the source errors, which aborts the upload
+    const body = stream.pipeline(source, hasher.stream, () => {});
+    const result = await uploadStreamToR2(body, mimeType, "payout", "screenshots/");
+    return { proofFilename: result.fileName, ...(await hasher.digest()) };
+  }
+
+  const fileName = generateKey(mimeType, "payout");
+  const filePath = getImagePath(fileName);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+  try {
+    await pipeline(source, hasher.stream, createWriteStream(filePath));
+  } catch (error) {
+    await fs.unlink(filePath).catch(() => {});
+    throw error;
+  }
+
+  return { proofFilename: fileName, ...(await hasher.digest()) };
+}
+
+/**
+ * Store a file attached to a payout request comment, in R2 when configured or uploads/ otherwise
+ * Attachments are as private as proofs and are read back with getProofDownload
+ * @param {string} dataUrl - Base64 data URL of the file
+ * @returns {Promise<{fileName: string, contentType: string}>} - Stored R2 key or filename, and MIME type
+ */
+async function saveCommentAttachment(dataUrl) {
+  const matches = String(dataUrl).match(/^data:(.+);base64,(.+)$/);
+  if (!matches || !ALLOWED_MIME_TYPES.includes(matches[1])) {
+    throw httpError(400, "Attachments must be images (JPEG, PNG, GIF, WebP) or PDFs sent as base64 data URLs");
+  }
+  const contentType = matches[1];
+
+  if (isR2Configured()) {
+    const result = await uploadToR2(dataUrl, "comment", "comments/");
+    return { fileName: result.fileName, contentType };
+  }
+
+  const fileName = generateKey(contentType, "comment");
+  const filePath = getImagePath(fileName);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, Buffer.from(matches[2], "base64"));
+  return { fileName, contentType };
+}
+
+module.exports = {
+  PROOF_MAX_BYTES,
+  saveProofStream,
+  saveCommentAttachment,
+  readProof,
+  getProofDownload,
+  deleteProof,
+};
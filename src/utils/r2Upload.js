@@ -1,4 +1,6 @@
-const { S3Client, PutObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+const { S3Client, PutObjectCommand, DeleteObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
+const { Upload } = require('@aws-sdk/lib-storage');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
 const crypto = require('crypto');
 
 // Get R2 configuration from environment
@@ -26,6 +28,69 @@ function getS3Client() {
   return s3Client;
 }
 
+// File types accepted for uploads (images and PDFs)
+const ALLOWED_MIME_TYPES = [
+  'image/jpeg',
+  'image/jpg',
+  'image/png',
+  'image/gif',
+  'image/webp',
+  'application/pdf',
+];
+
+const MIME_TO_EXTENSION = {
+  'image/jpeg': 'jpg',
+  'image/jpg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'application/pdf': 'pdf',
+};
+
+/**
+ * Generate a unique object key such as `screenshots/payout-1718000000000-<uuid>.png`
+ * @param {string} mimeType - MIME type of the file, used for the extension
+ * @param {string} prefix - Prefix for the filename
+ * @param {string} pathPrefix - Optional path prefix
+ * @returns {string} - Object key
+ */
+function generateKey(mimeType, prefix = 'file', pathPrefix = '') {
+  const extension = MIME_TO_EXTENSION[mimeType] || 'bin';
+  const uniqueId = typeof crypto.randomUUID === 'function'
+    ? crypto.randomUUID()
+    : crypto.randomBytes(16).toString('hex');
+  const fileName = `${prefix}-${Date.now()}-${uniqueId}.${extension}`;
+  return pathPrefix ? `${pathPrefix}${fileName}` : fileName;
+}
+
+/**
+ * Build the URL stored for an uploaded object
+ * If R2_PUBLIC_URL is set (custom domain), use it
+ * Otherwise, construct R2.dev URL: https://<bucket-name>.<account-id>.r2.cloudflarestorage.com/<key>
+ * @param {string} key - Object key
+ * @returns {string} - File URL
+ */
+function getR2FileUrl(key) {
+  if (R2_PUBLIC_URL) {
+    // Custom domain or R2.dev URL
+    return R2_PUBLIC_URL.endsWith('/')
+      ? `${R2_PUBLIC_URL}${key}`
+      : `${R2_PUBLIC_URL}/${key}`;
+  }
+
+  // Fallback: construct R2.dev URL from endpoint
+  // Extract account ID from endpoint if available
+  const endpoint = process.env.R2_ENDPOINT || '';
+  const accountIdMatch = endpoint.match(/https?:\/\/([^.]+)\.r2\.cloudflarestorage\.com/);
+  if (accountIdMatch) {
+    const accountId = accountIdMatch[1];
+    return `https://${R2_BUCKET_NAME}.${accountId}.r2.cloudflarestorage.com/${key}`;
+  }
+
+  // Last resort: use endpoint + bucket + key
+  return `${endpoint}/${R2_BUCKET_NAME}/${key}`;
+}
+
 /**
  * Upload a file to Cloudflare R2 from base64 string
  * @param {string} base64String - Base64 encoded file string (data:image/...;base64,... or data:application/pdf;base64,...)
@@ -48,41 +113,14 @@ async function uploadToR2(base64String, prefix = 'file', pathPrefix = '') {
   const data = matches[2];
 
   // Validate file type (images and PDFs)
-  const allowedMimeTypes = [
-    'image/jpeg',
-    'image/jpg',
-    'image/png',
-    'image/gif',
-    'image/webp',
-    'application/pdf',
-  ];
-
-  if (!allowedMimeTypes.includes(mimeType)) {
+  if (!ALLOWED_MIME_TYPES.includes(mimeType)) {
     throw new Error('Invalid file type. Only images (JPEG, PNG, GIF, WebP) and PDFs are allowed.');
   }
 
   const buffer = Buffer.from(data, 'base64');
   const fileSize = buffer.length;
 
-  // Determine file extension from MIME type
-  const mimeToExt = {
-    'image/jpeg': 'jpg',
-    'image/jpg': 'jpg',
-    'image/png': 'png',
-    'image/gif': 'gif',
-    'image/webp': 'webp',
-    'application/pdf': 'pdf',
-  };
-  const extension = mimeToExt[mimeType] || 'bin';
-
-  // Generate unique filename
-  const uniqueId = typeof crypto.randomUUID === 'function'
-    ? crypto.randomUUID()
-    : crypto.randomBytes(16).toString('hex');
-  const fileName = `${prefix}-${Date.now()}-${uniqueId}.${extension}`;
-  
-  // Construct the key with path prefix if provided
-  const key = pathPrefix ? `${pathPrefix}${fileName}` : fileName;
+  const key = generateKey(mimeType, prefix, pathPrefix);
 
   // Get S3 client (will be null if R2 not configured)
   const client = getS3Client();
@@ -100,33 +138,10 @@ async function uploadToR2(base64String, prefix = 'file', pathPrefix = '') {
 
   try {
     await client.send(command);
-    
-    // Construct public URL
-    // If R2_PUBLIC_URL is set (custom domain), use it
-    // Otherwise, construct R2.dev URL: https://<bucket-name>.<account-id>.r2.cloudflarestorage.com/<key>
-    let fileUrl;
-    if (R2_PUBLIC_URL) {
-      // Custom domain or R2.dev URL
-      fileUrl = R2_PUBLIC_URL.endsWith('/') 
-        ? `${R2_PUBLIC_URL}${key}`
-        : `${R2_PUBLIC_URL}/${key}`;
-    } else {
-      // Fallback: construct R2.dev URL from endpoint
-      // Extract account ID from endpoint if available
-      const endpoint = process.env.R2_ENDPOINT || '';
-      const accountIdMatch = endpoint.match(/https?:\/\/([^.]+)\.r2\.cloudflarestorage\.com/);
-      if (accountIdMatch) {
-        const accountId = accountIdMatch[1];
-        fileUrl = `https://${R2_BUCKET_NAME}.${accountId}.r2.cloudflarestorage.com/${key}`;
-      } else {
-        // Last resort: use endpoint + bucket + key
-        fileUrl = `${endpoint}/${R2_BUCKET_NAME}/${key}`;
-      }
-    }
 
     return {
       fileName: key, // Return the full key including path
-      url: fileUrl,
+      url: getR2FileUrl(key),
       fileSize,
       mimeType,
     };
@@ -135,6 +150,45 @@ async function uploadToR2(base64String, prefix = 'file', pathPrefix = '') {
   }
 }
 
+/**
+ * Upload a file to Cloudflare R2 from a stream, without buffering the whole file
+ * The stream is sent as a multipart upload; if it errors (e.g. a size limit) the upload is aborted
+ * @param {import('stream').Readable} stream - File contents
+ * @param {string} mimeType - MIME type of the file
+ * @param {string} prefix - Prefix for the filename (e.g., "payout", "proof")
+ * @param {string} pathPrefix - Optional path prefix for organizing files (e.g., "screenshots/")
+ * @returns {Promise<{fileName: string, url: string, mimeType: string}>} - File info with R2 URL
+ */
+async function uploadStreamToR2(stream, mimeType, prefix = 'file', pathPrefix = '') {
+  if (!ALLOWED_MIME_TYPES.includes(mimeType)) {
+    throw new Error('Invalid file type. Only images (JPEG, PNG, GIF, WebP) and PDFs are allowed.');
+  }
+
+  const client = getS3Client();
+  if (!client) {
+    throw new Error('R2 S3 client not initialized. Check R2 environment variables.');
+  }
+
+  const key = generateKey(mimeType, prefix, pathPrefix);
+  const upload = new Upload({
+    client,
+    params: {
+      Bucket: R2_BUCKET_NAME,
+      Key: key,
+      Body: stream,
+      ContentType: mimeType,
+    },
+  });
+
+  await upload.done();
+
+  return {
+    fileName: key,
+    url: getR2FileUrl(key),
+    mimeType,
+  };
+}
+
 /**
  * Delete a file from R2
  * @param {string} fileName - Name of the file to delete
@@ -168,6 +222,76 @@ async function deleteFromR2(fileName) {
   }
 }
 
+/**
+ * Resolve the R2 object key from a URL returned by uploadToR2
+ * @param {string} fileUrl - Public URL stored for the file
+ * @returns {string|null} - Object key, or null if the URL does not point at R2
+ */
+function getR2KeyFromUrl(fileUrl) {
+  if (!fileUrl || !fileUrl.startsWith('http')) {
+    return null;
+  }
+
+  if (R2_PUBLIC_URL && fileUrl.startsWith(R2_PUBLIC_URL)) {
+    return decodeURIComponent(fileUrl.slice(R2_PUBLIC_URL.length).replace(/^\//, ''));
+  }
+
+  try {
+    let key = decodeURIComponent(new URL(fileUrl).pathname.replace(/^\//, ''));
+    // Endpoint-style URLs carry the bucket name as the first path segment
+    if (key.startsWith(`${R2_BUCKET_NAME}/`)) {
+      key = key.slice(R2_BUCKET_NAME.length + 1);
+    }
+    return key || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Download a file from R2
+ * @param {string} fileName - Key of the file to download
+ * @returns {Promise<{buffer: Buffer, contentType: string|undefined}>} - File contents
+ */
+async function downloadFromR2(fileName) {
+  const client = getS3Client();
+  if (!client) {
+    throw new Error('R2 S3 client not initialized. Check R2 environment variables.');
+  }
+
+  const command = new GetObjectCommand({
+    Bucket: R2_BUCKET_NAME,
+    Key: fileName,
+  });
+
+  const response = await client.send(command);
+  const bytes = await response.Body.transformToByteArray();
+  return {
+    buffer: Buffer.from(bytes),
+    contentType: response.ContentType,
+  };
+}
+
+/**
+ * Create a short-lived signed URL for reading a private R2 object
+ * @param {string} fileName - Key of the file
+ * @param {number} expiresIn - Lifetime of the URL in seconds
+ * @returns {Promise<string>} - Signed URL
+ */
+async function getSignedR2Url(fileName, expiresIn) {
+  const client = getS3Client();
+  if (!client) {
+    throw new Error('R2 S3 client not initialized. Check R2 environment variables.');
+  }
+
+  const command = new GetObjectCommand({
+    Bucket: R2_BUCKET_NAME,
+    Key: fileName,
+  });
+
+  return getSignedUrl(client, command, { expiresIn });
+}
+
 /**
  * Upload payout proof to R2 (wrapper for uploadToR2)
  * Stores files in the screenshots/ directory
@@ -180,9 +304,15 @@ async function uploadProofToR2(base64String) {
 }
 
 module.exports = {
+  ALLOWED_MIME_TYPES,
+  generateKey,
   uploadToR2,
+  uploadStreamToR2,
   deleteFromR2,
   uploadProofToR2,
+  getR2KeyFromUrl,
+  downloadFromR2,
+  getSignedR2Url,
 };
 
 
@@ -0,0 +1,113 @@
+const crypto = require("crypto");
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(text) {
+  const cleaned = text.toUpperCase().replace(/=+$/, "").replace(/\s/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character '${char}'`);
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a random TOTP secret
+ * @returns {string} - 160-bit secret, base32 encoded as authenticator apps expect
+ */
+function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+function totpCodeAt(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const digest = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+  const offset = digest[digest.length - 1] & 15;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+}
+
+/**
+ * Check a 6-digit TOTP code (RFC 6238, SHA-1, 30-second steps), allowing one step of clock drift
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code typed by the user
+ * @param {{lastUsedStep?: number|null, now?: number}} [options] - Steps up to lastUsedStep are refused,
+ *   so a code cannot be replayed
+ * @returns {number|null} - The matching time step, to be stored as the new lastUsedStep, or null
+ */
+function verifyTotp(secret, code, { lastUsedStep = null, now = Date.now() } = {}) {
+  const normalized = String(code).replace(/\s/g, "");
+  if (!/^\d{6}$/.test(normalized)) {
+    return null;
+  }
+
+  const currentStep = Math.floor(now / 1000 / TOTP_STEP_SECONDS);
+  for (const step of [currentStep - 1, currentStep, currentStep + 1]) {
+    if (lastUsedStep !== null && step <= lastUsedStep) {
+      continue;
+    }
+    const expected = totpCodeAt(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+/**
+ * otpauth:// URI that authenticator apps import, usually by scanning it as a QR code
+ * @param {{secret: string, account: string, issuer: string}} options
+ * @returns {string}
+ */
+function buildOtpauthUri({ secret, account, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+module.exports = {
+  generateTotpSecret,
+  verifyTotp,
+  buildOtpauthUri,
+};
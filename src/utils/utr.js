@@ -0,0 +1,69 @@
+// UTR (Unique Transaction Reference) formats used by Indian payment rails
+const UTR_FORMATS = {
+  // 12-digit RRN, e.g. 412345678901
+  UPI: { pattern: /^\d{12}$/, description: "12 digits" },
+  // 12-digit RRN, same shape as UPI
+  IMPS: { pattern: /^\d{12}$/, description: "12 digits" },
+  // 4-letter bank code, "N", 11 alphanumerics, e.g. SBINN52024061512
+  NEFT: { pattern: /^[A-Z]{4}N[A-Z0-9]{11}$/, description: "16 characters: bank code, N, 11 letters/digits" },
+  // 4-letter bank code, "R", 17 alphanumerics, e.g. HDFCR52024061500012345
+  RTGS: { pattern: /^[A-Z]{4}R[A-Z0-9]{17}$/, description: "22 characters: bank code, R, 17 letters/digits" },
+};
+
+const PAYMENT_MODES = Object.keys(UTR_FORMATS);
+
+/**
+ * Normalize a UTR as typed or pasted by a user: drop whitespace and hyphens, uppercase
+ * @param {string} utr - Raw UTR
+ * @returns {string} - Normalized UTR
+ */
+function normalizeUtr(utr) {
+  return String(utr || "").replace(/[\s-]/g, "").toUpperCase();
+}
+
+/**
+ * Guess the payment mode of a normalized UTR; 12-digit references are assumed to be UPI
+ * @param {string} utr - Normalized UTR
+ * @returns {string|null} - Payment mode, or null if the UTR matches no known format
+ */
+function detectPaymentMode(utr) {
+  if (UTR_FORMATS.NEFT.pattern.test(utr)) return "NEFT";
+  if (UTR_FORMATS.RTGS.pattern.test(utr)) return "RTGS";
+  if (UTR_FORMATS.UPI.pattern.test(utr)) return "UPI";
+  return null;
+}
+
+/**
+ * Normalize and validate a UTR, optionally against a declared payment mode
+ * @param {string} rawUtr - UTR as submitted
+ * @param {string} [paymentMode] - Declared payment mode (UPI, IMPS, NEFT or RTGS)
+ * @returns {{utr: string, paymentMode: string|null, error: string|null}}
+ */
+function parseUtr(rawUtr, paymentMode) {
+  const utr = normalizeUtr(rawUtr);
+
+  if (paymentMode) {
+    const format = UTR_FORMATS[paymentMode];
+    if (!format.pattern.test(utr)) {
+      return { utr, paymentMode, error: `Invalid ${paymentMode} UTR. Expected ${format.description}` };
+    }
+    return { utr, paymentMode, error: null };
+  }
+
+  const detected = detectPaymentMode(utr);
+  if (!detected) {
+    return {
+      utr,
+      paymentMode: null,
+      error: "Invalid UTR. Expected a 12-digit UPI/IMPS reference, a 16-character NEFT UTR or a 22-character RTGS UTR",
+    };
+  }
+  return { utr, paymentMode: detected, error: null };
+}
+
+module.exports = {
+  PAYMENT_MODES,
+  normalizeUtr,
+  detectPaymentMode,
+  parseUtr,
+};
@@ -0,0 +1,93 @@
+const dns = require("dns");
+const net = require("net");
+const { httpError } = require("./httpError");
+
+// Webhook receivers must be on the public internet. Loopback, private, link-local (cloud metadata
+// endpoints) and other reserved ranges would let a subscription reach services inside our network.
+// IPv4-mapped IPv6 addresses are checked against the IPv4 ranges.
+const blockedAddresses = new net.BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+]) {
+  blockedAddresses.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [
+  ["::", 127],
+  ["64:ff9b::", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  blockedAddresses.addSubnet(network, prefix, "ipv6");
+}
+
+function isBlockedAddress(address) {
+  const family = net.isIP(address) === 6 ? "ipv6" : "ipv4";
+  return blockedAddresses.check(address, family);
+}
+
+/**
+ * Check that a webhook URL is http(s) and that its host only resolves to public addresses
+ * @param {string} url - Receiver URL
+ * @returns {Promise<void>}
+ * @throws {Error} 400 when the URL is invalid, cannot be resolved or points at a non-public address
+ */
+async function assertPublicWebhookUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw httpError(400, "Webhook URL is not a valid URL");
+  }
+  if (parsed.protocol !== "http:" && parsed.protocol !== "https:") {
+    throw httpError(400, "Webhook URL must use http or https");
+  }
+
+  const hostname = parsed.hostname.replace(/^\[(.*)\]$/, "$1");
+  let addresses;
+  if (net.isIP(hostname)) {
+    addresses = [hostname];
+  } else {
+    try {
+      addresses = (await dns.promises.lookup(hostname, { all: true })).map((entry) => entry.address);
+    } catch {
+      throw httpError(400, `Webhook URL host ${hostname} could not be resolved`);
+    }
+  }
+
+  if (addresses.some(isBlockedAddress)) {
+    throw httpError(400, "Webhook URL must point to a public address");
+  }
+}
+
+/**
+ * dns.lookup for outgoing webhook requests that refuses non-public addresses, so a host cannot be
+ * re-pointed at an internal address between the URL check and the connection (DNS rebinding)
+ */
+function lookupPublicAddress(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+    const blocked = addresses.find((entry) => isBlockedAddress(entry.address));
+    if (blocked) {
+      return callback(new Error(`Webhook host ${hostname} resolved to non-public address ${blocked.address}`));
+    }
+    return options.all ? callback(null, addresses) : callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+module.exports = {
+  assertPublicWebhookUrl,
+  lookupPublicAddress,
+};